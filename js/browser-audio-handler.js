@@ -12,6 +12,11 @@ class BrowserAudioHandler {
     this.peakHoldArray = [];
     this.running = false;
 
+    // Multichannel input - per-channel analysers fed from a ChannelSplitter
+    this.requestedChannels = 1;
+    this.channelCount = 1;
+    this.channelSet = null;
+
     // Recording variables
     this.mediaRecorder = null;
     this.recordedChunks = [];
@@ -23,6 +28,13 @@ class BrowserAudioHandler {
     // Frequency limits
     this.currentSampleRate = 44100;
     this.currentNyquistFreq = this.currentSampleRate / 2;
+    this.onFrequencyLimitsChange = null; // Called with (nyquist, sampleRate) when the rate changes
+
+    // Sample rates - requestedSampleRate null means the device/browser default
+    this.requestedSampleRate = null;
+    this.defaultSampleRate = null;
+    this.supportedSampleRates = [];
+    this.deviceSampleRateRange = null; // { min, max } reported by the input track, if any
   }
 
   /**
@@ -53,28 +65,88 @@ class BrowserAudioHandler {
   }
 
   /**
-   * Check if higher sample rates are supported
-   * Note: This is a simplified version that doesn't test actual device capabilities
-   * The actual sample rate will be determined when audio context is created
+   * Offer the standard sample rates - no contexts are opened here, as some browsers
+   * resample almost any rate; createAudioContext() drops a rate the browser refuses
+   * or replaces once a real context is made at it
    */
   async checkMaxSampleRate() {
-    // For now, just set defaults without testing
-    // The actual sample rate will be determined when we create the AudioContext
-    console.log('🌐 Sample rate detection deferred until audio context creation');
+    this.supportedSampleRates = BrowserAudioHandler.SAMPLE_RATES.slice();
     this.currentSampleRate = 44100;
     this.currentNyquistFreq = 22050;
-    return 44100;
+    console.log('🌐 Sample rates: offering', this.supportedSampleRates.join(', '), 'Hz - checked when a context is created');
+    return Math.max(...this.supportedSampleRates);
+  }
+
+  /**
+   * Read the sample-rate range the current input track reports
+   * Only available once a stream is open (and not in every browser)
+   */
+  updateDeviceSampleRates() {
+    const track = this.safeStream ? this.safeStream.getAudioTracks()[0] : null;
+    const capabilities = track && track.getCapabilities ? track.getCapabilities() : {};
+    const range = capabilities.sampleRate;
+    this.deviceSampleRateRange = range && range.max ? { min: range.min || range.max, max: range.max } : null;
+    return this.deviceSampleRateRange;
+  }
+
+  /**
+   * Sample rates worth offering: those the browser honors, narrowed to the
+   * device's reported range when it has one
+   */
+  getSupportedSampleRates() {
+    const range = this.deviceSampleRateRange;
+    if (!range) return this.supportedSampleRates.slice();
+    return this.supportedSampleRates.filter(rate => rate >= range.min && rate <= range.max);
+  }
+
+  // Choose the rate for new contexts and streams (null = device default)
+  setSampleRate(sampleRate) {
+    this.requestedSampleRate = sampleRate || null;
+  }
+
+  /**
+   * Create an AudioContext at the requested sample rate, falling back to the
+   * default rate if the browser refuses it. A rate the browser refuses or
+   * silently replaces is no longer offered.
+   */
+  createAudioContext(sampleRate = this.requestedSampleRate) {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (sampleRate) {
+      try {
+        const audioCtx = new AudioContextClass({ sampleRate: sampleRate });
+        if (audioCtx.sampleRate !== sampleRate) {
+          console.warn(`AudioContext asked for ${sampleRate} Hz runs at ${audioCtx.sampleRate} Hz`);
+          this.dropSampleRate(sampleRate);
+        }
+        return audioCtx;
+      } catch (error) {
+        console.warn(`AudioContext at ${sampleRate} Hz not supported, using the default rate:`, error);
+        this.dropSampleRate(sampleRate);
+      }
+    }
+    const audioCtx = new AudioContextClass();
+    this.defaultSampleRate = audioCtx.sampleRate;
+    return audioCtx;
+  }
+
+  dropSampleRate(sampleRate) {
+    this.supportedSampleRates = this.supportedSampleRates.filter(rate => rate !== sampleRate);
   }
 
   /**
    * Update frequency limits when audio context changes
+   * Defaults to the live context; playback passes its own
    */
-  updateFrequencyLimits() {
-    if (this.audioCtx && this.audioCtx.sampleRate) {
-      this.currentSampleRate = this.audioCtx.sampleRate;
-      this.currentNyquistFreq = this.audioCtx.sampleRate / 2;
+  updateFrequencyLimits(audioCtx = this.audioCtx) {
+    if (audioCtx && audioCtx.sampleRate) {
+      this.currentSampleRate = audioCtx.sampleRate;
+      this.currentNyquistFreq = audioCtx.sampleRate / 2;
       console.log(`🎵 Updated frequency limits: Max ${this.currentNyquistFreq.toFixed(0)} Hz (Sample rate: ${this.currentSampleRate} Hz)`);
+      if (this.onFrequencyLimitsChange) {
+        this.onFrequencyLimitsChange(this.currentNyquistFreq, this.currentSampleRate);
+      }
     }
+    return this.currentNyquistFreq;
   }
 
   /**
@@ -127,11 +199,7 @@ class BrowserAudioHandler {
       }
 
       this.safeStream = await navigator.mediaDevices.getUserMedia({
-        audio: {
-          deviceId: deviceId,
-          sampleRate: 44100,
-          channelCount: 1
-        }
+        audio: this.getAudioConstraints(deviceId)
       });
       console.log('Microphone permission granted');
       return this.safeStream;
@@ -141,16 +209,48 @@ class BrowserAudioHandler {
     }
   }
 
+  /**
+   * getUserMedia audio constraints for the requested channel count
+   * Voice processing is always off - echo cancellation would remove a test signal the
+   * app plays, and AGC / noise suppression alter levels and spectra (browsers also only
+   * deliver more than one channel without it)
+   */
+  getAudioConstraints(deviceId) {
+    const constraints = {
+      deviceId: deviceId,
+      channelCount: this.requestedChannels
+    };
+    if (this.requestedSampleRate) {
+      constraints.sampleRate = this.requestedSampleRate;
+    }
+    BrowserAudioHandler.VOICE_PROCESSING.forEach(name => {
+      constraints[name] = false;
+    });
+    return constraints;
+  }
+
+  // Voice processing the browser kept on for the live input despite the constraints
+  getActiveVoiceProcessing() {
+    const track = this.safeStream ? this.safeStream.getAudioTracks()[0] : null;
+    const settings = track && track.getSettings ? track.getSettings() : {};
+    return BrowserAudioHandler.VOICE_PROCESSING.filter(name => settings[name] === true);
+  }
+
   /**
    * Start live audio visualization
+   * channelCount > 1 asks the device for that many channels and analyses each one
    */
-  async startLiveVisualization(deviceId = null, fftSize = 2048) {
+  async startLiveVisualization(deviceId = null, fftSize = 2048, channelCount = this.requestedChannels) {
     console.log('🌐 BrowserAudioHandler: Starting live visualization...');
 
     try {
       // Check if we need a new stream
       const currentDeviceId = this.safeStream ? this.safeStream.getAudioTracks()[0]?.getSettings().deviceId : null;
-      if (!this.safeStream || currentDeviceId !== deviceId) {
+      const currentRate = this.safeStream ? this.safeStream.getAudioTracks()[0]?.getSettings().sampleRate : null;
+      const channelsChanged = channelCount !== this.requestedChannels;
+      const rateChanged = !!this.requestedSampleRate && currentRate !== this.requestedSampleRate;
+      this.requestedChannels = channelCount;
+      if (!this.safeStream || currentDeviceId !== deviceId || channelsChanged || rateChanged) {
         // Stop existing stream if any
         if (this.safeStream) {
           this.safeStream.getTracks().forEach(track => track.stop());
@@ -158,16 +258,24 @@ class BrowserAudioHandler {
 
         // Get new stream for the selected device
         this.safeStream = await navigator.mediaDevices.getUserMedia({
-          audio: {
-            deviceId: deviceId,
-            sampleRate: 44100,
-            channelCount: 1
-          }
+          audio: this.getAudioConstraints(deviceId)
         });
       }
 
+      this.updateDeviceSampleRates();
+
       // Set up AudioContext with this stream
-      this.audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+      this.audioCtx = this.createAudioContext();
+      try {
+        this.source = this.audioCtx.createMediaStreamSource(this.safeStream);
+      } catch (error) {
+        // Some browsers cannot connect a stream to a context running at a different rate
+        const trackRate = this.safeStream.getAudioTracks()[0]?.getSettings().sampleRate;
+        console.warn(`Stream cannot run at ${this.audioCtx.sampleRate} Hz, falling back to the device rate (${trackRate || 'default'}):`, error);
+        this.audioCtx.close();
+        this.audioCtx = this.createAudioContext(trackRate || null);
+        this.source = this.audioCtx.createMediaStreamSource(this.safeStream);
+      }
       this.updateFrequencyLimits();
 
       this.analyser = this.audioCtx.createAnalyser();
@@ -175,7 +283,6 @@ class BrowserAudioHandler {
       this.analyser.smoothingTimeConstant = 0.0;
       this.bufferLength = this.analyser.frequencyBinCount;
       this.dataArray = new Float32Array(this.bufferLength);
-      this.source = this.audioCtx.createMediaStreamSource(this.safeStream);
 
       // Set up MediaRecorder with SAME stream
       this.mediaRecorder = new MediaRecorder(this.safeStream, {
@@ -192,6 +299,14 @@ class BrowserAudioHandler {
       // Connect only to analyser for visualization
       this.source.connect(this.analyser);
 
+      // Per-channel analysers when the device actually delivers more than one channel
+      const trackSettings = this.safeStream.getAudioTracks()[0]?.getSettings() || {};
+      this.channelCount = Math.min(trackSettings.channelCount || this.source.channelCount || 1, channelCount);
+      this.channelSet = this.channelCount > 1
+        ? this.createChannelAnalysers(this.audioCtx, this.source, this.channelCount, fftSize)
+        : null;
+      console.log(`🎚️ Input channels: ${this.channelCount}`);
+
       if (this.peakHoldArray.length !== this.bufferLength) {
         this.peakHoldArray = new Float32Array(this.bufferLength).fill(-Infinity);
       }
@@ -217,6 +332,9 @@ class BrowserAudioHandler {
     if (this.source && this.analyser) {
       try {
         this.source.disconnect(this.analyser);
+        if (this.channelSet) {
+          this.source.disconnect(this.channelSet.splitter);
+        }
         console.log('🌐 Audio source disconnected - analyser will decay naturally to silence');
       } catch (error) {
         console.error('Error disconnecting audio source:', error);
@@ -328,6 +446,77 @@ class BrowserAudioHandler {
     });
   }
 
+  /**
+   * Play a stimulus through the output while recording the live input
+   * Resolves with the recorded samples (mixed to mono): the stimulus length plus
+   * tailSeconds, so latency and decay are captured. Needs live mode running.
+   */
+  measureResponse(stimulus, tailSeconds = 1) {
+    if (!this.running || !this.audioCtx || !this.source) {
+      return Promise.reject(new Error('Live input is not running'));
+    }
+    const processing = this.getActiveVoiceProcessing();
+    if (processing.length > 0) {
+      return Promise.reject(new Error(`The browser kept input processing on (${processing.join(', ')}) - the measurement would be wrong`));
+    }
+
+    const audioCtx = this.audioCtx;
+    const recorded = new Float32Array(stimulus.length + Math.round(tailSeconds * audioCtx.sampleRate));
+    console.log(`📏 Measuring response: ${(recorded.length / audioCtx.sampleRate).toFixed(1)} s at ${audioCtx.sampleRate} Hz`);
+
+    return new Promise((resolve, reject) => {
+      const buffer = audioCtx.createBuffer(1, stimulus.length, audioCtx.sampleRate);
+      buffer.copyToChannel(stimulus, 0);
+      const player = audioCtx.createBufferSource();
+      player.buffer = buffer;
+      player.connect(audioCtx.destination);
+
+      // The processor has to reach the destination to run - muted so the input is not monitored
+      const recorder = audioCtx.createScriptProcessor(BrowserAudioHandler.CAPTURE_BLOCK_SIZE, 1, 1);
+      const mute = audioCtx.createGain();
+      mute.gain.value = 0;
+
+      let position = 0;
+      let playing = false;
+      const finish = () => {
+        recorder.onaudioprocess = null;
+        try {
+          this.source.disconnect(recorder);
+          recorder.disconnect();
+          mute.disconnect();
+          player.disconnect();
+        } catch (error) {
+          // Context already closed
+        }
+      };
+
+      recorder.onaudioprocess = (event) => {
+        // Start the sweep once capture is running, so its beginning is always recorded
+        if (!playing) {
+          playing = true;
+          player.start();
+        }
+        if (!this.running) {
+          finish();
+          reject(new Error('Live input stopped during the measurement'));
+          return;
+        }
+        const input = event.inputBuffer.getChannelData(0);
+        const count = Math.min(input.length, recorded.length - position);
+        recorded.set(input.subarray(0, count), position);
+        position += count;
+        if (position >= recorded.length) {
+          finish();
+          resolve(recorded);
+        }
+      };
+
+      this.source.connect(recorder);
+      recorder.connect(mute);
+      mute.connect(audioCtx.destination);
+    });
+  }
+
   /**
    * Get frequency data from analyser
    */
@@ -339,6 +528,70 @@ class BrowserAudioHandler {
     return null;
   }
 
+  /**
+   * Split a source node into one analyser per channel
+   * Stereo sources also get Mid ((L+R)/2) and Side ((L-R)/2) analysers
+   * Returns { splitter, traces: [{ id, name, analyser, dataArray }] } - ids are the
+   * channel index, 'mid' or 'side' (the same ids the offline analysis accepts)
+   */
+  createChannelAnalysers(audioCtx, sourceNode, channelCount, fftSize) {
+    const splitter = audioCtx.createChannelSplitter(channelCount);
+    sourceNode.connect(splitter);
+
+    const createAnalyser = () => {
+      const analyser = audioCtx.createAnalyser();
+      analyser.fftSize = fftSize;
+      analyser.smoothingTimeConstant = 0.0;
+      return analyser;
+    };
+    const createGain = (value) => {
+      const gain = audioCtx.createGain();
+      gain.gain.value = value;
+      return gain;
+    };
+    const trace = (id, name, analyser) => ({
+      id: id,
+      name: name,
+      analyser: analyser,
+      dataArray: new Float32Array(analyser.frequencyBinCount).fill(-Infinity)
+    });
+
+    const traces = [];
+    for (let c = 0; c < channelCount; c++) {
+      const analyser = createAnalyser();
+      splitter.connect(analyser, c);
+      const name = channelCount === 2 ? ['L', 'R'][c] : `Ch ${c + 1}`;
+      traces.push(trace(c, name, analyser));
+    }
+
+    if (channelCount === 2) {
+      const midAnalyser = createAnalyser();
+      const midGain = createGain(0.5);
+      splitter.connect(midGain, 0);
+      splitter.connect(midGain, 1);
+      midGain.connect(midAnalyser);
+      traces.push(trace('mid', 'Mid', midAnalyser));
+
+      const sideAnalyser = createAnalyser();
+      const sideLeft = createGain(0.5);
+      const sideRight = createGain(-0.5);
+      splitter.connect(sideLeft, 0);
+      splitter.connect(sideRight, 1);
+      sideLeft.connect(sideAnalyser);
+      sideRight.connect(sideAnalyser);
+      traces.push(trace('side', 'Side', sideAnalyser));
+    }
+
+    return { splitter: splitter, traces: traces };
+  }
+
+  /**
+   * Per-channel traces of the live input (empty for mono input)
+   */
+  getChannelTraces() {
+    return this.channelSet ? this.channelSet.traces : [];
+  }
+
   /**
    * Calculate RMS level from current audio data
    */
@@ -407,11 +660,17 @@ class BrowserAudioHandler {
     this.recordedChunks = [];
     this.recordedBlob = null;
     this.peakHoldArray = [];
+    this.channelSet = null;
 
     console.log('🌐 BrowserAudioHandler: Resources disposed');
   }
 }
 
+// Standard sample rates offered until a context shows the browser cannot run one
+BrowserAudioHandler.SAMPLE_RATES = [8000, 16000, 22050, 32000, 44100, 48000, 88200, 96000, 176400, 192000];
+BrowserAudioHandler.CAPTURE_BLOCK_SIZE = 4096; // Samples per block when recording raw input
+BrowserAudioHandler.VOICE_PROCESSING = ['echoCancellation', 'noiseSuppression', 'autoGainControl']; // Turned off on every input
+
 // Export for ES6 modules
 export { BrowserAudioHandler };
 
@@ -0,0 +1,164 @@
+/**
+ * DistortionAnalyzer - THD, THD+N, SINAD, SNR and ENOB of a test tone
+ * Works on a dB spectrum (AnalyserNode or offline FFT bin layout) by summing
+ * bin powers: the fundamental's lobe, each harmonic's lobe, and everything else
+ * DOM-free
+ */
+class DistortionAnalyzer {
+  constructor() {
+    this.harmonicCount = DistortionAnalyzer.DEFAULT_HARMONICS; // Highest harmonic order measured
+    this.fundamental = null; // Hz to lock onto, or null to follow the strongest tone
+    this.bandwidth = 'audio'; // 'audio' (20 Hz - 20 kHz) or 'full' (to Nyquist)
+    this.windowType = 'blackman';
+    this.kaiserBeta = WindowFunctions.DEFAULT_KAISER_BETA;
+  }
+
+  setHarmonicCount(count) {
+    this.harmonicCount = Math.max(2, Math.min(DistortionAnalyzer.MAX_HARMONICS, Math.round(count) || DistortionAnalyzer.DEFAULT_HARMONICS));
+  }
+
+  // Lock onto a fundamental frequency (Hz), or pass null/0 for the strongest tone
+  setFundamental(freq) {
+    this.fundamental = freq > 0 && isFinite(freq) ? freq : null;
+  }
+
+  setBandwidth(bandwidth) {
+    this.bandwidth = bandwidth === 'full' ? 'full' : 'audio';
+  }
+
+  // Window the spectrum was computed with - sets how many bins a tone spreads over
+  setWindow(type, beta = WindowFunctions.DEFAULT_KAISER_BETA) {
+    this.windowType = type;
+    this.kaiserBeta = beta;
+  }
+
+  /**
+   * Analyse one dB spectrum (bins 0..length-1 spanning 0..sampleRate/2)
+   * Returns null when there is no usable tone, otherwise
+   * { fundamental: { freq, db }, harmonics: [{ order, freq, db, dbc }],
+   *   thd, thdDb, thdN, thdNDb, sinad, snr, enob, bandwidth: { min, max } }
+   * with thd / thdN as ratios (multiply by 100 for %) and the rest in dB / bits
+   */
+  analyze(spectrum, sampleRate) {
+    if (!spectrum || spectrum.length < 16 || !sampleRate) return null;
+
+    const length = spectrum.length;
+    const binHz = sampleRate / 2 / length;
+    const lobe = WindowFunctions.mainLobeBins(this.windowType, this.kaiserBeta) + DistortionAnalyzer.LOBE_GUARD_BINS;
+
+    // Measurement band - always leave out DC and its window lobe
+    const bandMin = this.bandwidth === 'audio' ? DistortionAnalyzer.AUDIO_BAND[0] : 0;
+    const bandMax = this.bandwidth === 'audio' ? Math.min(DistortionAnalyzer.AUDIO_BAND[1], sampleRate / 2) : sampleRate / 2;
+    const low = Math.max(lobe + 1, Math.ceil(bandMin / binHz));
+    const high = Math.min(length - 1, Math.floor(bandMax / binHz));
+    if (high - low < lobe * 4) return null;
+
+    const power = new Float64Array(length);
+    for (let i = 0; i < length; i++) {
+      power[i] = isFinite(spectrum[i]) ? Math.pow(10, spectrum[i] / 10) : 0;
+    }
+
+    // Fundamental - strongest bin in the band, or near the locked frequency
+    let searchLow = low;
+    let searchHigh = high;
+    if (this.fundamental) {
+      const center = Math.round(this.fundamental / binHz);
+      const reach = Math.max(lobe, Math.round(center * DistortionAnalyzer.LOCK_TOLERANCE));
+      searchLow = Math.max(low, center - reach);
+      searchHigh = Math.min(high, center + reach);
+    }
+    const k1 = DistortionAnalyzer.strongestBin(power, searchLow, searchHigh);
+    if (k1 < 0 || power[k1] <= 0) return null;
+
+    const used = new Uint8Array(length); // Bins already assigned to a tone
+    const fundamentalPower = DistortionAnalyzer.lobePower(power, k1, lobe, low, high, used);
+    const f1 = (k1 + DistortionAnalyzer.peakOffset(spectrum, k1)) * binHz;
+
+    // Harmonics 2..N that fall inside the band
+    const harmonics = [];
+    let harmonicPower = 0;
+    for (let order = 2; order <= this.harmonicCount; order++) {
+      const center = Math.round(order * f1 / binHz);
+      if (center > high) break;
+      const k = DistortionAnalyzer.strongestBin(power, Math.max(low, center - lobe), Math.min(high, center + lobe), used);
+      if (k < 0) continue;
+      const lobePower = DistortionAnalyzer.lobePower(power, k, lobe, low, high, used);
+      harmonicPower += lobePower;
+      harmonics.push({
+        order: order,
+        freq: (k + DistortionAnalyzer.peakOffset(spectrum, k)) * binHz,
+        db: spectrum[k],
+        dbc: DistortionAnalyzer.ratioDb(lobePower / fundamentalPower)
+      });
+    }
+
+    // Everything in the band that is not the fundamental is noise + distortion
+    let total = 0;
+    for (let i = low; i <= high; i++) total += power[i];
+    const noiseAndDistortion = Math.max(total - fundamentalPower, Number.MIN_VALUE);
+    const noise = Math.max(noiseAndDistortion - harmonicPower, Number.MIN_VALUE);
+
+    const thd = Math.sqrt(harmonicPower / fundamentalPower);
+    const thdN = Math.sqrt(noiseAndDistortion / fundamentalPower);
+    const sinad = DistortionAnalyzer.ratioDb((fundamentalPower + noiseAndDistortion) / noiseAndDistortion);
+
+    return {
+      fundamental: { freq: f1, db: spectrum[k1] },
+      harmonics: harmonics,
+      thd: thd,
+      thdDb: DistortionAnalyzer.ratioDb(thd * thd),
+      thdN: thdN,
+      thdNDb: DistortionAnalyzer.ratioDb(thdN * thdN),
+      sinad: sinad,
+      snr: DistortionAnalyzer.ratioDb(fundamentalPower / noise),
+      enob: (sinad - 1.76) / 6.02,
+      bandwidth: { min: low * binHz, max: high * binHz }
+    };
+  }
+
+  // Index of the largest unused power in [from, to], or -1
+  static strongestBin(power, from, to, used = null) {
+    let best = -1;
+    for (let i = from; i <= to; i++) {
+      if (used && used[i]) continue;
+      if (best < 0 || power[i] > power[best]) best = i;
+    }
+    return best;
+  }
+
+  // Sum of the unused bins within `lobe` bins of k (inside the band), marking them used
+  static lobePower(power, k, lobe, low, high, used) {
+    let sum = 0;
+    for (let i = Math.max(low, k - lobe); i <= Math.min(high, k + lobe); i++) {
+      if (used[i]) continue;
+      sum += power[i];
+      used[i] = 1;
+    }
+    return sum;
+  }
+
+  // Sub-bin offset of a peak from a parabola through the dB values around it
+  static peakOffset(spectrum, k) {
+    const a = spectrum[k - 1];
+    const b = spectrum[k];
+    const c = spectrum[k + 1];
+    if (!isFinite(a) || !isFinite(b) || !isFinite(c)) return 0;
+    const denominator = a - 2 * b + c;
+    return denominator === 0 ? 0 : Math.max(-0.5, Math.min(0.5, 0.5 * (a - c) / denominator));
+  }
+
+  static ratioDb(ratio) {
+    return ratio > 0 ? 10 * Math.log10(ratio) : -Infinity;
+  }
+}
+
+DistortionAnalyzer.DEFAULT_HARMONICS = 10;
+DistortionAnalyzer.MAX_HARMONICS = 50;
+DistortionAnalyzer.LOBE_GUARD_BINS = 2; // Extra bins either side of the main lobe to catch near sidelobes
+DistortionAnalyzer.LOCK_TOLERANCE = 0.03; // Search ±3% around a locked fundamental
+DistortionAnalyzer.AUDIO_BAND = [20, 20000]; // Hz
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DistortionAnalyzer;
+}
@@ -0,0 +1,180 @@
+/**
+ * FFT - Pure JavaScript radix-2 FFT engine
+ * DOM-free so offline analysis, scrubbing and exports can compute spectra
+ * synchronously (and so it can be unit-tested in Node)
+ */
+class FFT {
+  constructor(size) {
+    if (!FFT.isPowerOfTwo(size)) {
+      throw new Error(`FFT size must be a power of two, got ${size}`);
+    }
+
+    this.size = size;
+    this.binCount = size / 2; // Same bin layout as AnalyserNode.frequencyBinCount
+
+    // Bit-reversal permutation table
+    const bits = Math.log2(size);
+    this.reverseTable = new Uint32Array(size);
+    for (let i = 0; i < size; i++) {
+      let reversed = 0;
+      for (let b = 0; b < bits; b++) {
+        reversed = (reversed << 1) | ((i >> b) & 1);
+      }
+      this.reverseTable[i] = reversed;
+    }
+
+    // Twiddle factors e^(-2πik/N) for k < N/2
+    this.cosTable = new Float64Array(Math.max(1, size / 2));
+    this.sinTable = new Float64Array(Math.max(1, size / 2));
+    for (let k = 0; k < size / 2; k++) {
+      this.cosTable[k] = Math.cos(2 * Math.PI * k / size);
+      this.sinTable[k] = -Math.sin(2 * Math.PI * k / size);
+    }
+
+    // Scratch buffers for real transforms (allocated on first use)
+    this.scratchReal = null;
+    this.scratchImag = null;
+  }
+
+  static isPowerOfTwo(n) {
+    return Number.isInteger(n) && n > 0 && (n & (n - 1)) === 0;
+  }
+
+  // Shared instance per size so tables are only built once
+  static forSize(size) {
+    if (!FFT.cache.has(size)) {
+      FFT.cache.set(size, new FFT(size));
+    }
+    return FFT.cache.get(size);
+  }
+
+  /**
+   * In-place complex FFT of length `size`
+   * Pass inverse = true for the inverse transform (scaled by 1/N)
+   */
+  transform(real, imag, inverse = false) {
+    const n = this.size;
+
+    for (let i = 0; i < n; i++) {
+      const j = this.reverseTable[i];
+      if (j > i) {
+        let tmp = real[i]; real[i] = real[j]; real[j] = tmp;
+        tmp = imag[i]; imag[i] = imag[j]; imag[j] = tmp;
+      }
+    }
+
+    const direction = inverse ? -1 : 1;
+    for (let len = 2; len <= n; len <<= 1) {
+      const half = len >> 1;
+      const step = n / len;
+      for (let start = 0; start < n; start += len) {
+        for (let j = 0; j < half; j++) {
+          const wr = this.cosTable[j * step];
+          const wi = this.sinTable[j * step] * direction;
+          const a = start + j;
+          const b = a + half;
+          const tr = wr * real[b] - wi * imag[b];
+          const ti = wr * imag[b] + wi * real[b];
+          real[b] = real[a] - tr;
+          imag[b] = imag[a] - ti;
+          real[a] += tr;
+          imag[a] += ti;
+        }
+      }
+    }
+
+    if (inverse) {
+      for (let i = 0; i < n; i++) {
+        real[i] /= n;
+        imag[i] /= n;
+      }
+    }
+  }
+
+  /**
+   * Real-input FFT of length `size` using a half-length complex FFT
+   * Writes bins 0..size/2 (inclusive) into outReal/outImag
+   */
+  forwardReal(input, outReal, outImag) {
+    const n = this.size;
+    const half = n / 2;
+
+    if (n === 1) {
+      outReal[0] = input[0] || 0;
+      outImag[0] = 0;
+      return;
+    }
+
+    if (!this.scratchReal) {
+      this.scratchReal = new Float64Array(half);
+      this.scratchImag = new Float64Array(half);
+    }
+    const zr = this.scratchReal;
+    const zi = this.scratchImag;
+
+    // Pack even/odd samples as real/imaginary parts (zero padding short input)
+    for (let m = 0; m < half; m++) {
+      zr[m] = input[2 * m] || 0;
+      zi[m] = input[2 * m + 1] || 0;
+    }
+    FFT.forSize(half).transform(zr, zi);
+
+    // Split into the spectra of the even and odd samples and recombine
+    for (let k = 0; k <= half; k++) {
+      const k1 = k % half;
+      const k2 = (half - k) % half;
+      const zkR = zr[k1];
+      const zkI = zi[k1];
+      const zcR = zr[k2];
+      const zcI = -zi[k2];
+
+      const evenR = (zkR + zcR) / 2;
+      const evenI = (zkI + zcI) / 2;
+      const oddR = (zkI - zcI) / 2;
+      const oddI = -(zkR - zcR) / 2;
+
+      const wr = k < half ? this.cosTable[k] : -1;
+      const wi = k < half ? this.sinTable[k] : 0;
+      outReal[k] = evenR + wr * oddR - wi * oddI;
+      outImag[k] = evenI + wr * oddI + wi * oddR;
+    }
+  }
+
+  /**
+   * Single-sided magnitude spectrum in dBFS (a full-scale sine reads 0 dB)
+   * An optional window is applied and its coherent gain corrected for
+   * Returns `binCount` values laid out like AnalyserNode.getFloatFrequencyData
+   */
+  magnitudeDb(samples, window = null, output = new Float32Array(this.binCount)) {
+    let frame = samples;
+    let gain = 1;
+    if (window) {
+      frame = new Float64Array(this.size);
+      let sum = 0;
+      for (let n = 0; n < this.size; n++) {
+        frame[n] = (samples[n] || 0) * window[n];
+        sum += window[n];
+      }
+      gain = sum / this.size || 1;
+    }
+
+    const real = new Float64Array(this.binCount + 1);
+    const imag = new Float64Array(this.binCount + 1);
+    this.forwardReal(frame, real, imag);
+
+    for (let k = 0; k < this.binCount; k++) {
+      // DC has no mirrored negative-frequency half, so it is not doubled
+      const scale = (k === 0 ? 1 / this.size : 2 / this.size) / gain;
+      const magnitude = Math.sqrt(real[k] * real[k] + imag[k] * imag[k]) * scale;
+      output[k] = magnitude > 0 ? 20 * Math.log10(magnitude) : -Infinity;
+    }
+    return output;
+  }
+}
+
+FFT.cache = new Map();
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FFT;
+}
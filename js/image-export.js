@@ -0,0 +1,106 @@
+/**
+ * ImageExport - Re-renders a SpectrumGraph for reports, as a PNG at a chosen
+ * size and DPI or as an SVG vector image
+ */
+const ImageExport = {
+  // Screen resolution the export size (in CSS pixels) is defined at
+  BASE_DPI: 96,
+
+  // Largest PNG side in pixels (browsers refuse bigger canvases)
+  MAX_PIXELS: 16384,
+
+  /**
+   * Render the graph to a PNG blob. width/height are in CSS pixels; the bitmap
+   * is scaled by dpi / 96 and tagged with the DPI so documents size it correctly.
+   * Options are passed through to SpectrumGraph.renderExport (theme, title, legend).
+   */
+  async exportPng(graph, width, height, dpi, options = {}) {
+    const scale = Math.min(dpi / ImageExport.BASE_DPI,
+      ImageExport.MAX_PIXELS / width, ImageExport.MAX_PIXELS / height);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    const ctx = canvas.getContext('2d');
+    ctx.scale(scale, scale);
+    graph.renderExport(ctx, width, height, options);
+
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    if (!blob) throw new Error('PNG encoding failed');
+
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    return new Blob([ImageExport.setPngDpi(bytes, ImageExport.BASE_DPI * scale)], { type: 'image/png' });
+  },
+
+  // Render the graph to an SVG blob
+  exportSvg(graph, width, height, options = {}) {
+    const ctx = new SvgContext(width, height);
+    graph.renderExport(ctx, width, height, options);
+    return new Blob([ctx.toString()], { type: 'image/svg+xml' });
+  },
+
+  /**
+   * Insert (or replace) the pHYs chunk of a PNG so it carries its DPI
+   * Returns the original bytes untouched if they are not a PNG
+   */
+  setPngDpi(bytes, dpi) {
+    const signature = [137, 80, 78, 71, 13, 10, 26, 10];
+    if (bytes.length < 33 || signature.some((b, i) => bytes[i] !== b)) return bytes;
+
+    const pixelsPerMeter = Math.round(dpi / 0.0254);
+    const chunk = new Uint8Array(21);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, 9);
+    chunk.set([112, 72, 89, 115], 4); // 'pHYs'
+    view.setUint32(8, pixelsPerMeter);
+    view.setUint32(12, pixelsPerMeter);
+    chunk[16] = 1; // unit: meter
+    view.setUint32(17, ImageExport.crc32(chunk.subarray(4, 17)));
+
+    // Walk the chunks, dropping any existing pHYs and inserting ours after IHDR
+    const parts = [bytes.subarray(0, 8)];
+    let offset = 8;
+    while (offset + 8 <= bytes.length) {
+      const length = new DataView(bytes.buffer, bytes.byteOffset + offset, 4).getUint32(0);
+      const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+      const end = offset + 12 + length;
+      if (type !== 'pHYs') parts.push(bytes.subarray(offset, end));
+      if (type === 'IHDR') parts.push(chunk);
+      offset = end;
+    }
+
+    const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    parts.forEach(part => {
+      output.set(part, position);
+      position += part.length;
+    });
+    return output;
+  },
+
+  crcTable: null,
+
+  crc32(bytes) {
+    if (!ImageExport.crcTable) {
+      ImageExport.crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        ImageExport.crcTable[n] = c >>> 0;
+      }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = ImageExport.crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ImageExport;
+}
@@ -0,0 +1,86 @@
+/**
+ * MicCorrection - Microphone calibration / correction curves
+ * Parses .txt / .frd frequency response tables (frequency, dB[, phase]) and
+ * interpolates them onto an FFT bin grid. The curve is the microphone's deviation,
+ * so the correction subtracts it from the measured spectrum.
+ * DOM-free
+ */
+const MicCorrection = {
+  /**
+   * Parse a calibration file into [[freq, db], ...] sorted by frequency
+   * Comment / header lines (*, #, ;, quoted text) and any phase column are ignored
+   */
+  parse(text) {
+    const points = [];
+    String(text).split(/\r?\n/).forEach(line => {
+      const trimmed = line.trim();
+      if (!trimmed || /^[*#;"']/.test(trimmed)) return;
+      const values = trimmed.split(/[\s,;]+/).map(Number);
+      if (values.length < 2) return;
+      const [freq, db] = values;
+      if (freq > 0 && isFinite(freq) && isFinite(db)) points.push([freq, db]);
+    });
+
+    points.sort((a, b) => a[0] - b[0]);
+    // Keep the first value of duplicated frequencies
+    const unique = points.filter((p, i) => i === 0 || p[0] !== points[i - 1][0]);
+    if (unique.length < MicCorrection.MIN_POINTS) {
+      throw new Error('No frequency / dB table found');
+    }
+    return unique;
+  },
+
+  /**
+   * Curve dB at each bin of a spectrum with `length` bins up to sampleRate / 2
+   * Linear in dB over log frequency; outside the table the end values are held
+   */
+  interpolate(points, length, sampleRate, output = new Float32Array(length)) {
+    const nyquist = sampleRate / 2;
+    const last = points.length - 1;
+    let j = 0;
+    for (let i = 0; i < length; i++) {
+      const freq = i / length * nyquist;
+      if (freq <= points[0][0]) {
+        output[i] = points[0][1];
+        continue;
+      }
+      if (freq >= points[last][0]) {
+        output[i] = points[last][1];
+        continue;
+      }
+      while (points[j + 1][0] < freq) j++;
+      const [f1, db1] = points[j];
+      const [f2, db2] = points[j + 1];
+      const t = Math.log(freq / f1) / Math.log(f2 / f1);
+      output[i] = db1 + (db2 - db1) * t;
+    }
+    return output;
+  },
+
+  // Correction (dB to add) for the enabled curves of a device, summed, on the bin grid
+  combine(curves, length, sampleRate) {
+    const correction = new Float32Array(length);
+    const curve = new Float32Array(length);
+    curves.filter(c => c.enabled).forEach(c => {
+      MicCorrection.interpolate(c.points, length, sampleRate, curve);
+      for (let i = 0; i < length; i++) correction[i] -= curve[i];
+    });
+    return correction;
+  },
+
+  // Short description of a curve's range for the panel
+  describe(curve) {
+    const hz = f => (f >= 1000 ? `${+(f / 1000).toFixed(1)}k` : `${+f.toFixed(1)}`);
+    const first = curve.points[0][0];
+    const last = curve.points[curve.points.length - 1][0];
+    return `${curve.points.length} points, ${hz(first)}-${hz(last)} Hz`;
+  },
+
+  MIN_POINTS: 2,
+  FILE_TYPES: '.txt,.frd,.cal,.csv'
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MicCorrection;
+}
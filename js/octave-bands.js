@@ -0,0 +1,85 @@
+/**
+ * OctaveBands - Fractional-octave bands (IEC 61260-1, base-10 midband frequencies)
+ * and the aggregation of FFT bins into band levels for the RTA display
+ * DOM-free
+ */
+const OctaveBands = {
+  // Bands per octave offered by the RTA
+  FRACTIONS: {
+    1: '1/1 octave',
+    3: '1/3 octave',
+    6: '1/6 octave',
+    12: '1/12 octave'
+  },
+
+  REFERENCE_FREQUENCY: 1000, // Hz
+  OCTAVE_RATIO: Math.pow(10, 3 / 10), // G, the base-10 octave ratio
+
+  // Preferred (nominal) values used to label bands, ISO 266 R10 series
+  NOMINAL_SERIES: [1, 1.25, 1.6, 2, 2.5, 3.15, 4, 5, 6.3, 8],
+
+  /**
+   * Bands of 1/fraction octave that overlap (minFreq, maxFreq) - a band whose midband
+   * sits just outside the range (19.95 Hz with a 20 Hz minimum) is still included
+   * Returns [{ center, low, high, label }] in ascending order
+   */
+  create(fraction, minFreq, maxFreq) {
+    const b = OctaveBands.FRACTIONS[fraction] ? Number(fraction) : 3;
+    const G = OctaveBands.OCTAVE_RATIO;
+    // Odd fractions are centred on 1 kHz, even ones straddle it (IEC 61260-1 5.4)
+    const center = x => OctaveBands.REFERENCE_FREQUENCY * Math.pow(G, b % 2 === 1 ? x / b : (2 * x + 1) / (2 * b));
+    const edge = Math.pow(G, 1 / (2 * b));
+
+    const bands = [];
+    const first = Math.ceil(b * Math.log(Math.max(minFreq, 1) / OctaveBands.REFERENCE_FREQUENCY) / Math.log(G)) - 2;
+    for (let x = first; ; x++) {
+      const fm = center(x);
+      if (fm / edge >= maxFreq) break;
+      if (fm * edge <= minFreq) continue;
+      bands.push({ center: fm, low: fm / edge, high: fm * edge, label: OctaveBands.nominalLabel(fm) });
+    }
+    return bands;
+  },
+
+  // Short label for a midband frequency - the R10 preferred value when it is within 1%, else 3 significant figures
+  nominalLabel(freq) {
+    const decade = Math.pow(10, Math.floor(Math.log10(freq)));
+    let value = Number((freq / decade).toPrecision(3)) * decade;
+    OctaveBands.NOMINAL_SERIES.concat([10]).forEach(n => {
+      if (Math.abs(freq / (n * decade) - 1) < 0.01) value = n * decade;
+    });
+    value = Number(value.toPrecision(3));
+    return value >= 1000 ? `${+(value / 1000).toFixed(2)}k` : String(value);
+  },
+
+  /**
+   * Band levels (dB) of a dB spectrum with bins laid out up to sampleRate / 2
+   * Bin powers inside each band are summed and divided by the window's ENBW (in bins),
+   * so a tone reads its level and noise reads its band power. Bands narrower than a bin
+   * take the bin containing their midband frequency. Bands above Nyquist are -Infinity.
+   */
+  aggregate(spectrum, sampleRate, bands, enbw = 1, output = new Float32Array(bands.length)) {
+    const binHz = sampleRate / 2 / spectrum.length;
+    const power = (i) => (spectrum[i] !== null && isFinite(spectrum[i]) ? Math.pow(10, spectrum[i] / 10) : 0);
+
+    bands.forEach((band, index) => {
+      const first = Math.max(0, Math.ceil(band.low / binHz));
+      const last = Math.min(spectrum.length - 1, Math.ceil(band.high / binHz) - 1);
+      let sum = 0;
+      if (last >= first) {
+        for (let i = first; i <= last; i++) sum += power(i);
+        sum /= enbw;
+      } else {
+        const bin = Math.round(band.center / binHz);
+        sum = bin < spectrum.length ? power(bin) : 0;
+      }
+      output[index] = sum > 0 ? 10 * Math.log10(sum) : -Infinity;
+    });
+    return output;
+  }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = OctaveBands;
+}
@@ -0,0 +1,111 @@
+/**
+ * PartialTracker - Offline peak (partial) tracking over a sequence of spectra
+ * Picks the strongest N peaks of each frame and links them into tracks by
+ * frequency continuity (McAulay-Quatieri style), bridging short dropouts
+ * DOM-free; feed frames in time order with addFrame(), then call finish()
+ */
+class PartialTracker {
+  constructor(options = {}) {
+    this.maxPeaks = options.maxPeaks || 8; // Peaks picked per frame
+    this.minDb = options.minDb !== undefined ? options.minDb : -80; // Peaks below this are ignored
+    this.minFreq = options.minFreq || 0;
+    this.maxFreq = options.maxFreq || Infinity;
+    this.maxJumpCents = options.maxJumpCents || PartialTracker.MAX_JUMP_CENTS; // Largest step between frames
+    this.reset();
+  }
+
+  reset() {
+    this.active = []; // Tracks that can still continue
+    this.tracks = []; // Every track started, in start order
+    this.nextId = 1;
+    this.frameCount = 0;
+  }
+
+  /**
+   * Local maxima of a dB spectrum (bins up to sampleRate / 2) above minDb and inside
+   * [minFreq, maxFreq], strongest first, refined with a parabola through the dB values
+   * Returns [{ freq, db }]
+   */
+  findPeaks(spectrum, sampleRate) {
+    const binHz = sampleRate / 2 / spectrum.length;
+    const peaks = [];
+    for (let i = 1; i < spectrum.length - 1; i++) {
+      const b = spectrum[i];
+      if (!(b > this.minDb) || !(b > spectrum[i - 1]) || !(b >= spectrum[i + 1])) continue;
+      const a = spectrum[i - 1];
+      const c = spectrum[i + 1];
+      const denominator = a - 2 * b + c;
+      const offset = isFinite(denominator) && denominator < 0 ? Math.max(-0.5, Math.min(0.5, 0.5 * (a - c) / denominator)) : 0;
+      const freq = (i + offset) * binHz;
+      if (freq < this.minFreq || freq > this.maxFreq) continue;
+      peaks.push({ freq: freq, db: offset !== 0 ? b - 0.25 * (a - c) * offset : b });
+    }
+    return peaks.sort((p, q) => q.db - p.db).slice(0, this.maxPeaks);
+  }
+
+  // Fold in the spectrum of the frame centred at time (seconds)
+  addFrame(spectrum, sampleRate, time) {
+    const peaks = this.findPeaks(spectrum, sampleRate);
+    const frame = this.frameCount++;
+
+    // Closest pairs link first, so crossing partials keep their own tracks
+    const pairs = [];
+    this.active.forEach(track => {
+      const last = track.points[track.points.length - 1];
+      peaks.forEach(peak => {
+        const cents = Math.abs(1200 * Math.log2(peak.freq / last.freq));
+        if (cents <= this.maxJumpCents) pairs.push({ track: track, peak: peak, cents: cents });
+      });
+    });
+    pairs.sort((p, q) => p.cents - q.cents);
+
+    const linkedTracks = new Set();
+    const linkedPeaks = new Set();
+    pairs.forEach(({ track, peak }) => {
+      if (linkedTracks.has(track) || linkedPeaks.has(peak)) return;
+      linkedTracks.add(track);
+      linkedPeaks.add(peak);
+      track.points.push({ time: time, freq: peak.freq, db: peak.db });
+      track.lastFrame = frame;
+    });
+
+    // Unlinked peaks start tracks; tracks missing for too long end
+    peaks.forEach(peak => {
+      if (linkedPeaks.has(peak)) return;
+      const track = { id: this.nextId++, points: [{ time: time, freq: peak.freq, db: peak.db }], lastFrame: frame };
+      this.tracks.push(track);
+      this.active.push(track);
+    });
+    this.active = this.active.filter(track => frame - track.lastFrame <= PartialTracker.MAX_GAP_FRAMES);
+  }
+
+  /**
+   * Tracks at least minFrames long, renumbered from 1
+   * Returns [{ id, points: [{ time, freq, db }], start, end, meanFreq, maxDb }]
+   */
+  finish(minFrames = PartialTracker.MIN_TRACK_FRAMES) {
+    this.active = [];
+    return this.tracks
+      .filter(track => track.points.length >= minFrames)
+      .map((track, index) => {
+        const points = track.points;
+        return {
+          id: index + 1,
+          points: points,
+          start: points[0].time,
+          end: points[points.length - 1].time,
+          meanFreq: points.reduce((sum, p) => sum + p.freq, 0) / points.length,
+          maxDb: points.reduce((max, p) => Math.max(max, p.db), -Infinity)
+        };
+      });
+  }
+}
+
+PartialTracker.MAX_JUMP_CENTS = 50; // Frequency step between frames still counted as the same partial
+PartialTracker.MAX_GAP_FRAMES = 2; // Frames a partial may drop out and still continue
+PartialTracker.MIN_TRACK_FRAMES = 4; // Shorter tracks are discarded as noise
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PartialTracker;
+}
@@ -0,0 +1,94 @@
+/**
+ * PeakTracker - Follows spectrum peaks from frame to frame
+ * Matches each frame's peaks to the tracked ones by frequency, timing how long each
+ * has persisted, and keeps a rolling history with one entry per peak occurrence
+ * DOM-free; times are in milliseconds (performance.now() or Date.now())
+ */
+class PeakTracker {
+  constructor() {
+    this.tracks = []; // [{ id, freq, db, maxDb, start, lastSeen, entry }]
+    this.history = []; // [{ id, start, end, freq, db, maxDb, active }], oldest first
+    this.nextId = 1;
+    this.startTime = null;
+  }
+
+  reset() {
+    this.tracks = [];
+    this.history = [];
+    this.startTime = null;
+  }
+
+  /**
+   * Fold one frame of peaks ([{ freq, db }]) in at time now
+   * matchHz is the smallest frequency step that still counts as the same peak (about a bin)
+   */
+  update(peaks, now, matchHz = 0) {
+    if (this.startTime === null) this.startTime = now;
+    const unmatched = this.tracks.slice();
+
+    peaks.slice().sort((a, b) => b.db - a.db).forEach(peak => {
+      let best = null;
+      let bestDistance = Infinity;
+      unmatched.forEach(track => {
+        const distance = Math.abs(track.freq - peak.freq);
+        const tolerance = Math.max(matchHz, peak.freq * (Math.pow(2, PeakTracker.MATCH_CENTS / 1200) - 1));
+        if (distance <= tolerance && distance < bestDistance) {
+          best = track;
+          bestDistance = distance;
+        }
+      });
+
+      if (best) {
+        unmatched.splice(unmatched.indexOf(best), 1);
+        best.freq = peak.freq;
+        best.db = peak.db;
+        best.maxDb = Math.max(best.maxDb, peak.db);
+        best.lastSeen = now;
+        Object.assign(best.entry, { end: now, freq: peak.freq, db: peak.db, maxDb: best.maxDb });
+        return;
+      }
+
+      const entry = { id: this.nextId, start: now, end: now, freq: peak.freq, db: peak.db, maxDb: peak.db, active: true };
+      this.tracks.push({ id: this.nextId++, freq: peak.freq, db: peak.db, maxDb: peak.db, start: now, lastSeen: now, entry: entry });
+      this.history.push(entry);
+    });
+
+    // Peaks missing for longer than the grace time have ended
+    const grace = PeakTracker.GRACE_TIME * 1000;
+    this.tracks = this.tracks.filter(track => {
+      if (now - track.lastSeen <= grace) return true;
+      track.entry.active = false;
+      return false;
+    });
+
+    if (this.history.length > PeakTracker.HISTORY_LIMIT) {
+      this.history.splice(0, this.history.length - PeakTracker.HISTORY_LIMIT);
+    }
+  }
+
+  /**
+   * Peaks seen in the latest frame, strongest first, with how long each has persisted
+   * Returns [{ id, freq, db, maxDb, duration }] (duration in seconds)
+   */
+  getCurrent() {
+    const latest = Math.max(...this.tracks.map(t => t.lastSeen));
+    return this.tracks
+      .filter(t => t.lastSeen === latest)
+      .map(t => ({ id: t.id, freq: t.freq, db: t.db, maxDb: t.maxDb, duration: (t.lastSeen - t.start) / 1000 }))
+      .sort((a, b) => b.db - a.db);
+  }
+
+  // Items with a freq inside [low, high] Hz - NaN (an empty input) leaves that side open
+  static filterByBand(items, low, high) {
+    return items.filter(item => !(item.freq < low) && !(item.freq > high));
+  }
+}
+
+PeakTracker.MATCH_CENTS = 35; // Frequency change (cents) still counted as the same peak
+PeakTracker.GRACE_TIME = 0.3; // Seconds a peak may drop out before it ends
+PeakTracker.HISTORY_LIMIT = 1000; // Entries kept in the rolling history
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PeakTracker;
+}
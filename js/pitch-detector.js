@@ -0,0 +1,188 @@
+/**
+ * PitchDetector - Time-domain fundamental frequency estimation
+ * YIN (de Cheveigné & Kawahara 2002) or McLeod Pitch Method (McLeod & Wyvill 2005)
+ * DOM-free (MPM uses FFT for its autocorrelation); feed it a block of samples and the sample rate
+ */
+class PitchDetector {
+  constructor(options = {}) {
+    this.method = PitchDetector.METHODS[options.method] ? options.method : 'yin';
+    this.minFrequency = options.minFrequency || PitchDetector.DEFAULT_MIN_FREQUENCY; // Hz
+    this.maxFrequency = options.maxFrequency || PitchDetector.DEFAULT_MAX_FREQUENCY; // Hz
+    this.yinThreshold = options.yinThreshold || 0.15;
+    this.mpmCutoff = options.mpmCutoff || 0.9;
+    this.silenceDb = options.silenceDb ?? -60; // RMS below this (dBFS) is treated as silence
+    this.minClarity = options.minClarity ?? 0.5; // Less periodic input is reported as unpitched
+
+    this.scratch = null; // Reused difference / NSDF buffer
+    this.acfReal = null; // Reused FFT buffers for the MPM autocorrelation
+    this.acfImag = null;
+  }
+
+  setMethod(method) {
+    if (PitchDetector.METHODS[method]) this.method = method;
+  }
+
+  setRange(minFrequency, maxFrequency) {
+    this.minFrequency = Math.max(1, minFrequency);
+    this.maxFrequency = Math.max(this.minFrequency * 2, maxFrequency);
+  }
+
+  /**
+   * Estimate the fundamental of a block of samples
+   * Returns { frequency, clarity } (clarity 0-1, higher is more periodic),
+   * or null for silence or unpitched input
+   */
+  detect(samples, sampleRate) {
+    if (!samples || samples.length < 64) return null;
+
+    let sumSquares = 0;
+    for (let i = 0; i < samples.length; i++) sumSquares += samples[i] * samples[i];
+    const rms = Math.sqrt(sumSquares / samples.length);
+    if (rms === 0 || 20 * Math.log10(rms) < this.silenceDb) return null;
+
+    const result = this.method === 'mpm' ? this.detectMpm(samples, sampleRate) : this.detectYin(samples, sampleRate);
+    return result && result.clarity >= this.minClarity ? result : null;
+  }
+
+  getScratch(length) {
+    if (!this.scratch || this.scratch.length < length) {
+      this.scratch = new Float64Array(length);
+    }
+    return this.scratch;
+  }
+
+  // YIN: cumulative mean normalized difference over a half-block window
+  detectYin(samples, sampleRate) {
+    const windowSize = Math.floor(samples.length / 2);
+    const maxLag = Math.min(windowSize - 1, Math.ceil(sampleRate / this.minFrequency));
+    const minLag = Math.max(2, Math.floor(sampleRate / this.maxFrequency));
+    if (maxLag <= minLag + 1) return null;
+
+    const d = this.getScratch(maxLag + 1);
+    d[0] = 1;
+    let runningSum = 0;
+    for (let lag = 1; lag <= maxLag; lag++) {
+      let sum = 0;
+      for (let j = 0; j < windowSize; j++) {
+        const delta = samples[j] - samples[j + lag];
+        sum += delta * delta;
+      }
+      runningSum += sum;
+      d[lag] = runningSum > 0 ? sum * lag / runningSum : 1;
+    }
+
+    // First dip under the threshold, followed down to its local minimum
+    let lag = -1;
+    for (let t = minLag; t < maxLag; t++) {
+      if (d[t] < this.yinThreshold) {
+        while (t + 1 < maxLag && d[t + 1] < d[t]) t++;
+        lag = t;
+        break;
+      }
+    }
+    if (lag < 0) return null;
+
+    const refined = PitchDetector.parabolicVertex(d[lag - 1], d[lag], d[lag + 1]);
+    return {
+      frequency: sampleRate / (lag + refined.offset),
+      clarity: Math.max(0, Math.min(1, 1 - refined.value))
+    };
+  }
+
+  // McLeod: normalized square difference function and its first strong key maximum
+  detectMpm(samples, sampleRate) {
+    const length = samples.length;
+    const maxLag = Math.min(length - 2, Math.ceil(sampleRate / this.minFrequency));
+    const minLag = Math.max(2, Math.floor(sampleRate / this.maxFrequency));
+    if (maxLag <= minLag + 1) return null;
+
+    // Autocorrelation through the FFT; the energy term drops one sample from each end per lag
+    const acf = this.autocorrelate(samples, maxLag);
+    const nsdf = this.getScratch(maxLag + 1);
+    let energy = 2 * acf[0];
+    for (let lag = 0; lag <= maxLag; lag++) {
+      if (lag > 0) energy -= samples[lag - 1] * samples[lag - 1] + samples[length - lag] * samples[length - lag];
+      nsdf[lag] = energy > 0 ? 2 * acf[lag] / energy : 0;
+    }
+
+    // Highest point of each positive lobe after the first negative zero crossing
+    const keyMaxima = [];
+    let lag = 1;
+    while (lag < maxLag && nsdf[lag] > 0) lag++;
+    let best = -1;
+    for (; lag < maxLag; lag++) {
+      if (nsdf[lag] > 0) {
+        if (best < 0 || nsdf[lag] > nsdf[best]) best = lag;
+      } else if (best >= 0) {
+        keyMaxima.push(best);
+        best = -1;
+      }
+    }
+    if (best >= 0) keyMaxima.push(best);
+
+    const candidates = keyMaxima.filter(t => t >= minLag);
+    if (candidates.length === 0) return null;
+
+    const highest = Math.max(...candidates.map(t => nsdf[t]));
+    const chosen = candidates.find(t => nsdf[t] >= this.mpmCutoff * highest);
+    if (nsdf[chosen] <= 0) return null;
+
+    const refined = PitchDetector.parabolicVertex(nsdf[chosen - 1], nsdf[chosen], nsdf[chosen + 1]);
+    return {
+      frequency: sampleRate / (chosen + refined.offset),
+      clarity: Math.max(0, Math.min(1, refined.value))
+    };
+  }
+
+  /**
+   * Linear autocorrelation of samples for lags 0..maxLag, via the FFT (zero padded so
+   * it does not wrap). Returns a reused buffer - index it by lag.
+   */
+  autocorrelate(samples, maxLag) {
+    let size = 1;
+    while (size < samples.length + maxLag + 1) size <<= 1;
+    if (!this.acfReal || this.acfReal.length !== size) {
+      this.acfReal = new Float64Array(size);
+      this.acfImag = new Float64Array(size);
+    }
+    const real = this.acfReal;
+    const imag = this.acfImag;
+    const fft = FFT.forSize(size);
+    const half = size / 2;
+
+    // Power spectrum (real and symmetric), then back to the time domain
+    fft.forwardReal(samples, real, imag);
+    for (let k = 0; k <= half; k++) {
+      real[k] = real[k] * real[k] + imag[k] * imag[k];
+      imag[k] = 0;
+      if (k > 0 && k < half) {
+        real[size - k] = real[k];
+        imag[size - k] = 0;
+      }
+    }
+    fft.transform(real, imag, true);
+    return real;
+  }
+
+  // Vertex of the parabola through three equally spaced points (offset in -0.5..0.5)
+  static parabolicVertex(a, b, c) {
+    const denominator = a - 2 * b + c;
+    if (!isFinite(denominator) || denominator === 0) return { offset: 0, value: b };
+    const offset = Math.max(-0.5, Math.min(0.5, 0.5 * (a - c) / denominator));
+    return { offset: offset, value: b - 0.25 * (a - c) * offset };
+  }
+}
+
+// Display names for the supported detectors
+PitchDetector.METHODS = {
+  'yin': 'YIN',
+  'mpm': 'McLeod (MPM)'
+};
+
+PitchDetector.DEFAULT_MIN_FREQUENCY = 30;
+PitchDetector.DEFAULT_MAX_FREQUENCY = 4200;
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PitchDetector;
+}
@@ -49,6 +49,11 @@ const dbMax = document.getElementById('dbMax');
 const togglePeakHold = document.getElementById('togglePeakHold');
 const peakCount = document.getElementById('peakCount');
 const peakDelta = document.getElementById('peakDelta');
+const peakHoldMode = document.getElementById('peakHoldMode');
+const peakHoldTime = document.getElementById('peakHoldTime');
+const peakFallRate = document.getElementById('peakFallRate');
+const peakDecaySettings = document.getElementById('peakDecaySettings');
+const peakInterpolationSelect = document.getElementById('peakInterpolationSelect');
 const gridBrightness = document.getElementById('gridBrightness');
 const brightnessValue = document.getElementById('brightnessValue');
 const fontSizeSelect = document.getElementById('fontSizeSelect');
@@ -61,14 +66,25 @@ const axisTypeHz = document.getElementById('axisTypeHz');
 const axisTypeNote = document.getElementById('axisTypeNote');
 let axisType = 'hz'; // 'hz' or 'note'
 
+// Frequency axis scale settings
+const freqScaleLinear = document.getElementById('freqScaleLinear');
+const freqScaleLog = document.getElementById('freqScaleLog');
+let freqScale = 'linear'; // 'linear' or 'log'
+
 // Frequency to note conversion
 function frequencyToNote(freq) {
-  const noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-  const A4 = 440;
-  const semitonesFromA4 = Math.round(12 * Math.log2(freq / A4));
-  const noteIndex = (semitonesFromA4 + 9) % 12; // A is at index 9 in our array
-  const octave = Math.floor((semitonesFromA4 + 9) / 12) + 4;
-  return noteNames[noteIndex] + octave;
+  return Tuning.noteName(freq);
+}
+
+// Window function settings for spectra the app computes itself
+const windowSelect = document.getElementById('windowSelect');
+const kaiserBeta = document.getElementById('kaiserBeta');
+const kaiserBetaLabel = document.getElementById('kaiserBetaLabel');
+
+// Analysis window for the current settings, sized for one FFT frame
+function getAnalysisWindow(size) {
+  const beta = parseFloat(kaiserBeta.value);
+  return WindowFunctions.create(windowSelect.value, size, isFinite(beta) ? beta : WindowFunctions.DEFAULT_KAISER_BETA);
 }
 
 // Maintain value within min and max
@@ -76,13 +92,48 @@ function clamp(val, min, max) {
   return Math.max(min, Math.min(val, max));
 }
 
+// Averaging settings
+const averageModeInputs = document.querySelectorAll('.average-mode');
+const averageColorInputs = document.querySelectorAll('.average-color');
+const averageTimeConstant = document.getElementById('averageTimeConstant');
+const averageFrames = document.getElementById('averageFrames');
+
+// Push the averaging settings to the spectrum graph
+function applyAveragingSettings() {
+  if (!spectrumGraph) return;
+  averageModeInputs.forEach(input => {
+    spectrumGraph.averager.setModeEnabled(input.dataset.mode, input.checked);
+  });
+  averageColorInputs.forEach(input => {
+    spectrumGraph.setAverageColor(input.dataset.mode, input.value);
+  });
+  spectrumGraph.averager.setTimeConstant(parseFloat(averageTimeConstant.value));
+  spectrumGraph.averager.setFrameCount(parseInt(averageFrames.value));
+}
+
 // Color settings elements
 const liveLineColor = document.getElementById('liveLineColor');
 const peakLineColor = document.getElementById('peakLineColor');
 
+// Tuning settings (concert pitch and temperament for note names)
+const concertPitch = document.getElementById('concertPitch');
+const temperamentSelect = document.getElementById('temperamentSelect');
+const temperamentRoot = document.getElementById('temperamentRoot');
+const customCents = document.getElementById('customCents');
+const customCentsRow = document.getElementById('customCentsRow');
+
+// Push the tuning settings to Tuning (used by the grid, labels, tooltips, exports and tuner)
+function applyTuningSettings() {
+  concertPitch.value = Tuning.setConcertPitch(concertPitch.value);
+  const offsets = Tuning.parseOffsets(customCents.value);
+  customCents.style.outline = offsets || temperamentSelect.value !== 'custom' ? '' : '1px solid #ff4444';
+  Tuning.setTemperament(temperamentSelect.value, temperamentRoot.value, offsets || undefined);
+  customCentsRow.style.display = temperamentSelect.value === 'custom' ? '' : 'none';
+  if (spectrumGraph) spectrumGraph.redraw();
+}
+
 // Canvas dimensions
 let width, height;
-let latestPeaks = [];
 
 // Waveform visualization
 let waveformCanvas, waveformCtx;
@@ -91,12 +142,124 @@ let waveformWidth, waveformHeight;
 // Create spectrum graph instance
 let spectrumGraph;
 
+// Spectrogram view
+let spectrogram;
+const viewModeSelect = document.getElementById('viewModeSelect');
+const colormapSelect = document.getElementById('colormapSelect');
+const spectrogramDbMin = document.getElementById('spectrogramDbMin');
+const spectrogramDbMax = document.getElementById('spectrogramDbMax');
+
+// Tuner panel
+let tuner;
+const tunerMethod = document.getElementById('tunerMethod');
+const tunerDisplay = document.getElementById('tunerDisplay');
+const tunerWarning = document.getElementById('tunerWarning');
+
+// Distortion panel
+const distortionFundamental = document.getElementById('distortionFundamental');
+const distortionHarmonics = document.getElementById('distortionHarmonics');
+const distortionBandwidth = document.getElementById('distortionBandwidth');
+const distortionMarkers = document.getElementById('distortionMarkers');
+const distortionResults = document.getElementById('distortionResults');
+const distortionHarmonicTable = document.getElementById('distortionHarmonicTable');
+
+// Signal generator panel
+const generatorType = document.getElementById('generatorType');
+const generatorFrequency = document.getElementById('generatorFrequency');
+const generatorEndFrequency = document.getElementById('generatorEndFrequency');
+const generatorTones = document.getElementById('generatorTones');
+const generatorLevel = document.getElementById('generatorLevel');
+const generatorDuration = document.getElementById('generatorDuration');
+const generatorPlayBtn = document.getElementById('generatorPlayBtn');
+const generatorStopBtn = document.getElementById('generatorStopBtn');
+const generatorStatus = document.getElementById('generatorStatus');
+
+// Frequency response panel
+const measurementStart = document.getElementById('measurementStart');
+const measurementEnd = document.getElementById('measurementEnd');
+const measurementDuration = document.getElementById('measurementDuration');
+const measurementLevel = document.getElementById('measurementLevel');
+const measurementWindow = document.getElementById('measurementWindow');
+const measurementSmoothing = document.getElementById('measurementSmoothing');
+const measurementStartBtn = document.getElementById('measurementStartBtn');
+const measurementStoreBtn = document.getElementById('measurementStoreBtn');
+const measurementClearBtn = document.getElementById('measurementClearBtn');
+const measurementStatus = document.getElementById('measurementStatus');
+
+// Sample rate settings
+const sampleRateSelect = document.getElementById('sampleRateSelect');
+const sampleRateInfo = document.getElementById('sampleRateInfo');
+const nyquistInfo = document.getElementById('nyquistInfo');
+let currentNyquist = null; // Nyquist of the context the graph last followed
+
+// Channel settings
+const inputChannelsSelect = document.getElementById('inputChannelsSelect');
+const channelViewSelect = document.getElementById('channelViewSelect');
+
+// Sound level meter panel
+const splReading = document.getElementById('splReading');
+const splResults = document.getElementById('splResults');
+const splWeighting = document.getElementById('splWeighting');
+const splTimeWeighting = document.getElementById('splTimeWeighting');
+const splCalibrationLevel = document.getElementById('splCalibrationLevel');
+const splCalibrateBtn = document.getElementById('splCalibrateBtn');
+const splClearCalibrationBtn = document.getElementById('splClearCalibrationBtn');
+const splSpectrum = document.getElementById('splSpectrum');
+const splStatus = document.getElementById('splStatus');
+let splCalibration = null; // { offset, reference, date } - dB SPL = dBFS + offset
+
+// Cursor panel
+const cursorTable = document.getElementById('cursorTable');
+const cursorDeltaTable = document.getElementById('cursorDeltaTable');
+const cursorSnap = document.getElementById('cursorSnap');
+let savedCursors = []; // Cursor frequencies from the settings until the graph exists
+
+// Peak table panel
+const peakTable = document.getElementById('peakTable');
+const peakHistoryTable = document.getElementById('peakHistoryTable');
+const peakTablePauseBtn = document.getElementById('peakTablePauseBtn');
+const peakBandMin = document.getElementById('peakBandMin');
+const peakBandMax = document.getElementById('peakBandMax');
+
+// Partial tracking panel
+const partialPeaks = document.getElementById('partialPeaks');
+const partialHop = document.getElementById('partialHop');
+const partialMinDb = document.getElementById('partialMinDb');
+const partialShow = document.getElementById('partialShow');
+const partialAnalyzeBtn = document.getElementById('partialAnalyzeBtn');
+const partialStatus = document.getElementById('partialStatus');
+
+// Mic correction panel
+const correctionDevice = document.getElementById('correctionDevice');
+const correctionList = document.getElementById('correctionList');
+const correctionFileInput = document.getElementById('correctionFileInput');
+const correctionApply = document.getElementById('correctionApply');
+
+// RTA display settings
+const displayStyleSelect = document.getElementById('displayStyleSelect');
+const rtaFractionSelect = document.getElementById('rtaFractionSelect');
+const rtaFractionLabel = document.getElementById('rtaFractionLabel');
+const fileChannelSelect = document.getElementById('fileChannelSelect');
+
+// WAV download settings
+const wavBitDepth = document.getElementById('wavBitDepth');
+const wavChannels = document.getElementById('wavChannels');
+const wavSampleRate = document.getElementById('wavSampleRate');
+const wavDither = document.getElementById('wavDither');
+const wavMetadata = document.getElementById('wavMetadata');
+
+// Side dock tool panels
+let openPanels = []; // Ids of tool panels shown in the side dock
+
 // Import and initialize the appropriate audio handler
 async function initializeAudioHandler() {
   try {
     const { BrowserAudioHandler } = await import('./browser-audio-handler.js');
     audioHandler = new BrowserAudioHandler();
+    audioHandler.setSampleRate(parseInt(sampleRateSelect.value) || null);
+    audioHandler.onFrequencyLimitsChange = applyFrequencyLimits;
     const success = await audioHandler.initialize();
+    updateSampleRateOptions();
     if (success) {
       console.log('✅ Audio handler initialized successfully');
     } else {
@@ -109,9 +272,57 @@ async function initializeAudioHandler() {
   }
 }
 
+// Mark the sample rates the browser and current device can actually run at
+function updateSampleRateOptions() {
+  if (!audioHandler) return;
+  const supported = audioHandler.getSupportedSampleRates();
+  const known = audioHandler.supportedSampleRates.length > 0;
+  Array.from(sampleRateSelect.options).forEach(option => {
+    if (option.value === 'auto') {
+      option.textContent = audioHandler.defaultSampleRate
+        ? `Device default (${audioHandler.defaultSampleRate} Hz)`
+        : 'Device default';
+      return;
+    }
+    option.disabled = known && !supported.includes(parseInt(option.value));
+  });
+  if (sampleRateSelect.selectedOptions[0] && sampleRateSelect.selectedOptions[0].disabled) {
+    console.warn(`Sample rate ${sampleRateSelect.value} Hz is not supported here - using the device default`);
+    sampleRateSelect.value = 'auto';
+    audioHandler.setSampleRate(null);
+  }
+}
+
+/**
+ * Follow the Nyquist frequency of the running context
+ * Freq Min/Max are limited to it, and a Freq Max that sat at the previous
+ * Nyquist moves with it so the full band stays visible
+ */
+function applyFrequencyLimits(nyquist, sampleRate) {
+  const followsNyquist = currentNyquist !== null && parseFloat(freqMax.value) === currentNyquist;
+  currentNyquist = nyquist;
+
+  freqMax.max = nyquist;
+  freqMin.max = nyquist;
+  if (followsNyquist || parseFloat(freqMax.value) > nyquist) freqMax.value = nyquist;
+  if (parseFloat(freqMin.value) >= parseFloat(freqMax.value)) freqMin.value = 1;
+
+  // The device's own rate range is only known once a stream is open
+  updateSampleRateOptions();
+  sampleRateInfo.textContent = `Running at ${sampleRate} Hz`;
+  nyquistInfo.textContent = `Nyquist: ${nyquist} Hz`;
+  if (spectrumGraph) spectrumGraph.redraw();
+}
+
+// Create an AudioContext at the selected sample rate
+function createAudioContext() {
+  return audioHandler ? audioHandler.createAudioContext() : new (window.AudioContext || window.webkitAudioContext)();
+}
+
 // Device selection change handler
 document.getElementById('deviceSelect').addEventListener('change', () => {
   console.log('Device selection changed to:', document.getElementById('deviceSelect').value);
+  applyMicCorrection();
   saveSettings();
 });
 
@@ -142,6 +353,35 @@ axisTypeNote.addEventListener('change', () => {
   }
 });
 
+// Frequency scale change handlers
+freqScaleLinear.addEventListener('change', () => {
+  if (freqScaleLinear.checked) {
+    freqScale = 'linear';
+    console.log('Frequency scale set to Linear');
+    if (spectrumGraph) {
+      spectrumGraph.setFreqScale('linear');
+    }
+    if (spectrogram) {
+      spectrogram.setFreqScale('linear');
+    }
+    saveSettings();
+  }
+});
+
+freqScaleLog.addEventListener('change', () => {
+  if (freqScaleLog.checked) {
+    freqScale = 'log';
+    console.log('Frequency scale set to Log');
+    if (spectrumGraph) {
+      spectrumGraph.setFreqScale('log');
+    }
+    if (spectrogram) {
+      spectrogram.setFreqScale('log');
+    }
+    saveSettings();
+  }
+});
+
 // Save settings to cookie
 function saveSettings() {
   const settings = {
@@ -152,15 +392,78 @@ function saveSettings() {
     togglePeakHold: togglePeakHold.checked,
     peakCount: peakCount.value,
     peakDelta: peakDelta.value,
+    peakHoldMode: peakHoldMode.value,
+    peakHoldTime: peakHoldTime.value,
+    peakFallRate: peakFallRate.value,
+    peakInterpolation: peakInterpolationSelect.value,
+    averageModes: Array.from(averageModeInputs).filter(input => input.checked).map(input => input.dataset.mode),
+    averageColors: Object.fromEntries(Array.from(averageColorInputs).map(input => [input.dataset.mode, input.value])),
+    averageTimeConstant: averageTimeConstant.value,
+    averageFrames: averageFrames.value,
     fftSize: document.getElementById('fftSizeSelect').value,
+    windowType: windowSelect.value,
+    kaiserBeta: kaiserBeta.value,
     deviceId: document.getElementById('deviceSelect').value,
     liveLineColor: liveLineColor.value,
     peakLineColor: peakLineColor.value,
     axisType: axisType,
+    freqScale: freqScale,
     gridBrightness: gridBrightness.value,
-    fontSize: fontSizeSelect.value
+    fontSize: fontSizeSelect.value,
+    viewMode: viewModeSelect.value,
+    colormap: colormapSelect.value,
+    spectrogramDbMin: spectrogramDbMin.value,
+    spectrogramDbMax: spectrogramDbMax.value,
+    sampleRate: sampleRateSelect.value,
+    inputChannels: inputChannelsSelect.value,
+    channelView: channelViewSelect.value,
+    displayStyle: displayStyleSelect.value,
+    splWeighting: splWeighting.value,
+    splTimeWeighting: splTimeWeighting.value,
+    splCalibrationLevel: splCalibrationLevel.value,
+    splCalibration: splCalibration,
+    splSpectrum: splSpectrum.checked,
+    micCorrectionEnabled: correctionApply.checked,
+    cursors: spectrumGraph ? spectrumGraph.cursors.map(c => Number(c.freq.toFixed(3))) : savedCursors,
+    cursorSnap: cursorSnap.checked,
+    peakBandMin: peakBandMin.value,
+    peakBandMax: peakBandMax.value,
+    partialPeaks: partialPeaks.value,
+    partialHop: partialHop.value,
+    partialMinDb: partialMinDb.value,
+    partialShow: partialShow.checked,
+    rtaFraction: rtaFractionSelect.value,
+    wavBitDepth: wavBitDepth.value,
+    wavChannels: wavChannels.value,
+    wavSampleRate: wavSampleRate.value,
+    wavDither: wavDither.checked,
+    wavMetadata: wavMetadata.checked,
+    concertPitch: concertPitch.value,
+    temperament: temperamentSelect.value,
+    temperamentRoot: temperamentRoot.value,
+    customCents: customCents.value,
+    distortionFundamental: distortionFundamental.value,
+    distortionHarmonics: distortionHarmonics.value,
+    distortionBandwidth: distortionBandwidth.value,
+    distortionMarkers: distortionMarkers.checked,
+    generatorType: generatorType.value,
+    generatorFrequency: generatorFrequency.value,
+    generatorEndFrequency: generatorEndFrequency.value,
+    generatorTones: generatorTones.value,
+    generatorLevel: generatorLevel.value,
+    generatorDuration: generatorDuration.value,
+    measurementStart: measurementStart.value,
+    measurementEnd: measurementEnd.value,
+    measurementDuration: measurementDuration.value,
+    measurementLevel: measurementLevel.value,
+    measurementWindow: measurementWindow.value,
+    measurementSmoothing: measurementSmoothing.value,
+    tunerMethod: tunerMethod.value,
+    tunerDisplay: tunerDisplay.value,
+    openPanels: openPanels
   };
-  document.cookie = "spectrumSettings=" + JSON.stringify(settings) + "; path=/; max-age=31536000";
+  // Encoded - free-text fields such as the custom cent offsets may contain ';', which would end the cookie
+  document.cookie = "spectrumSettings=" + encodeURIComponent(JSON.stringify(settings)) + "; path=/; max-age=31536000";
 }
 
 // Load settings from cookie
@@ -169,7 +472,7 @@ function loadSettings() {
   const c = cookies.find(c => c.startsWith("spectrumSettings="));
   if (!c) return;
   try {
-    const settings = JSON.parse(c.split('=')[1]);
+    const settings = JSON.parse(decodeURIComponent(c.slice(c.indexOf('=') + 1)));
     freqMin.value = settings.freqMin;
     freqMax.value = settings.freqMax;
     dbMin.value = settings.dbMin;
@@ -177,12 +480,35 @@ function loadSettings() {
     togglePeakHold.checked = settings.togglePeakHold;
     peakCount.value = settings.peakCount;
     peakDelta.value = settings.peakDelta;
+    if (settings.peakHoldMode) peakHoldMode.value = settings.peakHoldMode === 'decay' ? 'decay' : 'infinite';
+    if (settings.peakHoldTime !== undefined) peakHoldTime.value = settings.peakHoldTime;
+    if (settings.peakFallRate !== undefined) peakFallRate.value = settings.peakFallRate;
+    peakDecaySettings.style.display = peakHoldMode.value === 'decay' ? '' : 'none';
+    if (settings.peakInterpolation && SpectrumGraph.PEAK_INTERPOLATIONS[settings.peakInterpolation]) {
+      peakInterpolationSelect.value = settings.peakInterpolation;
+    }
+    if (Array.isArray(settings.averageModes)) {
+      averageModeInputs.forEach(input => {
+        input.checked = settings.averageModes.includes(input.dataset.mode);
+      });
+    }
+    if (settings.averageColors) {
+      averageColorInputs.forEach(input => {
+        if (settings.averageColors[input.dataset.mode]) input.value = settings.averageColors[input.dataset.mode];
+      });
+    }
+    if (settings.averageTimeConstant !== undefined) averageTimeConstant.value = settings.averageTimeConstant;
+    if (settings.averageFrames !== undefined) averageFrames.value = settings.averageFrames;
     if (settings.fftSize) document.getElementById('fftSizeSelect').value = settings.fftSize;
+    if (settings.windowType && WindowFunctions.TYPES[settings.windowType]) windowSelect.value = settings.windowType;
+    if (settings.kaiserBeta !== undefined) kaiserBeta.value = settings.kaiserBeta;
+    kaiserBetaLabel.style.display = windowSelect.value === 'kaiser' ? '' : 'none';
     if (settings.deviceId) {
       setTimeout(() => {
         const select = document.getElementById('deviceSelect');
         if (select.querySelector(`option[value="${settings.deviceId}"]`)) {
           select.value = settings.deviceId;
+          applyMicCorrection();
         }
       }, 100);
     }
@@ -207,6 +533,13 @@ function loadSettings() {
       }
     }
 
+    // Load frequency scale setting
+    if (settings.freqScale) {
+      freqScale = settings.freqScale === 'log' ? 'log' : 'linear';
+      freqScaleLinear.checked = freqScale === 'linear';
+      freqScaleLog.checked = freqScale === 'log';
+    }
+
     // Load grid brightness setting
     if (settings.gridBrightness !== undefined) {
       const brightness = parseInt(settings.gridBrightness);
@@ -225,6 +558,81 @@ function loadSettings() {
       }
     }
 
+    // Load spectrogram settings
+    if (settings.viewMode) viewModeSelect.value = settings.viewMode;
+    if (settings.colormap && Spectrogram.COLORMAPS[settings.colormap]) colormapSelect.value = settings.colormap;
+    if (settings.spectrogramDbMin !== undefined) spectrogramDbMin.value = settings.spectrogramDbMin;
+    if (settings.spectrogramDbMax !== undefined) spectrogramDbMax.value = settings.spectrogramDbMax;
+
+    // Load sample rate setting
+    if (settings.sampleRate && sampleRateSelect.querySelector(`option[value="${settings.sampleRate}"]`)) {
+      sampleRateSelect.value = settings.sampleRate;
+    }
+
+    // Load channel settings
+    if (settings.inputChannels) inputChannelsSelect.value = settings.inputChannels;
+    if (settings.channelView && SpectrumGraph.CHANNEL_VIEWS[settings.channelView]) channelViewSelect.value = settings.channelView;
+    if (settings.displayStyle) displayStyleSelect.value = settings.displayStyle;
+    if (settings.splWeighting && SoundLevelMeter.WEIGHTINGS[settings.splWeighting]) splWeighting.value = settings.splWeighting;
+    if (settings.splTimeWeighting && SoundLevelMeter.TIME_WEIGHTINGS[settings.splTimeWeighting]) splTimeWeighting.value = settings.splTimeWeighting;
+    if (settings.splCalibrationLevel) splCalibrationLevel.value = settings.splCalibrationLevel;
+    if (settings.splCalibration && isFinite(settings.splCalibration.offset)) splCalibration = settings.splCalibration;
+    if (settings.splSpectrum !== undefined) splSpectrum.checked = settings.splSpectrum;
+    if (settings.micCorrectionEnabled !== undefined) correctionApply.checked = settings.micCorrectionEnabled;
+    if (Array.isArray(settings.cursors)) savedCursors = settings.cursors;
+    if (settings.cursorSnap !== undefined) cursorSnap.checked = settings.cursorSnap;
+    if (settings.peakBandMin !== undefined) peakBandMin.value = settings.peakBandMin;
+    if (settings.peakBandMax !== undefined) peakBandMax.value = settings.peakBandMax;
+    if (settings.partialPeaks !== undefined) partialPeaks.value = settings.partialPeaks;
+    if (settings.partialHop !== undefined) partialHop.value = settings.partialHop;
+    if (settings.partialMinDb !== undefined) partialMinDb.value = settings.partialMinDb;
+    if (settings.partialShow !== undefined) partialShow.checked = settings.partialShow;
+    if (settings.rtaFraction && OctaveBands.FRACTIONS[settings.rtaFraction]) rtaFractionSelect.value = settings.rtaFraction;
+    rtaFractionLabel.style.display = displayStyleSelect.value === 'rta' ? '' : 'none';
+
+    // Load WAV download settings
+    if (settings.wavBitDepth) wavBitDepth.value = settings.wavBitDepth;
+    if (settings.wavChannels) wavChannels.value = settings.wavChannels;
+    if (settings.wavSampleRate) wavSampleRate.value = settings.wavSampleRate;
+    if (settings.wavDither !== undefined) wavDither.checked = settings.wavDither;
+    if (settings.wavMetadata !== undefined) wavMetadata.checked = settings.wavMetadata;
+
+    // Load tuning settings
+    if (settings.concertPitch !== undefined) concertPitch.value = settings.concertPitch;
+    if (settings.temperament && Tuning.TEMPERAMENTS[settings.temperament]) temperamentSelect.value = settings.temperament;
+    if (settings.temperamentRoot !== undefined) temperamentRoot.value = settings.temperamentRoot;
+    if (settings.customCents) customCents.value = settings.customCents;
+    applyTuningSettings();
+
+    // Load distortion analysis settings
+    if (settings.distortionFundamental !== undefined) distortionFundamental.value = settings.distortionFundamental;
+    if (settings.distortionHarmonics !== undefined) distortionHarmonics.value = settings.distortionHarmonics;
+    if (settings.distortionBandwidth) distortionBandwidth.value = settings.distortionBandwidth;
+    if (settings.distortionMarkers !== undefined) distortionMarkers.checked = settings.distortionMarkers;
+
+    // Load signal generator settings
+    if (settings.generatorType) generatorType.value = settings.generatorType;
+    if (settings.generatorFrequency) generatorFrequency.value = settings.generatorFrequency;
+    if (settings.generatorEndFrequency) generatorEndFrequency.value = settings.generatorEndFrequency;
+    if (settings.generatorTones) generatorTones.value = settings.generatorTones;
+    if (settings.generatorLevel !== undefined) generatorLevel.value = settings.generatorLevel;
+    if (settings.generatorDuration) generatorDuration.value = settings.generatorDuration;
+
+    // Load frequency response settings
+    if (settings.measurementStart) measurementStart.value = settings.measurementStart;
+    if (settings.measurementEnd) measurementEnd.value = settings.measurementEnd;
+    if (settings.measurementDuration) measurementDuration.value = settings.measurementDuration;
+    if (settings.measurementLevel !== undefined) measurementLevel.value = settings.measurementLevel;
+    if (settings.measurementWindow) measurementWindow.value = settings.measurementWindow;
+    if (settings.measurementSmoothing !== undefined) measurementSmoothing.value = settings.measurementSmoothing;
+
+    // Load tuner settings
+    if (settings.tunerMethod && PitchDetector.METHODS[settings.tunerMethod]) tunerMethod.value = settings.tunerMethod;
+    if (settings.tunerDisplay) tunerDisplay.value = settings.tunerDisplay;
+
+    // Tool panels are reopened once the dock is wired up
+    if (Array.isArray(settings.openPanels)) openPanels = settings.openPanels;
+
     setTimeout(() => {
       spectrumGraph.drawStatic();
     }, 50);
@@ -377,6 +785,57 @@ function drawWaveform(audioBuffer) {
   waveformCtx.moveTo(0, centerY);
   waveformCtx.lineTo(waveformWidth, centerY);
   waveformCtx.stroke();
+
+  drawPartialTracks(waveformWidth, waveformHeight);
+}
+
+// Tracked partials as frequency-vs-time lines over the waveform (log frequency, bottom to top)
+function drawPartialTracks(width, height) {
+  const result = partialResult;
+  if (!result || result.buffer !== audioBuffer || !partialShow.checked) return;
+
+  const logMin = Math.log10(Math.max(result.minFreq, SpectrumGraph.LOG_FREQ_FLOOR));
+  const logMax = Math.log10(result.maxFreq);
+  const toX = time => time / result.buffer.duration * width;
+  const toY = freq => height - (Math.log10(freq) - logMin) / (logMax - logMin) * height;
+
+  // Decade lines for reference
+  waveformCtx.save();
+  waveformCtx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+  waveformCtx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+  waveformCtx.font = '10px sans-serif';
+  waveformCtx.textAlign = 'left';
+  for (let decade = Math.ceil(logMin); decade <= logMax; decade++) {
+    const freq = Math.pow(10, decade);
+    const y = toY(freq);
+    waveformCtx.beginPath();
+    waveformCtx.moveTo(0, y);
+    waveformCtx.lineTo(width, y);
+    waveformCtx.stroke();
+    waveformCtx.fillText(freq >= 1000 ? `${freq / 1000}k` : String(freq), 2, y - 2);
+  }
+
+  // Stronger tracks are drawn more opaque; a gap longer than the tracker bridges breaks the line
+  const minDb = result.minDb;
+  const topDb = result.tracks.reduce((max, t) => Math.max(max, t.maxDb), -Infinity);
+  const maxStep = (PartialTracker.MAX_GAP_FRAMES + 1.5) * result.hop;
+  waveformCtx.lineWidth = 1.5;
+  result.tracks.forEach((track, index) => {
+    waveformCtx.strokeStyle = PARTIAL_COLORS[index % PARTIAL_COLORS.length];
+    waveformCtx.globalAlpha = 0.35 + 0.65 * clamp((track.maxDb - minDb) / Math.max(1, topDb - minDb), 0, 1);
+    waveformCtx.beginPath();
+    track.points.forEach((point, i) => {
+      const x = toX(point.time);
+      const y = toY(point.freq);
+      if (i === 0 || point.time - track.points[i - 1].time > maxStep) {
+        waveformCtx.moveTo(x, y);
+      } else {
+        waveformCtx.lineTo(x, y);
+      }
+    });
+    waveformCtx.stroke();
+  });
+  waveformCtx.restore();
 }
 
 // Format time for display
@@ -386,15 +845,76 @@ function formatTime(seconds) {
   return `${mins}:${secs.toString().padStart(2, '0')}`;
 }
 
+// Apply the selected view (spectrum, spectrogram or both) and resize the visible canvases
+function applyViewMode() {
+  const mode = viewModeSelect.value;
+  document.body.classList.toggle('view-spectrogram', mode === 'spectrogram');
+  document.body.classList.toggle('view-split', mode === 'split');
+
+  if (spectrumGraph) {
+    spectrumGraph.resize();
+    spectrumGraph.drawStatic();
+  }
+  if (spectrogram) {
+    spectrogram.resize();
+  }
+}
+
+// Show a loaded file on the spectrogram, analysed with the current FFT/window settings
+function showFileSpectrogram(buffer) {
+  if (!spectrogram || !buffer) return;
+  const fftSize = parseInt(document.getElementById('fftSizeSelect').value);
+  spectrogram.setFile(buffer, (time) => getFrequencyDataFromAudioBuffer(buffer, time, fftSize));
+}
+
+// Re-analyse the file frame on the graph (not while playing or live) after an analysis setting changed
+function refreshFileFrame() {
+  if (!audioBuffer || !spectrumGraph || !spectrumGraph.dataArray || isPlaying) return;
+  if (audioHandler && audioHandler.isRunning()) return;
+  const fftSize = spectrumGraph.bufferLength * 2;
+  spectrumGraph.setOfflineFrame(getFrequencyDataFromAudioBuffer(audioBuffer, currentBufferPosition, fftSize));
+  updateChannelTracesFromBuffer(audioBuffer, currentBufferPosition, fftSize);
+  spectrumGraph.draw();
+}
+
+// Keep the spectrogram cursor in step with the waveform playback line
+function syncSpectrogramCursor(position) {
+  if (spectrogram) {
+    spectrogram.setCursor(position);
+  }
+}
+
+// Channels of an AudioBuffer and the weight each contributes to the analysed signal
+// channel: 'mix' (average of all), a channel index, 'mid' ((L+R)/2) or 'side' ((L-R)/2)
+function getChannelWeights(audioBuffer, channel) {
+  const count = audioBuffer.numberOfChannels;
+  const index = parseInt(channel);
+  if (Number.isInteger(index) && index >= 0 && index < count) {
+    return [{ data: audioBuffer.getChannelData(index), weight: 1 }];
+  }
+  if (count >= 2 && (channel === 'mid' || channel === 'side')) {
+    return [
+      { data: audioBuffer.getChannelData(0), weight: 0.5 },
+      { data: audioBuffer.getChannelData(1), weight: channel === 'mid' ? 0.5 : -0.5 }
+    ];
+  }
+  const weights = [];
+  for (let c = 0; c < count; c++) {
+    weights.push({ data: audioBuffer.getChannelData(c), weight: 1 / count });
+  }
+  return weights;
+}
+
 // FFT utility for extracting frequency data from AudioBuffer at specific time
-function getFrequencyDataFromAudioBuffer(audioBuffer, timePosition, fftSize = 2048) {
+// Runs synchronously on the pure-JS FFT engine - no AudioContext needed
+function getFrequencyDataFromAudioBuffer(audioBuffer, timePosition, fftSize = 2048, channel = fileChannelSelect.value) {
   if (!audioBuffer || timePosition < 0 || timePosition > audioBuffer.duration) {
     return new Float32Array(fftSize / 2).fill(-Infinity);
   }
 
   const sampleRate = audioBuffer.sampleRate;
-  const channelData = audioBuffer.getChannelData(0); // Use first channel
-  const totalSamples = channelData.length;
+  const channels = getChannelWeights(audioBuffer, channel);
+  const totalSamples = audioBuffer.length;
 
   // Calculate sample position
   const samplePosition = Math.floor(timePosition * sampleRate);
@@ -411,45 +931,19 @@ function getFrequencyDataFromAudioBuffer(audioBuffer, timePosition, fftSize = 20
   for (let i = 0; i < windowSize; i++) {
     const sourceIndex = startSample + i;
     if (sourceIndex < totalSamples && sourceIndex >= 0) {
-      windowedData[i] = channelData[sourceIndex];
+      let sample = 0;
+      for (let c = 0; c < channels.length; c++) {
+        sample += channels[c].data[sourceIndex] * channels[c].weight;
+      }
+      windowedData[i] = sample;
     } else {
       windowedData[i] = 0; // Zero padding
     }
   }
 
-  // No windowing applied - using raw data for maximum accuracy
-  // windowedData remains unchanged from source - this gives the most accurate spectral representation
-  // Note: This may introduce spectral leakage/artifacts but preserves true frequency content
-
-  // Perform FFT using Web Audio API
+  // Apply the selected analysis window (amplitude corrected inside the FFT engine)
   try {
-    // Create temporary audio context for FFT
-    const tempAudioCtx = new (window.AudioContext || window.webkitAudioContext)();
-
-    // Create buffer source
-    const source = tempAudioCtx.createBufferSource();
-    const analysisBuffer = tempAudioCtx.createBuffer(1, windowSize, sampleRate);
-    analysisBuffer.getChannelData(0).set(windowedData);
-    source.buffer = analysisBuffer;
-
-    // Create analyser
-    const analyser = tempAudioCtx.createAnalyser();
-    analyser.fftSize = fftSize;
-    analyser.smoothingTimeConstant = 0.0;
-
-    // Connect and get frequency data
-    source.connect(analyser);
-    source.start(0);
-
-    // Get frequency data immediately
-    const frequencyData = new Float32Array(analyser.frequencyBinCount);
-    analyser.getFloatFrequencyData(frequencyData);
-
-    // Clean up
-    tempAudioCtx.close();
-
-    return frequencyData;
-
+    return FFT.forSize(fftSize).magnitudeDb(windowedData, getAnalysisWindow(fftSize));
   } catch (error) {
     console.error('FFT analysis failed:', error);
     // Fallback: return silence
@@ -457,6 +951,34 @@ function getFrequencyDataFromAudioBuffer(audioBuffer, timePosition, fftSize = 20
   }
 }
 
+// Offline spectra for the channel traces shown by the graph (scrubbing a multichannel file)
+function updateChannelTracesFromBuffer(buffer, timePosition, fftSize) {
+  if (!spectrumGraph) return;
+  spectrumGraph.getVisibleChannelTraces().forEach(trace => {
+    if (trace.dataArray.length === fftSize / 2) {
+      trace.dataArray.set(getFrequencyDataFromAudioBuffer(buffer, timePosition, fftSize, trace.id));
+    }
+  });
+}
+
+// Offer the channels of a newly loaded file for offline analysis
+function populateFileChannels(buffer) {
+  const previous = fileChannelSelect.value;
+  const count = buffer.numberOfChannels;
+  fileChannelSelect.innerHTML = '<option value="mix">Mix</option>';
+  for (let c = 0; c < count; c++) {
+    const option = document.createElement('option');
+    option.value = String(c);
+    option.textContent = count === 2 ? ['Left', 'Right'][c] : `Ch ${c + 1}`;
+    fileChannelSelect.appendChild(option);
+  }
+  if (count === 2) {
+    fileChannelSelect.insertAdjacentHTML('beforeend', '<option value="mid">Mid</option><option value="side">Side</option>');
+  }
+  fileChannelSelect.value = fileChannelSelect.querySelector(`option[value="${previous}"]`) ? previous : 'mix';
+  fileChannelSelect.disabled = count < 2;
+}
+
 // Initialize app
 async function initApp() {
   await initializeAudioHandler();
@@ -501,8 +1023,22 @@ async function initApp() {
     spectrumGraph.setColors(liveLineColor.value, peakLineColor.value);
     spectrumGraph.setAxisType(axisType);
     spectrumGraph.setPeakLabelType(axisType); // Ensure peak labels match axis type
+    spectrumGraph.setFreqScale(freqScale);
     spectrumGraph.setGridBrightness(parseInt(gridBrightness.value));
     spectrumGraph.setFontSize(fontSizeSelect.value);
+    spectrumGraph.setPeakHoldMode(peakHoldMode.value, parseFloat(peakHoldTime.value), parseFloat(peakFallRate.value));
+    spectrumGraph.setPeakInterpolation(peakInterpolationSelect.value);
+    spectrumGraph.setChannelView(channelViewSelect.value);
+    spectrumGraph.setDisplayStyle(displayStyleSelect.value, parseInt(rtaFractionSelect.value));
+    spectrumGraph.setSplOffset(splSpectrum.checked && splCalibration ? splCalibration.offset : null);
+    spectrumGraph.setLevelMeter(soundLevelMeter);
+    applyMicCorrection();
+    applyAnalysisWindow();
+    applyAveragingSettings();
+    spectrumGraph.setCursorSnap(cursorSnap.checked);
+    spectrumGraph.setCursors(savedCursors);
+    spectrumGraph.onCursorsChange = handleCursorsChange;
+    spectrumGraph.onViewChange = handleViewChange;
 
     const playbackLine = document.getElementById('playbackLine');
     if (playbackLine) {
@@ -518,6 +1054,28 @@ async function initApp() {
     console.error('Error initializing spectrum graph:', error);
   }
 
+  try {
+    spectrogram = new Spectrogram('spectrogramCanvas');
+    spectrogram.setSettings(freqMin, freqMax);
+    spectrogram.setFreqScale(freqScale);
+    spectrogram.setColormap(colormapSelect.value);
+    spectrogram.setDbRange(parseFloat(spectrogramDbMin.value), parseFloat(spectrogramDbMax.value));
+    spectrogram.setFontSize(fontSizeSelect.value);
+    applyViewMode();
+  } catch (error) {
+    console.error('Error initializing spectrogram:', error);
+  }
+
+  try {
+    tuner = new Tuner('tunerCanvas');
+    tuner.setMethod(tunerMethod.value);
+    tuner.setDisplayMode(tunerDisplay.value);
+    tuner.onUpdate = updateTunerWarning;
+    if (openPanels.includes('tunerPanel')) tuner.start(spectrumGraph);
+  } catch (error) {
+    console.error('Error initializing tuner:', error);
+  }
+
   if (typeof lucide !== 'undefined') {
     lucide.createIcons();
   } else {
@@ -538,6 +1096,14 @@ function initScrubbing() {
 
   if (!playbackLine || !waveformCanvas) return;
 
+  // FFT size matching the spectrum graph's current bin layout
+  function scrubFftSize() {
+    if (spectrumGraph && spectrumGraph.bufferLength) {
+      return spectrumGraph.bufferLength * 2;
+    }
+    return parseInt(document.getElementById('fftSizeSelect').value);
+  }
+
   // Start scrubbing
   function startScrubbing(e) {
     if (!audioBuffer) return;
@@ -598,11 +1164,12 @@ function initScrubbing() {
 
       // Get frequency data at this position and update spectrum
       const timePosition = percentage * audioBuffer.duration;
-      const frequencyData = getFrequencyDataFromAudioBuffer(audioBuffer, timePosition);
+      const frequencyData = getFrequencyDataFromAudioBuffer(audioBuffer, timePosition, scrubFftSize());
 
       // Update spectrum graph data array directly
       if (spectrumGraph.dataArray && frequencyData) {
-        spectrumGraph.dataArray.set(frequencyData);
+        spectrumGraph.setOfflineFrame(frequencyData);
+        updateChannelTracesFromBuffer(audioBuffer, timePosition, scrubFftSize());
         spectrumGraph.draw();
         console.log('🎯 Initial scrub spectrum drawn at position:', percentage.toFixed(3), 'with', frequencyData.length, 'frequency bins');
       } else {
@@ -632,226 +1199,1541 @@ function initScrubbing() {
     // Clamp mouse position to canvas bounds (0 to canvas width)
     const clampedX = clamp(x, 0, rect.width)
 
-    // Calculate position as percentage (0.0 to 1.0)
-    const percentage = clampedX / rect.width;
+    // Calculate position as percentage (0.0 to 1.0)
+    const percentage = clampedX / rect.width;
+
+    // Update current buffer position
+    currentBufferPosition = percentage * audioBuffer.duration;
+
+    // Update playback line position using CSS variable
+    playbackLine.style.setProperty('--playback-position', (percentage * 100) + '%');
+    syncSpectrogramCursor(percentage);
+
+    // Update time display
+    currentTime.textContent = formatTime(currentBufferPosition);
+
+    // Update spectrum graph (throttled)
+    if (shouldUpdateSpectrum) {
+      // Get frequency data at this position and update spectrum directly
+      const timePosition = percentage * audioBuffer.duration;
+      const frequencyData = getFrequencyDataFromAudioBuffer(audioBuffer, timePosition, scrubFftSize());
+
+      // Update spectrum graph data array directly for immediate visual feedback
+      if (spectrumGraph.dataArray && frequencyData) {
+        spectrumGraph.setOfflineFrame(frequencyData);
+        updateChannelTracesFromBuffer(audioBuffer, timePosition, scrubFftSize());
+        spectrumGraph.draw();
+        console.log('🎯 Spectrum updated at scrub position:', percentage.toFixed(3), 'with', frequencyData.length, 'bins');
+      } else {
+        // Fallback to scrub mode methods
+        spectrumGraph.setScrubPosition(percentage);
+        spectrumGraph.drawScrub();
+        console.log('🎯 Spectrum updated (fallback) at scrub position:', percentage.toFixed(3));
+      }
+      lastScrubUpdate = now;
+    }
+  }
+
+  // Stop scrubbing
+  function stopScrubbing() {
+    if (!isScrubbing) return;
+
+    isScrubbing = false;
+
+    // Remove global mouse events
+    document.removeEventListener('mousemove', updateScrubPosition);
+    document.removeEventListener('mouseup', stopScrubbing);
+
+    // Reset spectrum graph to static mode
+    spectrumGraph.isScrubbing = false;
+    spectrumGraph.drawStatic();
+
+    console.log('🔄 Scrubbing ended at position:', currentBufferPosition.toFixed(2), 'seconds');
+  }
+
+  // Add click-to-jump functionality to canvas (not just playback line)
+  let isDragging = false;
+  let dragStartTime = 0;
+
+  waveformCanvas.addEventListener('mousedown', (e) => {
+    isDragging = false; // Reset drag flag
+    dragStartTime = Date.now();
+
+    // Start scrubbing if we have audio
+    if (audioBuffer) {
+      startScrubbing(e);
+    }
+  });
+
+  waveformCanvas.addEventListener('mousemove', () => {
+    // If mouse moves more than a few pixels, consider it a drag
+    if (!isDragging && Date.now() - dragStartTime > 100) {
+      isDragging = true;
+    }
+  });
+
+  waveformCanvas.addEventListener('click', (e) => {
+    if (!audioBuffer || isDragging) return;
+
+    // Calculate click position and jump there
+    const rect = waveformCanvas.getBoundingClientRect();
+    const x = e.clientX - rect.left;
+    const clampedX = clamp(x, 0, rect.width);
+    const percentage = clampedX / rect.width;
+
+    // Update position
+    currentBufferPosition = percentage * audioBuffer.duration;
+    playbackLine.style.setProperty('--playback-position', (percentage * 100) + '%');
+    syncSpectrogramCursor(percentage);
+    currentTime.textContent = formatTime(currentBufferPosition);
+
+    // Update spectrum at new position
+    const timePosition = percentage * audioBuffer.duration;
+    const frequencyData = getFrequencyDataFromAudioBuffer(audioBuffer, timePosition, scrubFftSize());
+
+    if (spectrumGraph.dataArray && frequencyData) {
+      spectrumGraph.setOfflineFrame(frequencyData);
+      updateChannelTracesFromBuffer(audioBuffer, timePosition, scrubFftSize());
+      spectrumGraph.draw();
+      console.log('🎯 Click-jumped to position:', percentage.toFixed(3), 'with', frequencyData.length, 'bins');
+    }
+
+    console.log('🎯 Click-jumped to position:', currentBufferPosition.toFixed(2), 'seconds');
+
+    // Reset drag flag
+    isDragging = false;
+  });
+
+  // Add visual feedback for draggable state
+  waveformCanvas.addEventListener('mouseenter', () => {
+    if (audioBuffer) {
+      waveformCanvas.style.cursor = 'ew-resize';
+      playbackLine.style.boxShadow = '0 0 8px rgba(255, 255, 0, 0.8)';
+    }
+  });
+
+  waveformCanvas.addEventListener('mouseleave', () => {
+    waveformCanvas.style.cursor = '';
+    playbackLine.style.boxShadow = '';
+  });
+}
+
+// Initialize scrubbing after app initialization
+setTimeout(initScrubbing, 100);
+
+// Spacebar play/pause functionality
+document.addEventListener('keydown', (e) => {
+  // Only handle spacebar if not in an input field
+  if (e.code === 'Space' && e.target.tagName !== 'INPUT' && e.target.tagName !== 'TEXTAREA') {
+    e.preventDefault(); // Prevent page scroll
+
+    if (isPlaying) {
+      // Pause if currently playing
+      pauseBtn.click();
+    } else if (audioBuffer) {
+      // Play if audio is loaded and not playing
+      playBtn.click();
+    }
+  }
+});
+
+// Reset peaks with the R key
+document.addEventListener('keydown', (e) => {
+  if (e.code === 'KeyR' && !e.ctrlKey && !e.metaKey && !e.altKey &&
+      e.target.tagName !== 'INPUT' && e.target.tagName !== 'TEXTAREA' && e.target.tagName !== 'SELECT') {
+    resetPeakHold();
+  }
+});
+
+// Clear the peak hold line and detected peaks
+function resetPeakHold() {
+  if (audioHandler && audioHandler.peakHoldArray) {
+    audioHandler.peakHoldArray.fill(-Infinity);
+  }
+  if (spectrumGraph) {
+    spectrumGraph.resetPeaks();
+    spectrumGraph.redraw();
+  }
+  console.log('🔄 Peaks reset');
+}
+
+// Event handlers
+
+// Zoom / pan on the graph writes the range inputs - the spectrogram shares the
+// frequency range, so it follows (and settings are saved) once the gesture settles
+const VIEW_CHANGE_DELAY = 200; // ms
+let viewChangeTimer = null;
+
+function handleViewChange() {
+  clearTimeout(viewChangeTimer);
+  viewChangeTimer = setTimeout(() => {
+    if (spectrogram) spectrogram.refresh();
+    saveSettings();
+  }, VIEW_CHANGE_DELAY);
+}
+
+// Reset peaks button
+document.getElementById('resetPeaksBtn').addEventListener('click', resetPeakHold);
+
+// Save PNG button
+document.getElementById('savePngBtn').onclick = () => {
+  const link = document.createElement('a');
+  link.download = 'spectrum.png';
+  link.href = canvas.toDataURL();
+  link.click();
+};
+
+// Save CSV button
+document.getElementById('saveCsvBtn').onclick = () => {
+  // Peaks detected by the graph (interpolated when an estimator is selected)
+  const peaks = spectrumGraph ? spectrumGraph.latestPeaks : [];
+  let csv = "freq_hz,db,note,cents\n";
+  peaks.forEach(p => {
+    const note = Tuning.analyze(p.freq);
+    csv += p.freq.toFixed(3) + "," + p.db.toFixed(2) + "," + (note ? note.name + "," + note.cents.toFixed(1) : ",") + "\n";
+  });
+  downloadBlob(new Blob([csv], { type: 'text/csv' }), 'peaks.csv');
+};
+
+// Trigger a browser download of a blob
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// Full spectrum (all traces) plus the metadata needed to interpret it
+function buildSpectrumExport() {
+  const spectrum = spectrumGraph ? spectrumGraph.getSpectrumData() : null;
+  if (!spectrum) return null;
+
+  // File frames come from the offline FFT, everything else from the AnalyserNode (Blackman)
+  const dataWindow = spectrumGraph.getDataWindow();
+  const metadata = {
+    timestamp: new Date().toISOString(),
+    source: spectrumGraph.isLiveMode ? 'live' : 'file',
+    sampleRate: spectrum.sampleRate,
+    fftSize: spectrum.binCount * 2,
+    window: WindowFunctions.TYPES[dataWindow.type],
+    fileName: audioBuffer ? fileName.textContent : null,
+    playbackPosition: audioBuffer ? Number(currentBufferPosition.toFixed(3)) : null
+  };
+  if (dataWindow.type === 'kaiser') metadata.kaiserBeta = dataWindow.beta;
+  if (spectrum.bands) metadata.rtaBands = OctaveBands.FRACTIONS[spectrum.bands.fraction];
+  if (spectrumGraph.getCorrection()) {
+    metadata.micCorrection = spectrumGraph.correctionCurves.filter(c => c.enabled).map(c => c.name).join(' + ');
+  }
+  // Trace values stay in raw dB - this offset converts them to the dB SPL shown on the graph
+  if (spectrumGraph.splOffset !== null) metadata.splOffsetDb = Number(spectrumGraph.getLevelOffset().toFixed(2));
+  metadata.concertPitch = Tuning.A4;
+  metadata.temperament = Tuning.TEMPERAMENTS[Tuning.temperament].name;
+  metadata.temperamentRoot = Tuning.NOTE_NAMES[Tuning.root];
+  if (Tuning.temperament === 'custom') metadata.temperamentOffsets = Tuning.describe().offsets.join(' ');
+
+  // Distortion results while the analysis is running
+  const distortion = distortionLoop.running ? distortionResult : null;
+  if (distortion) {
+    metadata.fundamentalHz = Number(distortion.fundamental.freq.toFixed(3));
+    metadata.thdPercent = Number((distortion.thd * 100).toFixed(5));
+    metadata.thdNPercent = Number((distortion.thdN * 100).toFixed(5));
+    metadata.sinadDb = Number(distortion.sinad.toFixed(2));
+    metadata.snrDb = Number(distortion.snr.toFixed(2));
+    metadata.enobBits = Number(distortion.enob.toFixed(2));
+    metadata.harmonics = distortion.harmonics.map(h => `H${h.order} ${h.freq.toFixed(1)} Hz ${h.dbc.toFixed(1)} dBc`).join('; ');
+  }
+
+  // Cursor readings and the differences between them
+  const cursorReadings = spectrumGraph.getCursorReadings();
+  const cursors = cursorReadings.length > 0 ? {
+    readings: cursorReadings.map(r => ({ label: r.label, freq: r.freq, db: r.db, note: r.note, cents: r.cents })),
+    deltas: SpectrumGraph.cursorDeltas(cursorReadings)
+  } : null;
+  if (cursors) {
+    metadata.cursors = cursorReadings.map(r => `${r.label}: ${r.freq.toFixed(2)} Hz ${r.db !== null ? r.db.toFixed(2) + ' dB' : ''}`.trim()).join('; ');
+  }
+
+  return Object.assign({ metadata: metadata }, spectrum, distortion ? { distortion: distortion } : {}, cursors ? { cursors: cursors } : {});
+}
+
+// Base name for spectrum exports, e.g. spectrum-2024-01-31T12-00-00
+function spectrumExportName(metadata) {
+  return 'spectrum-' + metadata.timestamp.replace(/[:.]/g, '-').replace(/-\d+Z$/, '');
+}
+
+// Save Spectrum CSV button
+document.getElementById('saveSpectrumCsvBtn').onclick = () => {
+  const data = buildSpectrumExport();
+  if (!data) {
+    alert('No spectrum to export yet. Start live mode or play a file first.');
+    return;
+  }
+
+  // Metadata and trace names as comment lines, then one row per bin
+  let csv = '';
+  Object.entries(data.metadata).forEach(([key, value]) => {
+    if (value !== null) csv += `# ${key}: ${value}\n`;
+  });
+  const formatDb = value => (value !== null && isFinite(value) ? value.toFixed(2) : '');
+
+  // The RTA exports one row per band instead of per bin
+  const bands = data.bands;
+  const traces = bands ? bands.traces : data.traces;
+  traces.forEach(trace => {
+    csv += `# ${trace.id}: ${trace.name}\n`;
+  });
+  if (bands) {
+    csv += 'band,center_hz,low_hz,high_hz,' + traces.map(trace => trace.id + '_db').join(',') + '\n';
+    bands.centers.forEach((center, i) => {
+      csv += [bands.labels[i], center.toFixed(3), bands.low[i].toFixed(3), bands.high[i].toFixed(3)]
+        .concat(traces.map(trace => formatDb(trace.data[i]))).join(',') + '\n';
+    });
+  } else {
+    csv += 'freq_hz,' + traces.map(trace => trace.id + '_db').join(',') + '\n';
+    data.frequencies.forEach((freq, i) => {
+      csv += freq.toFixed(3) + ',' + traces.map(trace => formatDb(trace.data[i])).join(',') + '\n';
+    });
+  }
+
+  downloadBlob(new Blob([csv], { type: 'text/csv' }), spectrumExportName(data.metadata) + '.csv');
+};
+
+// Save Spectrum JSON button
+document.getElementById('saveSpectrumJsonBtn').onclick = () => {
+  const data = buildSpectrumExport();
+  if (!data) {
+    alert('No spectrum to export yet. Start live mode or play a file first.');
+    return;
+  }
+
+  // -Infinity (silent bins) has no JSON representation - store it as null
+  const json = JSON.stringify(data, (key, value) => (typeof value === 'number' && !isFinite(value) ? null : value));
+  downloadBlob(new Blob([json], { type: 'application/json' }), spectrumExportName(data.metadata) + '.json');
+};
+
+// Export image panel
+const exportFormat = document.getElementById('exportFormat');
+const exportDpiRow = document.getElementById('exportDpiRow');
+
+document.getElementById('exportImageBtn').onclick = () => {
+  setToolPanelVisible('exportImagePanel', true);
+};
+
+exportFormat.addEventListener('change', () => {
+  exportDpiRow.style.display = exportFormat.value === 'png' ? '' : 'none';
+});
+
+document.getElementById('exportImageSaveBtn').addEventListener('click', async () => {
+  if (!spectrumGraph) return;
+
+  const width = clamp(parseInt(document.getElementById('exportWidth').value) || 1200, 200, 8000);
+  const height = clamp(parseInt(document.getElementById('exportHeight').value) || 600, 150, 8000);
+  const options = {
+    theme: document.getElementById('exportTheme').value,
+    title: document.getElementById('exportTitle').value.trim(),
+    legend: document.getElementById('exportLegend').checked
+  };
+
+  try {
+    if (exportFormat.value === 'svg') {
+      downloadBlob(ImageExport.exportSvg(spectrumGraph, width, height, options), 'spectrum.svg');
+    } else {
+      const dpi = parseInt(document.getElementById('exportDpi').value) || ImageExport.BASE_DPI;
+      downloadBlob(await ImageExport.exportPng(spectrumGraph, width, height, dpi, options), 'spectrum.png');
+    }
+    console.log('🖼️ Exported spectrum image:', exportFormat.value, width + 'x' + height);
+  } catch (error) {
+    console.error('❌ Image export failed:', error);
+    alert('Image export failed: ' + error.message);
+  }
+});
+
+// Settings button
+const settingsBtn = document.getElementById('settingsBtn');
+settingsBtn.addEventListener('click', () => {
+  const overlay = document.querySelector('.overlay');
+  if (overlay) {
+    overlay.classList.add('active');
+  }
+});
+
+// Side dock tool panels
+const sideDock = document.getElementById('sideDock');
+
+// Animation-frame loop that calls tick(now) at most every intervalMs while active - panels
+// run one while they are open. setActive returns whether the loop started or stopped.
+function createPanelLoop(intervalMs, tick) {
+  let frameId = null;
+  let lastTick = 0;
+  const loop = now => {
+    frameId = requestAnimationFrame(loop);
+    if (now - lastTick < intervalMs) return;
+    lastTick = now;
+    tick(now);
+  };
+  return {
+    get running() {
+      return frameId !== null;
+    },
+    setActive(active) {
+      if (active === this.running) return false;
+      if (active) {
+        frameId = requestAnimationFrame(loop);
+      } else {
+        cancelAnimationFrame(frameId);
+        frameId = null;
+      }
+      return true;
+    }
+  };
+}
+
+function setToolPanelVisible(panelId, visible, persist = true) {
+  const panel = document.getElementById(panelId);
+  if (!panel || !panel.classList.contains('tool-panel')) return;
+
+  panel.style.display = visible ? '' : 'none';
+  openPanels = openPanels.filter(id => id !== panelId);
+  if (visible) openPanels.push(panelId);
+
+  document.body.classList.toggle('dock-open', openPanels.length > 0);
+  // Canvases change width with the dock
+  window.dispatchEvent(new Event('resize'));
+  if (spectrogram) spectrogram.resize();
+  if (panelId === 'distortionPanel') setDistortionActive(visible);
+  if (panelId === 'generatorPanel' && !visible) stopGenerator();
+  if (panelId === 'splPanel') setSplActive(visible);
+  if (panelId === 'cursorPanel') setCursorPanelActive(visible);
+  if (panelId === 'peakTablePanel') setPeakTableActive(visible);
+  // The tuner only analyses while its panel is open
+  if (panelId === 'tunerPanel' && tuner) {
+    if (visible) {
+      tuner.start(spectrumGraph);
+    } else {
+      tuner.stop();
+      tunerWarning.style.display = 'none';
+    }
+  }
+  if (persist) saveSettings();
+}
+
+document.querySelectorAll('#toolsDropdown button[data-panel]').forEach(button => {
+  button.addEventListener('click', () => {
+    const panelId = button.dataset.panel;
+    setToolPanelVisible(panelId, !openPanels.includes(panelId));
+  });
+});
+
+sideDock.querySelectorAll('.tool-panel .panel-close').forEach(button => {
+  button.addEventListener('click', () => {
+    setToolPanelVisible(button.closest('.tool-panel').id, false);
+  });
+});
+
+// Reference traces panel
+const referenceSource = document.getElementById('referenceSource');
+const referenceName = document.getElementById('referenceName');
+const referenceList = document.getElementById('referenceList');
+let referenceCaptureCount = 0;
+
+function renderReferenceList() {
+  referenceList.innerHTML = '';
+  const traces = spectrumGraph ? spectrumGraph.referenceTraces : [];
+
+  if (traces.length === 0) {
+    referenceList.innerHTML = '<div class="reference-empty">No reference traces captured</div>';
+    return;
+  }
+
+  traces.forEach(trace => {
+    const item = document.createElement('div');
+    item.className = 'reference-item';
+
+    const visible = document.createElement('input');
+    visible.type = 'checkbox';
+    visible.checked = trace.visible;
+    visible.title = 'Show/hide';
+    visible.addEventListener('change', () => {
+      spectrumGraph.updateReferenceTrace(trace.id, { visible: visible.checked });
+      spectrumGraph.redraw();
+    });
+
+    const color = document.createElement('input');
+    color.type = 'color';
+    color.value = trace.color;
+    color.addEventListener('input', () => {
+      spectrumGraph.updateReferenceTrace(trace.id, { color: color.value });
+      spectrumGraph.redraw();
+    });
+
+    const name = document.createElement('input');
+    name.type = 'text';
+    name.value = trace.name;
+    name.addEventListener('change', () => {
+      spectrumGraph.updateReferenceTrace(trace.id, { name: name.value.trim() || trace.name });
+      name.value = trace.name;
+    });
+
+    const remove = document.createElement('button');
+    remove.className = 'panel-close';
+    remove.title = 'Delete';
+    remove.textContent = '×';
+    remove.addEventListener('click', () => {
+      spectrumGraph.removeReferenceTrace(trace.id);
+      spectrumGraph.redraw();
+      renderReferenceList();
+    });
+
+    item.append(visible, color, name, remove);
+    referenceList.appendChild(item);
+  });
+}
+
+document.getElementById('captureReferenceBtn').addEventListener('click', () => {
+  if (!spectrumGraph) return;
+
+  const source = referenceSource.value;
+  let name = referenceName.value.trim();
+  if (!name) {
+    const origin = source === 'peak' ? 'Peak hold' : (spectrumGraph.isLiveMode ? 'Live' : 'Playback');
+    name = `${origin} ${referenceCaptureCount + 1}`;
+  }
+
+  const trace = spectrumGraph.captureReferenceTrace(source, name);
+  if (!trace) {
+    alert('No spectrum to capture yet. Start live mode or play a file first.');
+    return;
+  }
+
+  referenceCaptureCount++;
+  referenceName.value = '';
+  spectrumGraph.redraw();
+  renderReferenceList();
+  console.log('📌 Captured reference trace:', trace.name);
+});
+
+renderReferenceList();
+
+// Tuner panel - flag when the strongest spectrum peak is not the detected fundamental
+function updateTunerWarning(status) {
+  if (!status.mismatch) {
+    tunerWarning.style.display = 'none';
+    return;
+  }
+  const peakFreq = status.dominantPeak.freq.toFixed(1);
+  tunerWarning.textContent = status.mismatch.harmonic
+    ? `⚠ Strongest peak (${peakFreq} Hz) is harmonic ${status.mismatch.harmonic} of the fundamental`
+    : `⚠ Strongest peak (${peakFreq} Hz) does not match the detected fundamental`;
+  tunerWarning.style.display = '';
+}
+
+tunerMethod.addEventListener('change', () => {
+  if (tuner) tuner.setMethod(tunerMethod.value);
+  saveSettings();
+});
+
+tunerDisplay.addEventListener('change', () => {
+  if (tuner) tuner.setDisplayMode(tunerDisplay.value);
+  saveSettings();
+});
+
+// Distortion panel - THD / THD+N / SINAD / SNR / ENOB of the current spectrum
+const distortionAnalyzer = new DistortionAnalyzer();
+const DISTORTION_INTERVAL = 250; // ms between analyses
+let distortionResult = null;
+
+function applyDistortionSettings() {
+  distortionAnalyzer.setFundamental(parseFloat(distortionFundamental.value));
+  distortionAnalyzer.setHarmonicCount(parseInt(distortionHarmonics.value));
+  distortionAnalyzer.setBandwidth(distortionBandwidth.value);
+}
+
+// Analyse the graph's current spectrum and show the results
+function updateDistortionAnalysis() {
+  distortionResult = null;
+  if (spectrumGraph && spectrumGraph.audioCtx && spectrumGraph.dataArray) {
+    // File frames come from the offline FFT, everything else from the AnalyserNode (Blackman)
+    const dataWindow = spectrumGraph.getDataWindow();
+    distortionAnalyzer.setWindow(dataWindow.type, dataWindow.beta);
+    distortionResult = distortionAnalyzer.analyze(spectrumGraph.dataArray, spectrumGraph.audioCtx.sampleRate);
+  }
+
+  if (spectrumGraph) {
+    spectrumGraph.setHarmonicMarkers(distortionMarkers.checked ? distortionResult : null);
+  }
+  renderDistortionResults(distortionResult);
+}
+
+function renderDistortionResults(result) {
+  if (!result) {
+    distortionResults.innerHTML = '<tr><td>No tone detected</td></tr>';
+    distortionHarmonicTable.innerHTML = '';
+    return;
+  }
+
+  const rows = [
+    ['Fundamental', `${result.fundamental.freq.toFixed(2)} Hz, ${result.fundamental.db.toFixed(1)} dB`],
+    ['THD', `${(result.thd * 100).toFixed(4)} % (${result.thdDb.toFixed(1)} dB)`],
+    ['THD+N', `${(result.thdN * 100).toFixed(4)} % (${result.thdNDb.toFixed(1)} dB)`],
+    ['SINAD', `${result.sinad.toFixed(1)} dB`],
+    ['SNR', `${result.snr.toFixed(1)} dB`],
+    ['ENOB', `${result.enob.toFixed(2)} bits`]
+  ];
+  distortionResults.innerHTML = rows.map(([name, value]) => `<tr><td>${name}</td><td>${value}</td></tr>`).join('');
+  distortionHarmonicTable.innerHTML = '<tr><th>Harmonic</th><th>Hz</th><th>dBc</th></tr>' +
+    result.harmonics.map(h => `<tr><td>H${h.order}</td><td>${h.freq.toFixed(1)}</td><td>${h.dbc.toFixed(1)}</td></tr>`).join('');
+}
+
+const distortionLoop = createPanelLoop(DISTORTION_INTERVAL, updateDistortionAnalysis);
+
+// The analysis only runs while its panel is open
+function setDistortionActive(active) {
+  if (distortionLoop.setActive(active) && !active) {
+    distortionResult = null;
+    if (spectrumGraph) {
+      spectrumGraph.setHarmonicMarkers(null);
+      spectrumGraph.redraw();
+    }
+  }
+}
+
+[distortionFundamental, distortionHarmonics, distortionBandwidth, distortionMarkers].forEach(input => {
+  input.addEventListener('change', () => {
+    applyDistortionSettings();
+    if (distortionLoop.running) updateDistortionAnalysis();
+    if (spectrumGraph) spectrumGraph.redraw();
+    saveSettings();
+  });
+});
+applyDistortionSettings();
+
+// Signal generator panel - test tones, noise and sweeps to the audio output or a WAV
+const signalGenerator = new SignalGenerator();
+let generatorCtx = null; // Own context, so the output keeps running across live / playback changes
+let generatorSource = null;
+
+function applyGeneratorSettings() {
+  const type = generatorType.value;
+  const isSweep = type === 'sweep-lin' || type === 'sweep-log';
+  const isNoise = type === 'white' || type === 'pink';
+  document.getElementById('generatorFrequencyRow').style.display = isNoise || type === 'multitone' ? 'none' : '';
+  document.getElementById('generatorEndRow').style.display = isSweep ? '' : 'none';
+  document.getElementById('generatorFrequencyLabel').textContent = isSweep ? 'From' : 'Frequency';
+  document.getElementById('generatorTonesRow').style.display = type === 'multitone' ? '' : 'none';
+
+  const tones = SignalGenerator.parseTones(generatorTones.value);
+  generatorTones.style.outline = tones.length > 0 ? '' : '1px solid #ff4444';
+
+  signalGenerator.setType(type);
+  signalGenerator.setFrequency(parseFloat(generatorFrequency.value), parseFloat(generatorEndFrequency.value));
+  signalGenerator.setTones(tones);
+  signalGenerator.setLevel(parseFloat(generatorLevel.value));
+  signalGenerator.setDuration(parseFloat(generatorDuration.value));
+}
+
+function startGenerator() {
+  stopGenerator();
+  try {
+    if (!generatorCtx || generatorCtx.state === 'closed') {
+      generatorCtx = createAudioContext();
+    }
+    if (generatorCtx.state === 'suspended') generatorCtx.resume();
+
+    const samples = signalGenerator.render(generatorCtx.sampleRate);
+    const buffer = generatorCtx.createBuffer(1, samples.length, generatorCtx.sampleRate);
+    buffer.copyToChannel(samples, 0);
+
+    const source = generatorCtx.createBufferSource();
+    source.buffer = buffer;
+    source.connect(generatorCtx.destination);
+    source.onended = () => {
+      if (generatorSource !== source) return;
+      generatorSource = null;
+      updateGeneratorControls();
+    };
+    source.start();
+    generatorSource = source;
+    console.log('🔊 Generator playing:', signalGenerator.describe());
+  } catch (error) {
+    console.error('Error starting signal generator:', error);
+    alert('Failed to start the signal generator: ' + error.message);
+  }
+  updateGeneratorControls();
+}
+
+function stopGenerator() {
+  if (!generatorSource) return;
+  const source = generatorSource;
+  generatorSource = null;
+  try {
+    source.stop();
+    source.disconnect();
+  } catch (error) {
+    // Already finished
+  }
+  updateGeneratorControls();
+}
+
+function updateGeneratorControls() {
+  generatorPlayBtn.disabled = !!generatorSource;
+  generatorStopBtn.disabled = !generatorSource;
+  generatorStatus.textContent = generatorSource ? `Playing: ${signalGenerator.describe()}` : '';
+}
+
+// Render the signal through the WAV download settings (bit depth, dither, metadata)
+function saveGeneratorWav() {
+  const sampleRate = wavSampleRate.value !== 'original' ? parseInt(wavSampleRate.value)
+    : generatorCtx ? generatorCtx.sampleRate : (audioHandler && audioHandler.defaultSampleRate) || 48000;
+  const samples = signalGenerator.render(sampleRate);
+  const channels = wavChannels.value === 'mono' ? [samples] : [samples, samples];
+  const description = signalGenerator.describe();
+  const wav = createWAVFile(channels, sampleRate, channels.length, getWavOptions({ description: description }));
+  const filename = `${description.replace(/[^\w.-]+/g, '_')}.wav`;
+  downloadBlob(new Blob([wav], { type: 'audio/wav' }), filename);
+}
+
+[generatorType, generatorFrequency, generatorEndFrequency, generatorTones, generatorLevel, generatorDuration].forEach(input => {
+  input.addEventListener('change', () => {
+    applyGeneratorSettings();
+    saveSettings();
+  });
+});
+generatorPlayBtn.addEventListener('click', startGenerator);
+generatorStopBtn.addEventListener('click', stopGenerator);
+document.getElementById('generatorSaveBtn').addEventListener('click', saveGeneratorWav);
+applyGeneratorSettings();
+
+// Sound level meter panel - weighted, time-weighted level of whatever the graph is showing
+const soundLevelMeter = new SoundLevelMeter();
+const SPL_INTERVAL = 100; // ms between display updates
+
+function renderSplReadings() {
+  const readings = soundLevelMeter.getReadings();
+  const format = db => (isFinite(db) ? db.toFixed(1) : '—');
+  const letter = SoundLevelMeter.TIME_WEIGHTINGS[readings.timeWeighting].letter;
+  splReading.textContent = `L${readings.weighting}${letter} ${format(readings.level)} ${readings.unit}`;
+
+  const rows = [
+    [`L${readings.weighting}eq`, `${format(readings.leq)} ${readings.unit}`],
+    [`L${readings.weighting}${letter}max`, `${format(readings.max)} ${readings.unit}`],
+    [`L${readings.weighting}${letter}min`, `${format(readings.min)} ${readings.unit}`],
+    ['Duration', formatTime(readings.duration)]
+  ];
+  splResults.innerHTML = rows.map(([name, value]) => `<tr><td>${name}</td><td>${value}</td></tr>`).join('');
+}
+
+const splLoop = createPanelLoop(SPL_INTERVAL, () => {
+  // Follow the graph's source - its analyser changes with live / playback
+  if (spectrumGraph && soundLevelMeter.source !== spectrumGraph) soundLevelMeter.start(spectrumGraph);
+  soundLevelMeter.attach();
+  renderSplReadings();
+});
+
+// The meter keeps running while the panel is closed - it also drives the level bars
+function setSplActive(active) {
+  if (splLoop.setActive(active) && active) soundLevelMeter.reset();
+}
+
+function updateSplCalibrationStatus() {
+  soundLevelMeter.setCalibrationOffset(splCalibration ? splCalibration.offset : null);
+  splClearCalibrationBtn.disabled = !splCalibration;
+  splSpectrum.disabled = !splCalibration;
+  splStatus.textContent = splCalibration
+    ? `Calibrated to ${splCalibration.reference} dB SPL on ${new Date(splCalibration.date).toLocaleDateString()} (offset ${splCalibration.offset.toFixed(2)} dB)`
+    : 'Not calibrated - levels are in dBFS (a full-scale sine reads 0 dB).';
+}
+
+// Switch the graph between dB and dB SPL, moving the dB range so the view stays put
+function applySplSpectrum() {
+  if (!spectrumGraph) return;
+  const before = spectrumGraph.getLevelOffset();
+  spectrumGraph.setSplOffset(splSpectrum.checked && splCalibration ? splCalibration.offset : null);
+  const shift = Math.round(spectrumGraph.getLevelOffset() - before);
+  if (shift !== 0) {
+    dbMin.value = parseFloat(dbMin.value) + shift;
+    dbMax.value = parseFloat(dbMax.value) + shift;
+  }
+  spectrumGraph.redraw();
+}
+
+splWeighting.addEventListener('change', () => {
+  soundLevelMeter.setWeighting(splWeighting.value);
+  saveSettings();
+});
+
+splTimeWeighting.addEventListener('change', () => {
+  soundLevelMeter.setTimeWeighting(splTimeWeighting.value);
+  saveSettings();
+});
+
+document.getElementById('splResetBtn').addEventListener('click', () => {
+  soundLevelMeter.reset();
+  renderSplReadings();
+});
+
+splCalibrateBtn.addEventListener('click', async () => {
+  if (!spectrumGraph || !splLoop.running) return;
+  const reference = parseFloat(splCalibrationLevel.value);
+  if (soundLevelMeter.source !== spectrumGraph) soundLevelMeter.start(spectrumGraph);
+
+  splCalibrateBtn.disabled = true;
+  splStatus.textContent = `Calibrating… hold the ${reference} dB SPL calibrator on the microphone.`;
+  try {
+    const offset = await soundLevelMeter.calibrate(reference);
+    splCalibration = { offset: offset, reference: reference, date: new Date().toISOString() };
+    soundLevelMeter.reset();
+    console.log('🎚️ SPL calibration offset:', offset.toFixed(2), 'dB');
+    saveSettings();
+  } catch (error) {
+    console.error('Calibration failed:', error);
+    alert('Calibration failed: ' + error.message);
+  }
+  splCalibrateBtn.disabled = false;
+  updateSplCalibrationStatus();
+  applySplSpectrum();
+});
+
+splClearCalibrationBtn.addEventListener('click', () => {
+  splCalibration = null;
+  updateSplCalibrationStatus();
+  applySplSpectrum();
+  saveSettings();
+});
+
+splSpectrum.addEventListener('change', () => {
+  applySplSpectrum();
+  saveSettings();
+});
+
+soundLevelMeter.setWeighting(splWeighting.value);
+soundLevelMeter.setTimeWeighting(splTimeWeighting.value);
+updateSplCalibrationStatus();
+
+// Cursor panel - readings of the graph's measurement cursors and the deltas between them
+const CURSOR_INTERVAL = 200; // ms between readout updates
+
+function renderCursorReadout() {
+  const readings = spectrumGraph ? spectrumGraph.getCursorReadings() : [];
+  if (readings.length === 0) {
+    cursorTable.innerHTML = '<tr><td>No cursors placed</td></tr>';
+    cursorDeltaTable.innerHTML = '';
+    return;
+  }
+
+  const levelOffset = spectrumGraph.getLevelOffset();
+  const unit = spectrumGraph.splOffset !== null ? 'dB SPL' : 'dB';
+  const formatNote = r => (r.note ? `${r.note} ${r.cents >= 0 ? '+' : ''}${r.cents.toFixed(0)}¢` : '—');
+  cursorTable.innerHTML = '<tr><th>Cursor</th><th>Hz</th><th>' + unit + '</th><th>Note</th><th></th></tr>' +
+    readings.map(r => `<tr><td><span class="cursor-swatch" style="background: ${r.color};"></span>${r.label}</td>` +
+      `<td>${r.freq.toFixed(2)}</td><td>${r.db !== null ? (r.db + levelOffset).toFixed(1) : '—'}</td><td>${formatNote(r)}</td>` +
+      `<td><button class="panel-close" data-cursor-id="${r.id}" title="Remove">×</button></td></tr>`).join('');
+
+  const deltas = SpectrumGraph.cursorDeltas(readings);
+  const signed = (value, digits) => (value >= 0 ? '+' : '') + value.toFixed(digits);
+  cursorDeltaTable.innerHTML = deltas.length === 0 ? '' : '<tr><th>Δ</th><th>Hz</th><th>dB</th><th>Cents</th></tr>' +
+    deltas.map(d => `<tr><td>${d.label}</td><td>${signed(d.hz, 2)}</td><td>${d.db !== null ? signed(d.db, 1) : '—'}</td><td>${signed(d.cents, 1)}</td></tr>`).join('');
+}
+
+const cursorLoop = createPanelLoop(CURSOR_INTERVAL, renderCursorReadout);
+
+// Levels change every frame, so the readout refreshes while its panel is open
+function setCursorPanelActive(active) {
+  if (cursorLoop.setActive(active) && active) renderCursorReadout();
+}
+
+// Cursors were placed, moved or removed on the graph
+function handleCursorsChange() {
+  renderCursorReadout();
+  // Save once a drag ends rather than on every mouse move
+  if (!spectrumGraph.draggingCursor) saveSettings();
+}
+
+document.getElementById('addCursorBtn').addEventListener('click', () => {
+  if (!spectrumGraph) return;
+  if (!spectrumGraph.addCursor()) {
+    alert(`All ${SpectrumGraph.MAX_CURSORS} cursors are placed.`);
+  }
+});
+
+document.getElementById('clearCursorsBtn').addEventListener('click', () => {
+  if (spectrumGraph) spectrumGraph.setCursors([]);
+});
+
+cursorTable.addEventListener('click', (e) => {
+  const button = e.target.closest('button[data-cursor-id]');
+  if (button && spectrumGraph) spectrumGraph.removeCursor(parseInt(button.dataset.cursorId));
+});
+
+cursorSnap.addEventListener('change', () => {
+  if (spectrumGraph) spectrumGraph.setCursorSnap(cursorSnap.checked);
+  saveSettings();
+});
+
+renderCursorReadout();
+
+// Peak table panel - the live line's peaks, how long each has lasted, and a history of them
+const peakTracker = new PeakTracker();
+const PEAK_TABLE_INTERVAL = 100; // ms between tracker updates
+const PEAK_HISTORY_ROWS = 100; // Newest history entries shown (the export has them all)
+let peakTablePaused = false;
+
+function getPeakBand() {
+  return { low: parseFloat(peakBandMin.value), high: parseFloat(peakBandMax.value) };
+}
+
+function formatPeakNote(freq) {
+  const note = Tuning.analyze(freq);
+  return note ? { name: note.name, cents: `${note.cents >= 0 ? '+' : ''}${note.cents.toFixed(0)}` } : { name: '—', cents: '—' };
+}
+
+function renderPeakTable() {
+  const band = getPeakBand();
+  const levelOffset = spectrumGraph ? spectrumGraph.getLevelOffset() : 0;
+  const unit = spectrumGraph && spectrumGraph.splOffset !== null ? 'dB SPL' : 'dB';
+
+  const current = PeakTracker.filterByBand(peakTracker.getCurrent(), band.low, band.high);
+  peakTable.innerHTML = '<tr><th>Hz</th><th>' + unit + '</th><th>Note</th><th>Cents</th><th>Held</th></tr>' +
+    (current.length === 0 ? '<tr><td colspan="5">No peaks</td></tr>' : current.map(p => {
+      const note = formatPeakNote(p.freq);
+      return `<tr><td>${p.freq.toFixed(1)}</td><td>${(p.db + levelOffset).toFixed(1)}</td><td>${note.name}</td><td>${note.cents}</td><td>${p.duration.toFixed(1)} s</td></tr>`;
+    }).join(''));
+
+  // Newest first
+  const history = PeakTracker.filterByBand(peakTracker.history, band.low, band.high).slice(-PEAK_HISTORY_ROWS).reverse();
+  peakHistoryTable.innerHTML = '<tr><th>Time</th><th>Hz</th><th>Max ' + unit + '</th><th>Note</th><th>Lasted</th></tr>' +
+    history.map(entry => {
+      const note = formatPeakNote(entry.freq);
+      const time = formatTime((entry.start - peakTracker.startTime) / 1000);
+      const lasted = `${((entry.end - entry.start) / 1000).toFixed(1)} s${entry.active ? ' …' : ''}`;
+      return `<tr><td>${time}</td><td>${entry.freq.toFixed(1)}</td><td>${(entry.maxDb + levelOffset).toFixed(1)}</td><td>${note.name}</td><td>${lasted}</td></tr>`;
+    }).join('');
+}
+
+const peakTableLoop = createPanelLoop(PEAK_TABLE_INTERVAL, () => {
+  if (peakTablePaused) return;
+  if (spectrumGraph && spectrumGraph.audioCtx && spectrumGraph.dataArray && !spectrumGraph.isFrozen) {
+    // Peaks closer than about a bin are the same peak
+    const binHz = spectrumGraph.audioCtx.sampleRate / 2 / spectrumGraph.dataArray.length;
+    peakTracker.update(spectrumGraph.getCurrentPeaks(), Date.now(), binHz * 1.5);
+  }
+  renderPeakTable();
+});
+
+// The tracker only runs while its panel is open
+function setPeakTableActive(active) {
+  peakTableLoop.setActive(active);
+}
+
+peakTablePauseBtn.addEventListener('click', () => {
+  peakTablePaused = !peakTablePaused;
+  peakTablePauseBtn.textContent = peakTablePaused ? 'Resume' : 'Pause';
+});
+
+document.getElementById('peakHistoryClearBtn').addEventListener('click', () => {
+  peakTracker.reset();
+  renderPeakTable();
+});
+
+[peakBandMin, peakBandMax].forEach(input => {
+  input.addEventListener('change', () => {
+    renderPeakTable();
+    saveSettings();
+  });
+});
+
+// History (band filter applied) as CSV, one row per peak occurrence
+document.getElementById('peakHistoryExportBtn').addEventListener('click', () => {
+  const band = getPeakBand();
+  const history = PeakTracker.filterByBand(peakTracker.history, band.low, band.high);
+  if (history.length === 0) {
+    alert('No peaks in the history yet. Open the peak table while live mode or playback is running.');
+    return;
+  }
+
+  const metadata = {
+    timestamp: new Date().toISOString(),
+    source: spectrumGraph && spectrumGraph.isLiveMode ? 'live' : 'file',
+    fileName: audioBuffer ? fileName.textContent : null,
+    bandMinHz: isNaN(band.low) ? null : band.low,
+    bandMaxHz: isNaN(band.high) ? null : band.high,
+    concertPitch: Tuning.A4
+  };
+  // Levels stay in raw dB like the spectrum exports
+  if (spectrumGraph && spectrumGraph.splOffset !== null) metadata.splOffsetDb = Number(spectrumGraph.getLevelOffset().toFixed(2));
+
+  let csv = '';
+  Object.entries(metadata).forEach(([key, value]) => {
+    if (value !== null) csv += `# ${key}: ${value}\n`;
+  });
+  csv += 'start_time,start_s,duration_s,freq_hz,last_db,max_db,note,cents,active\n';
+  history.forEach(entry => {
+    const note = Tuning.analyze(entry.freq);
+    csv += [
+      new Date(entry.start).toISOString(),
+      ((entry.start - peakTracker.startTime) / 1000).toFixed(3),
+      ((entry.end - entry.start) / 1000).toFixed(3),
+      entry.freq.toFixed(3),
+      entry.db.toFixed(2),
+      entry.maxDb.toFixed(2),
+      note ? note.name : '',
+      note ? note.cents.toFixed(2) : '',
+      entry.active ? 1 : 0
+    ].join(',') + '\n';
+  });
+
+  downloadBlob(new Blob([csv], { type: 'text/csv' }), 'peak-history-' + metadata.timestamp.replace(/[:.]/g, '-').replace(/-\d+Z$/, '') + '.csv');
+  console.log('📋 Exported peak history:', history.length, 'entries');
+});
+
+renderPeakTable();
+
+// Partial tracking panel - offline peak tracks over the whole loaded file
+const PARTIAL_COLORS = ['#ff8800', '#ff00ff', '#00ff00', '#ffeb3b', '#ff4466', '#8888ff', '#00e5ff', '#ffffff'];
+const PARTIAL_CHUNK_TIME = 30; // ms of analysis between yields to the UI
+let partialResult = null; // { buffer, tracks, minFreq, maxFreq, minDb, hop, fftSize, window, peaksPerFrame }
+let partialToken = 0; // Bumped to cancel a running analysis
+
+function analyzePartials() {
+  if (!audioBuffer) {
+    alert('Load an audio file first.');
+    return;
+  }
+
+  const buffer = audioBuffer;
+  const token = ++partialToken;
+  const fftSize = parseInt(document.getElementById('fftSizeSelect').value);
+  const hop = clamp(parseFloat(partialHop.value) || 10, 1, 1000) / 1000;
+  const minDb = parseFloat(partialMinDb.value);
+  const tracker = new PartialTracker({
+    maxPeaks: clamp(parseInt(partialPeaks.value) || 8, 1, 32),
+    minDb: isFinite(minDb) ? minDb : -80,
+    minFreq: parseFloat(freqMin.value),
+    maxFreq: Math.min(parseFloat(freqMax.value), buffer.sampleRate / 2)
+  });
+  const frameCount = Math.floor(buffer.duration / hop) + 1;
+  let frame = 0;
+
+  partialAnalyzeBtn.disabled = true;
+  const processChunk = () => {
+    // A newer analysis, a Clear or another file stops this one
+    if (token !== partialToken || buffer !== audioBuffer) {
+      partialAnalyzeBtn.disabled = false;
+      return;
+    }
+
+    // Runs from a timer, so nothing upstream would catch a failure
+    try {
+      const chunkStart = performance.now();
+      while (frame < frameCount && performance.now() - chunkStart < PARTIAL_CHUNK_TIME) {
+        const time = frame * hop;
+        tracker.addFrame(getFrequencyDataFromAudioBuffer(buffer, time, fftSize), buffer.sampleRate, time);
+        frame++;
+      }
+
+      if (frame < frameCount) {
+        partialStatus.textContent = `Analyzing… ${Math.round(frame / frameCount * 100)}%`;
+        setTimeout(processChunk, 0);
+        return;
+      }
+
+      partialResult = {
+        buffer: buffer,
+        tracks: tracker.finish(),
+        minFreq: tracker.minFreq,
+        maxFreq: tracker.maxFreq,
+        minDb: tracker.minDb,
+        hop: hop,
+        fftSize: fftSize,
+        window: windowSelect.value,
+        peaksPerFrame: tracker.maxPeaks
+      };
+    } catch (error) {
+      console.error('Error tracking partials:', error);
+      partialAnalyzeBtn.disabled = false;
+      partialStatus.textContent = '';
+      alert('Partial tracking failed: ' + error.message);
+      return;
+    }
+    partialAnalyzeBtn.disabled = false;
+    partialStatus.textContent = `${partialResult.tracks.length} tracks over ${formatTime(buffer.duration)} (${frameCount} frames)`;
+    console.log('🎼 Partial tracking:', partialResult.tracks.length, 'tracks from', frameCount, 'frames');
+    drawWaveform(audioBuffer);
+  };
+  processChunk();
+}
+
+partialAnalyzeBtn.addEventListener('click', analyzePartials);
+
+document.getElementById('partialClearBtn').addEventListener('click', () => {
+  partialToken++;
+  partialResult = null;
+  partialStatus.textContent = 'Cleared.';
+  if (audioBuffer) drawWaveform(audioBuffer);
+});
+
+// Time series of every track point as CSV, ordered by time then track
+document.getElementById('partialExportBtn').addEventListener('click', () => {
+  const result = partialResult;
+  if (!result || result.buffer !== audioBuffer) {
+    alert('No partial tracks for this file yet. Click Analyze File first.');
+    return;
+  }
+
+  const metadata = {
+    timestamp: new Date().toISOString(),
+    fileName: fileName.textContent,
+    sampleRate: result.buffer.sampleRate,
+    fftSize: result.fftSize,
+    window: WindowFunctions.TYPES[result.window],
+    hopMs: Number((result.hop * 1000).toFixed(3)),
+    peaksPerFrame: result.peaksPerFrame,
+    minLevelDb: result.minDb,
+    minFreqHz: result.minFreq,
+    maxFreqHz: result.maxFreq,
+    trackCount: result.tracks.length,
+    concertPitch: Tuning.A4
+  };
+
+  let csv = '';
+  Object.entries(metadata).forEach(([key, value]) => {
+    if (value !== null) csv += `# ${key}: ${value}\n`;
+  });
+  csv += 'time_s,track,freq_hz,level_db,note,cents\n';
+  const rows = [];
+  result.tracks.forEach(track => {
+    track.points.forEach(point => rows.push({ track: track.id, point: point }));
+  });
+  rows.sort((a, b) => a.point.time - b.point.time || a.track - b.track);
+  rows.forEach(({ track, point }) => {
+    const note = Tuning.analyze(point.freq);
+    csv += [
+      point.time.toFixed(4),
+      track,
+      point.freq.toFixed(3),
+      point.db.toFixed(2),
+      note ? note.name : '',
+      note ? note.cents.toFixed(2) : ''
+    ].join(',') + '\n';
+  });
+
+  const baseName = fileName.textContent.replace(/\.[^.]+$/, '') || 'audio';
+  downloadBlob(new Blob([csv], { type: 'text/csv' }), `partials-${baseName}.csv`);
+  console.log('🎼 Exported partial tracks:', rows.length, 'points');
+});
+
+[partialPeaks, partialHop, partialMinDb].forEach(input => {
+  input.addEventListener('change', saveSettings);
+});
+
+partialShow.addEventListener('change', () => {
+  if (audioBuffer) drawWaveform(audioBuffer);
+  saveSettings();
+});
+
+// Mic correction panel - calibration curves per input device, kept in localStorage
+// (the settings cookie is too small for a calibration table)
+const MIC_CORRECTION_STORAGE_KEY = 'micCorrections';
+let micCorrections = loadMicCorrections(); // { [deviceKey]: [{ id, name, points, enabled }] }
+
+function loadMicCorrections() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(MIC_CORRECTION_STORAGE_KEY));
+    return stored && typeof stored === 'object' ? stored : {};
+  } catch (error) {
+    console.error('Error loading mic corrections:', error);
+    return {};
+  }
+}
+
+function saveMicCorrections() {
+  try {
+    localStorage.setItem(MIC_CORRECTION_STORAGE_KEY, JSON.stringify(micCorrections));
+  } catch (error) {
+    console.error('Error saving mic corrections:', error);
+    alert('Could not store the correction curves: ' + error.message);
+  }
+}
+
+// Storage key of the selected input device ('' is the browser default)
+function getCorrectionDeviceKey() {
+  return document.getElementById('deviceSelect').value || 'default';
+}
+
+function getDeviceCorrections() {
+  return micCorrections[getCorrectionDeviceKey()] || [];
+}
+
+// Hand the selected device's curves to the graph and refresh the panel
+function applyMicCorrection() {
+  if (spectrumGraph) spectrumGraph.setMicCorrection(getDeviceCorrections(), correctionApply.checked);
+  renderCorrectionList();
+}
+
+function renderCorrectionList() {
+  const select = document.getElementById('deviceSelect');
+  const option = select.options[select.selectedIndex];
+  correctionDevice.textContent = option ? option.textContent : 'Default input';
+
+  const curves = getDeviceCorrections();
+  correctionList.innerHTML = '';
+  if (curves.length === 0) {
+    correctionList.innerHTML = '<div class="reference-empty">No correction curves for this input</div>';
+    return;
+  }
+
+  const update = () => {
+    saveMicCorrections();
+    applyMicCorrection();
+    if (spectrumGraph) spectrumGraph.redraw();
+  };
+
+  curves.forEach(curve => {
+    const item = document.createElement('div');
+    item.className = 'reference-item';
+    item.title = MicCorrection.describe(curve);
+
+    const enabled = document.createElement('input');
+    enabled.type = 'checkbox';
+    enabled.checked = curve.enabled;
+    enabled.title = 'Use this curve';
+    enabled.addEventListener('change', () => {
+      curve.enabled = enabled.checked;
+      update();
+    });
+
+    const name = document.createElement('input');
+    name.type = 'text';
+    name.value = curve.name;
+    name.addEventListener('change', () => {
+      curve.name = name.value.trim() || curve.name;
+      name.value = curve.name;
+      saveMicCorrections();
+    });
 
-    // Update current buffer position
-    currentBufferPosition = percentage * audioBuffer.duration;
+    const remove = document.createElement('button');
+    remove.className = 'panel-close';
+    remove.title = 'Delete';
+    remove.textContent = '×';
+    remove.addEventListener('click', () => {
+      micCorrections[getCorrectionDeviceKey()] = curves.filter(c => c !== curve);
+      update();
+    });
 
-    // Update playback line position using CSS variable
-    playbackLine.style.setProperty('--playback-position', (percentage * 100) + '%');
+    item.append(enabled, name, remove);
+    correctionList.appendChild(item);
+  });
+}
 
-    // Update time display
-    currentTime.textContent = formatTime(currentBufferPosition);
+document.getElementById('importCorrectionBtn').addEventListener('click', () => correctionFileInput.click());
 
-    // Update spectrum graph (throttled)
-    if (shouldUpdateSpectrum) {
-      // Get frequency data at this position and update spectrum directly
-      const timePosition = percentage * audioBuffer.duration;
-      const frequencyData = getFrequencyDataFromAudioBuffer(audioBuffer, timePosition);
+correctionFileInput.addEventListener('change', async () => {
+  const files = Array.from(correctionFileInput.files);
+  correctionFileInput.value = '';
+  if (files.length === 0) return;
 
-      // Update spectrum graph data array directly for immediate visual feedback
-      if (spectrumGraph.dataArray && frequencyData) {
-        spectrumGraph.dataArray.set(frequencyData);
-        spectrumGraph.draw();
-        console.log('🎯 Spectrum updated at scrub position:', percentage.toFixed(3), 'with', frequencyData.length, 'bins');
-      } else {
-        // Fallback to scrub mode methods
-        spectrumGraph.setScrubPosition(percentage);
-        spectrumGraph.drawScrub();
-        console.log('🎯 Spectrum updated (fallback) at scrub position:', percentage.toFixed(3));
-      }
-      lastScrubUpdate = now;
+  const deviceKey = getCorrectionDeviceKey();
+  const curves = micCorrections[deviceKey] || [];
+  const failed = [];
+  for (const file of files) {
+    try {
+      const points = MicCorrection.parse(await file.text());
+      curves.push({ id: Date.now() + curves.length, name: file.name.replace(/\.[^.]+$/, ''), points: points, enabled: true });
+      console.log('🎙️ Imported mic correction:', file.name, `(${points.length} points)`);
+    } catch (error) {
+      failed.push(`${file.name}: ${error.message}`);
     }
   }
 
-  // Stop scrubbing
-  function stopScrubbing() {
-    if (!isScrubbing) return;
+  micCorrections[deviceKey] = curves;
+  saveMicCorrections();
+  applyMicCorrection();
+  if (spectrumGraph) spectrumGraph.redraw();
+  if (failed.length > 0) alert('Could not import:\n' + failed.join('\n'));
+});
 
-    isScrubbing = false;
+correctionApply.addEventListener('change', () => {
+  applyMicCorrection();
+  if (spectrumGraph) spectrumGraph.redraw();
+  saveSettings();
+});
 
-    // Remove global mouse events
-    document.removeEventListener('mousemove', updateScrubPosition);
-    document.removeEventListener('mouseup', stopScrubbing);
+renderCorrectionList();
 
-    // Reset spectrum graph to static mode
-    spectrumGraph.isScrubbing = false;
-    spectrumGraph.drawStatic();
+// Frequency response panel - log sweep out, live input back in, deconvolved to a response
+const sweepMeasurement = new SweepMeasurement();
+let measurementResult = null; // Latest SweepMeasurement.process() result
+let measurementCount = 0;
+let measuring = false;
 
-    console.log('🔄 Scrubbing ended at position:', currentBufferPosition.toFixed(2), 'seconds');
+function applyMeasurementSettings() {
+  sweepMeasurement.setSweep(parseFloat(measurementStart.value), parseFloat(measurementEnd.value),
+    parseFloat(measurementDuration.value), parseFloat(measurementLevel.value));
+  sweepMeasurement.setIrLength(parseFloat(measurementWindow.value) / 1000);
+}
+
+// Show the latest measurement on the graph with the selected smoothing
+function showMeasurementResult() {
+  if (!spectrumGraph) return;
+  if (!measurementResult) {
+    spectrumGraph.setResponseTrace(null);
+  } else {
+    const fraction = parseInt(measurementSmoothing.value);
+    spectrumGraph.setResponseTrace({
+      name: `Response ${measurementCount}`,
+      raw: measurementResult.magnitude,
+      smoothed: fraction ? SweepMeasurement.smooth(measurementResult.magnitude, fraction) : null,
+      sampleRate: measurementResult.sampleRate
+    });
   }
+  spectrumGraph.redraw();
+}
 
-  // Add click-to-jump functionality to canvas (not just playback line)
-  let isDragging = false;
-  let dragStartTime = 0;
+async function runMeasurement() {
+  if (measuring) return;
+  if (!audioHandler || !audioHandler.isRunning()) {
+    alert('Start live mode first - the response is recorded from the live input.');
+    return;
+  }
 
-  waveformCanvas.addEventListener('mousedown', (e) => {
-    isDragging = false; // Reset drag flag
-    dragStartTime = Date.now();
+  measuring = true;
+  measurementStartBtn.disabled = true;
+  measurementStatus.textContent = 'Measuring… keep quiet until the sweep has finished.';
+  try {
+    const sampleRate = audioHandler.audioCtx.sampleRate;
+    const stimulus = sweepMeasurement.createStimulus(sampleRate);
+    const recorded = await audioHandler.measureResponse(stimulus, SweepMeasurement.CAPTURE_TAIL);
+    measurementResult = sweepMeasurement.process(recorded, stimulus, sampleRate);
+    measurementCount++;
+    showMeasurementResult();
+    measurementStatus.textContent = `Latency ${(measurementResult.latency * 1000).toFixed(1)} ms, ` +
+      `${(sampleRate / (measurementResult.magnitude.length * 2)).toFixed(2)} Hz resolution`;
+    console.log('📏 Response measured, latency', (measurementResult.latency * 1000).toFixed(1), 'ms');
+  } catch (error) {
+    console.error('Error measuring frequency response:', error);
+    measurementStatus.textContent = '';
+    alert('Measurement failed: ' + error.message);
+  }
+  measuring = false;
+  measurementStartBtn.disabled = false;
+  measurementStoreBtn.disabled = !measurementResult;
+  measurementClearBtn.disabled = !measurementResult;
+}
 
-    // Start scrubbing if we have audio
-    if (audioBuffer) {
-      startScrubbing(e);
-    }
-  });
+measurementStartBtn.addEventListener('click', runMeasurement);
+
+measurementStoreBtn.addEventListener('click', () => {
+  if (!measurementResult || !spectrumGraph) return;
+  const response = spectrumGraph.responseTrace;
+  const fraction = parseInt(measurementSmoothing.value);
+  const name = fraction ? `${response.name} (1/${fraction} oct)` : response.name;
+  const trace = spectrumGraph.addReferenceTrace(name, response.smoothed || response.raw, response.sampleRate);
+  spectrumGraph.redraw();
+  renderReferenceList();
+  console.log('📌 Stored response as reference trace:', trace.name);
+});
 
-  waveformCanvas.addEventListener('mousemove', () => {
-    // If mouse moves more than a few pixels, consider it a drag
-    if (!isDragging && Date.now() - dragStartTime > 100) {
-      isDragging = true;
-    }
+measurementClearBtn.addEventListener('click', () => {
+  measurementResult = null;
+  measurementStoreBtn.disabled = true;
+  measurementClearBtn.disabled = true;
+  measurementStatus.textContent = '';
+  showMeasurementResult();
+});
+
+[measurementStart, measurementEnd, measurementDuration, measurementLevel, measurementWindow].forEach(input => {
+  input.addEventListener('change', () => {
+    applyMeasurementSettings();
+    saveSettings();
   });
+});
+measurementSmoothing.addEventListener('change', () => {
+  showMeasurementResult();
+  saveSettings();
+});
+applyMeasurementSettings();
+
+openPanels.slice().forEach(panelId => setToolPanelVisible(panelId, true, false));
+
+// Restart a running live mode so new FFT size / channel settings take effect
+async function restartLiveVisualization(reason) {
+  console.log(`${reason} changed while live mode is running - restarting live mode`);
+  const deviceId = document.getElementById('deviceSelect').value;
+  const newFftSize = parseInt(document.getElementById('fftSizeSelect').value);
+
+  // Stop current live mode
+  await audioHandler.stopLiveVisualization();
+
+  // Restart with the new settings
+  const success = await audioHandler.startLiveVisualization(deviceId, newFftSize, parseInt(inputChannelsSelect.value));
+  if (success) {
+    // Update spectrum graph with new analyser
+    spectrumGraph.setAudioContext(audioHandler.audioCtx, audioHandler.analyser, audioHandler.dataArray, audioHandler.bufferLength, audioHandler.source, true);
+    spectrumGraph.setChannelTraces(audioHandler.getChannelTraces());
+    spectrumGraph.draw();
+    if (spectrogram) spectrogram.startLive(audioHandler);
+    console.log('✅ Live mode restarted:', { fftSize: newFftSize, channels: audioHandler.channelCount });
+  } else {
+    console.error('❌ Failed to restart live mode');
+  }
+}
 
-  waveformCanvas.addEventListener('click', (e) => {
-    if (!audioBuffer || isDragging) return;
+// FFT Size change handler - dynamically update if live mode is running
+document.getElementById('fftSizeSelect').addEventListener('change', async () => {
+  if (audioHandler && audioHandler.isRunning()) {
+    await restartLiveVisualization('FFT size');
+  } else if (audioBuffer && spectrogram && spectrogram.mode === 'file') {
+    showFileSpectrogram(audioBuffer);
+  }
+  saveSettings();
+});
 
-    // Calculate click position and jump there
-    const rect = waveformCanvas.getBoundingClientRect();
-    const x = e.clientX - rect.left;
-    const clampedX = clamp(x, 0, rect.width);
-    const percentage = clampedX / rect.width;
+// Window function change handlers
+// The graph needs the offline window to scale RTA bands of scrubbed frames
+function applyAnalysisWindow() {
+  const beta = parseFloat(kaiserBeta.value);
+  if (spectrumGraph) spectrumGraph.setAnalysisWindow(windowSelect.value, isFinite(beta) ? beta : WindowFunctions.DEFAULT_KAISER_BETA);
+}
 
-    // Update position
-    currentBufferPosition = percentage * audioBuffer.duration;
-    playbackLine.style.setProperty('--playback-position', (percentage * 100) + '%');
-    currentTime.textContent = formatTime(currentBufferPosition);
+windowSelect.addEventListener('change', () => {
+  kaiserBetaLabel.style.display = windowSelect.value === 'kaiser' ? '' : 'none';
+  console.log('Analysis window set to', WindowFunctions.TYPES[windowSelect.value]);
+  applyAnalysisWindow();
+  refreshWindowedViews();
+  saveSettings();
+});
 
-    // Update spectrum at new position
-    const timePosition = percentage * audioBuffer.duration;
-    const frequencyData = getFrequencyDataFromAudioBuffer(audioBuffer, timePosition);
+kaiserBeta.addEventListener('change', () => {
+  applyAnalysisWindow();
+  refreshWindowedViews();
+  saveSettings();
+});
 
-    if (spectrumGraph.dataArray && frequencyData) {
-      spectrumGraph.dataArray.set(frequencyData);
-      spectrumGraph.draw();
-      console.log('🎯 Click-jumped to position:', percentage.toFixed(3), 'with', frequencyData.length, 'bins');
-    }
+// The file frame on the graph and the file spectrogram were analysed with the old window
+function refreshWindowedViews() {
+  refreshFileFrame();
+  if (audioBuffer && spectrogram && spectrogram.mode === 'file') {
+    showFileSpectrogram(audioBuffer);
+  }
+}
 
-    console.log('🎯 Click-jumped to position:', currentBufferPosition.toFixed(2), 'seconds');
+// Spectrogram setting handlers
+viewModeSelect.addEventListener('change', () => {
+  applyViewMode();
+  saveSettings();
+});
 
-    // Reset drag flag
-    isDragging = false;
-  });
+colormapSelect.addEventListener('change', () => {
+  if (spectrogram) {
+    spectrogram.setColormap(colormapSelect.value);
+  }
+  saveSettings();
+});
 
-  // Add visual feedback for draggable state
-  waveformCanvas.addEventListener('mouseenter', () => {
-    if (audioBuffer) {
-      waveformCanvas.style.cursor = 'ew-resize';
-      playbackLine.style.boxShadow = '0 0 8px rgba(255, 255, 0, 0.8)';
+[spectrogramDbMin, spectrogramDbMax].forEach(input => {
+  input.addEventListener('change', () => {
+    if (spectrogram) {
+      spectrogram.setDbRange(parseFloat(spectrogramDbMin.value), parseFloat(spectrogramDbMax.value));
     }
+    saveSettings();
   });
+});
 
-  waveformCanvas.addEventListener('mouseleave', () => {
-    waveformCanvas.style.cursor = '';
-    playbackLine.style.boxShadow = '';
+// Peak hold mode change handlers
+[peakHoldMode, peakHoldTime, peakFallRate].forEach(input => {
+  input.addEventListener('change', () => {
+    peakDecaySettings.style.display = peakHoldMode.value === 'decay' ? '' : 'none';
+    if (spectrumGraph) {
+      spectrumGraph.setPeakHoldMode(peakHoldMode.value, parseFloat(peakHoldTime.value), parseFloat(peakFallRate.value));
+    }
+    saveSettings();
   });
-}
+});
 
-// Initialize scrubbing after app initialization
-setTimeout(initScrubbing, 100);
+// Peak interpolation change handler
+peakInterpolationSelect.addEventListener('change', () => {
+  if (spectrumGraph) {
+    spectrumGraph.setPeakInterpolation(peakInterpolationSelect.value);
+    spectrumGraph.redraw();
+  }
+  saveSettings();
+});
 
-// Spacebar play/pause functionality
-document.addEventListener('keydown', (e) => {
-  // Only handle spacebar if not in an input field
-  if (e.code === 'Space' && e.target.tagName !== 'INPUT' && e.target.tagName !== 'TEXTAREA') {
-    e.preventDefault(); // Prevent page scroll
+// Averaging change handlers
+[...averageModeInputs, averageTimeConstant, averageFrames].forEach(input => {
+  input.addEventListener('change', () => {
+    applyAveragingSettings();
+    if (spectrumGraph) spectrumGraph.redraw();
+    saveSettings();
+  });
+});
 
-    if (isPlaying) {
-      // Pause if currently playing
-      pauseBtn.click();
-    } else if (audioBuffer) {
-      // Play if audio is loaded and not playing
-      playBtn.click();
+averageColorInputs.forEach(input => {
+  input.addEventListener('input', () => {
+    applyAveragingSettings();
+    if (spectrumGraph) spectrumGraph.redraw();
+    saveSettings();
+  });
+});
+
+// Sample rate change handler
+sampleRateSelect.addEventListener('change', async () => {
+  if (audioHandler) {
+    audioHandler.setSampleRate(parseInt(sampleRateSelect.value) || null);
+    if (audioHandler.isRunning()) {
+      await restartLiveVisualization('Sample rate');
     }
   }
+  saveSettings();
 });
 
-// Event handlers
+// Tuning setting handlers
+[concertPitch, temperamentSelect, temperamentRoot, customCents].forEach(input => {
+  input.addEventListener('change', () => {
+    applyTuningSettings();
+    console.log('Tuning:', Tuning.describe());
+    saveSettings();
+  });
+});
 
-// Canvas click handler
-canvas.addEventListener('click', () => {
-  if (audioHandler && audioHandler.peakHoldArray) {
-    audioHandler.peakHoldArray.fill(-Infinity);
-  }
-  latestPeaks = [];
-});
-
-// Canvas mousemove handler for tooltip
-canvas.addEventListener('mousemove', (e) => {
-  const rect = canvas.getBoundingClientRect();
-  const mx = e.clientX - rect.left;
-  const my = e.clientY - rect.top;
-  const freqMinVal = parseFloat(freqMin.value);
-  const freqMaxVal = parseFloat(freqMax.value);
-  const dbMinVal = parseFloat(dbMin.value);
-  const dbMaxVal = parseFloat(dbMax.value);
-  const nyquist = (audioHandler && audioHandler.audioCtx) ? audioHandler.audioCtx.sampleRate / 2 : 22050;
-  const freq = (mx - 32) / (width - 64) * (freqMaxVal - freqMinVal) + freqMinVal;
-  const db = dbMaxVal - ((my - 10) / (height - 62)) * (dbMaxVal - dbMinVal);
-  if (freq >= freqMinVal && freq <= freqMaxVal) {
-    tooltip.style.display = "block";
-    tooltip.style.left = (e.pageX + 10) + "px";
-    tooltip.style.top = (e.pageY + 10) + "px";
-    tooltip.textContent = freq.toFixed(1) + " Hz, " + db.toFixed(1) + " dB";
-  } else {
-    tooltip.style.display = "none";
+// Channel setting handlers
+inputChannelsSelect.addEventListener('change', async () => {
+  saveSettings();
+  if (audioHandler && audioHandler.isRunning()) {
+    await restartLiveVisualization('Input channel count');
   }
 });
 
-// Save PNG button
-document.getElementById('savePngBtn').onclick = () => {
-  const link = document.createElement('a');
-  link.download = 'spectrum.png';
-  link.href = canvas.toDataURL();
-  link.click();
-};
+channelViewSelect.addEventListener('change', () => {
+  if (spectrumGraph) {
+    spectrumGraph.setChannelView(channelViewSelect.value);
+    spectrumGraph.redraw();
+  }
+  saveSettings();
+});
 
-// Save CSV button
-document.getElementById('saveCsvBtn').onclick = () => {
-  let csv = "freq_hz,db\n";
-  latestPeaks.forEach(p => {
-    csv += p.freq.toFixed(2) + "," + p.db.toFixed(2) + "\n";
+[displayStyleSelect, rtaFractionSelect].forEach(select => {
+  select.addEventListener('change', () => {
+    rtaFractionLabel.style.display = displayStyleSelect.value === 'rta' ? '' : 'none';
+    if (spectrumGraph) {
+      spectrumGraph.setDisplayStyle(displayStyleSelect.value, parseInt(rtaFractionSelect.value));
+      spectrumGraph.redraw();
+    }
+    saveSettings();
   });
-  const blob = new Blob([csv], { type: 'text/csv' });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = 'peaks.csv';
-  a.click();
-  URL.revokeObjectURL(url);
-};
+});
 
-// Settings button
-const settingsBtn = document.getElementById('settingsBtn');
-settingsBtn.addEventListener('click', () => {
-  const overlay = document.querySelector('.overlay');
-  if (overlay) {
-    overlay.classList.add('active');
+fileChannelSelect.addEventListener('change', () => {
+  if (audioBuffer && spectrogram && spectrogram.mode === 'file') {
+    showFileSpectrogram(audioBuffer);
   }
+  console.log('File analysis channel set to', fileChannelSelect.value);
 });
 
-// FFT Size change handler - dynamically update if live mode is running
-document.getElementById('fftSizeSelect').addEventListener('change', async () => {
-  if (audioHandler && audioHandler.isRunning()) {
-    console.log('FFT size changed while live mode is running - restarting with new FFT size');
-    const deviceId = document.getElementById('deviceSelect').value;
-    const newFftSize = parseInt(document.getElementById('fftSizeSelect').value);
-
-    // Stop current live mode
-    await audioHandler.stopLiveVisualization();
-
-    // Restart with new FFT size
-    const success = await audioHandler.startLiveVisualization(deviceId, newFftSize);
-    if (success) {
-      // Update spectrum graph with new analyser
-      spectrumGraph.setAudioContext(audioHandler.audioCtx, audioHandler.analyser, audioHandler.dataArray, audioHandler.bufferLength, audioHandler.source, true);
-      spectrumGraph.draw();
-      console.log('✅ Live mode restarted with new FFT size:', newFftSize);
-    } else {
-      console.error('❌ Failed to restart live mode with new FFT size');
-    }
-  }
-  saveSettings();
+// WAV download setting handlers
+[wavBitDepth, wavChannels, wavSampleRate, wavDither, wavMetadata].forEach(input => {
+  input.addEventListener('change', saveSettings);
 });
 
 // Color change handlers
@@ -885,6 +2767,9 @@ fontSizeSelect.addEventListener('change', () => {
   if (spectrumGraph) {
     spectrumGraph.setFontSize(fontSize);
   }
+  if (spectrogram) {
+    spectrogram.setFontSize(fontSize);
+  }
   saveSettings();
 });
 
@@ -910,7 +2795,7 @@ startBtn.onclick = async () => {
     const deviceId = document.getElementById('deviceSelect').value;
     const fftSize = parseInt(document.getElementById('fftSizeSelect').value);
 
-    const success = await audioHandler.startLiveVisualization(deviceId, fftSize);
+    const success = await audioHandler.startLiveVisualization(deviceId, fftSize, parseInt(inputChannelsSelect.value));
     if (success) {
       startBtn.title = "Stop Live Audio";
 
@@ -919,7 +2804,9 @@ startBtn.onclick = async () => {
       if (typeof lucide !== 'undefined') lucide.createIcons();
 
       spectrumGraph.setAudioContext(audioHandler.audioCtx, audioHandler.analyser, audioHandler.dataArray, audioHandler.bufferLength, audioHandler.source, true);
+      spectrumGraph.setChannelTraces(audioHandler.getChannelTraces());
       spectrumGraph.draw();
+      if (spectrogram) spectrogram.startLive(audioHandler);
     } else {
       console.error('Failed to start live visualization');
       alert('Failed to start live audio. Please check your microphone permissions.');
@@ -934,9 +2821,11 @@ startBtn.onclick = async () => {
       icon.setAttribute('data-lucide', 'mic');
       if (typeof lucide !== 'undefined') lucide.createIcons();
 
+      if (spectrogram) spectrogram.stopLive();
+
       // Clear live spectrum data to make live line go to 0
       if (spectrumGraph && spectrumGraph.dataArray) {
-        const dbMinVal = parseFloat(dbMin.value);
+        const { dbMinVal } = spectrumGraph.getDbRange();
         spectrumGraph.dataArray.fill(dbMinVal); // Set to the graph's minimum dB level
       }
     } else {
@@ -979,7 +2868,7 @@ recordBtn.onclick = async () => {
       if (!audioHandler.isRunning()) {
         const deviceId = document.getElementById('deviceSelect').value;
         const fftSize = parseInt(document.getElementById('fftSizeSelect').value);
-        const success = await audioHandler.startLiveVisualization(deviceId, fftSize);
+        const success = await audioHandler.startLiveVisualization(deviceId, fftSize, parseInt(inputChannelsSelect.value));
         if (!success) {
           console.error('Failed to start live mode for recording');
           alert('Failed to start recording. Please check your microphone permissions.');
@@ -1017,8 +2906,10 @@ recordBtn.onclick = async () => {
             audioHandler.source,
             true
           );
+          spectrumGraph.setChannelTraces(audioHandler.getChannelTraces());
           spectrumGraph.draw();
         }
+        if (spectrogram) spectrogram.startLive(audioHandler);
       } else {
         console.error('Failed to start recording');
         alert('Failed to start recording. Please try again.');
@@ -1049,7 +2940,7 @@ recordBtn.onclick = async () => {
 
         try {
           // Decode WebM blob for playback
-          const tempAudioCtx = new (window.AudioContext || window.webkitAudioContext)();
+          const tempAudioCtx = createAudioContext();
           const arrayBuffer = await recordingBlob.arrayBuffer();
           audioBuffer = await tempAudioCtx.decodeAudioData(arrayBuffer);
 
@@ -1070,7 +2961,10 @@ recordBtn.onclick = async () => {
           }
 
           // Draw waveform
+          populateFileChannels(audioBuffer);
+          applyFrequencyLimits(audioBuffer.sampleRate / 2, audioBuffer.sampleRate);
           drawWaveform(audioBuffer);
+          showFileSpectrogram(audioBuffer);
 
           console.log('✅ WebM decoded for playback, duration:', totalSeconds.toFixed(2), 'seconds');
 
@@ -1132,7 +3026,7 @@ audioFileInput.onchange = async (event) => {
 
       let tempAudioCtx;
       if (!audioHandler || !audioHandler.audioCtx || audioHandler.audioCtx.state === 'closed') {
-        tempAudioCtx = new (window.AudioContext || window.webkitAudioContext)();
+        tempAudioCtx = createAudioContext();
         console.log('🎵 Created new AudioContext for decoding');
       } else {
         tempAudioCtx = audioHandler.audioCtx;
@@ -1156,11 +3050,14 @@ audioFileInput.onchange = async (event) => {
 
       // Make playback UI visible before drawing waveform so layout has non-zero size
       fileName.textContent = file.name;
+      populateFileChannels(audioBuffer);
+      applyFrequencyLimits(audioBuffer.sampleRate / 2, audioBuffer.sampleRate);
       playbackBar.style.display = 'flex';
 
       // Defer waveform draw to next frame after layout
       requestAnimationFrame(() => {
         drawWaveform(audioBuffer);
+        showFileSpectrogram(audioBuffer);
       });
 
       const totalSeconds = audioBuffer.duration;
@@ -1217,6 +3114,7 @@ clearBtn.onclick = () => {
   totalTime.textContent = '0:00';
 
   spectrumGraph.drawStatic();
+  if (spectrogram) spectrogram.clearFile();
 };
 
 // Download button
@@ -1229,7 +3127,7 @@ downloadBtn.onclick = async () => {
       console.log('Converting WebM to WAV for download...');
 
       // Create a temporary audio context for decoding
-      const tempAudioCtx = new (window.AudioContext || window.webkitAudioContext)();
+      const tempAudioCtx = createAudioContext();
 
       // Convert blob to array buffer
       const arrayBuffer = await recordedBlob.arrayBuffer();
@@ -1243,11 +3141,11 @@ downloadBtn.onclick = async () => {
         length: audioBuffer.length
       });
 
-      // Convert to WAV - ensure we use the correct channel data
-      const channelData = audioBuffer.numberOfChannels > 0 ? audioBuffer.getChannelData(0) : new Float32Array(0);
-      console.log('📊 Channel data length:', channelData.length);
-
-      const wavArrayBuffer = createWAVFile(channelData, audioBuffer.sampleRate, 1);
+      // Convert to WAV with the download settings
+      const device = document.getElementById('deviceSelect').selectedOptions[0];
+      const wavArrayBuffer = await encodeWavDownload(audioBuffer, {
+        device: device ? device.textContent : ''
+      });
       console.log('📄 Created WAV array buffer, size:', wavArrayBuffer.byteLength);
 
       blobToDownload = new Blob([wavArrayBuffer], { type: 'audio/wav' });
@@ -1266,9 +3164,16 @@ downloadBtn.onclick = async () => {
     }
   } else if (audioBuffer) {
     // Create WAV from audio buffer if needed
-    const arrayBuffer = createWAVFile(audioBuffer.getChannelData(0), audioBuffer.sampleRate, 1);
-    blobToDownload = new Blob([arrayBuffer], { type: 'audio/wav' });
-    filename = filename || 'audio.wav';
+    try {
+      const arrayBuffer = await encodeWavDownload(audioBuffer, { description: filename });
+      blobToDownload = new Blob([arrayBuffer], { type: 'audio/wav' });
+    } catch (error) {
+      console.error('❌ WAV export failed:', error);
+      alert('WAV export failed: ' + error.message);
+      return;
+    }
+    // The content is WAV whatever the source format was
+    filename = (filename || 'audio').replace(/\.[^.]+$/, '') + '.wav';
     console.log('Downloading AudioBuffer as WAV');
   } else {
     console.error('No audio data available for download');
@@ -1287,6 +3192,59 @@ downloadBtn.onclick = async () => {
   console.log('✅ File downloaded:', filename);
 };
 
+// Resample an AudioBuffer by rendering it through an OfflineAudioContext
+async function resampleAudioBuffer(buffer, targetRate) {
+  const length = Math.ceil(buffer.duration * targetRate);
+  const offlineCtx = new OfflineAudioContext(buffer.numberOfChannels, length, targetRate);
+  const source = offlineCtx.createBufferSource();
+  source.buffer = buffer;
+  source.connect(offlineCtx.destination);
+  source.start(0);
+  return offlineCtx.startRendering();
+}
+
+// Encode an AudioBuffer as WAV using the WAV download settings
+// info: { device, description } for the embedded metadata
+async function encodeWavDownload(buffer, info = {}) {
+  let source = buffer;
+  const targetRate = wavSampleRate.value === 'original' ? buffer.sampleRate : parseInt(wavSampleRate.value);
+  if (targetRate !== buffer.sampleRate) {
+    console.log(`🔄 Resampling ${buffer.sampleRate} Hz → ${targetRate} Hz`);
+    source = await resampleAudioBuffer(buffer, targetRate);
+  }
+
+  let channels = [];
+  for (let c = 0; c < source.numberOfChannels; c++) {
+    channels.push(source.getChannelData(c));
+  }
+  if (wavChannels.value === 'mono' && channels.length > 1) {
+    const mono = new Float32Array(source.length);
+    channels.forEach(data => {
+      for (let i = 0; i < mono.length; i++) mono[i] += data[i] / channels.length;
+    });
+    channels = [mono];
+  }
+
+  return createWAVFile(channels, source.sampleRate, channels.length, getWavOptions(info));
+}
+
+// createWAVFile options from the WAV download settings
+function getWavOptions(info = {}) {
+  const options = {
+    bitDepth: parseInt(wavBitDepth.value),
+    dither: wavDither.checked
+  };
+  if (wavMetadata.checked) {
+    options.metadata = {
+      date: new Date(),
+      software: 'Freq-Peak',
+      device: info.device || '',
+      description: info.description || ''
+    };
+  }
+  return options;
+}
+
 // Play button
 playBtn.onclick = () => {
   if (!audioBuffer) return;
@@ -1296,7 +3254,7 @@ playBtn.onclick = () => {
 
   let tempAudioCtx;
   if (!audioHandler || !audioHandler.audioCtx || audioHandler.audioCtx.state === 'closed') {
-    tempAudioCtx = new (window.AudioContext || window.webkitAudioContext)();
+    tempAudioCtx = createAudioContext();
   } else {
     tempAudioCtx = audioHandler.audioCtx;
   }
@@ -1339,12 +3297,22 @@ playBtn.onclick = () => {
       playbackSource.connect(analyser);
       analyser.connect(audioCtx.destination);
 
+      // Per-channel analysers for multichannel files
+      const channelSet = audioHandler && audioBuffer.numberOfChannels > 1
+        ? audioHandler.createChannelAnalysers(audioCtx, playbackSource, audioBuffer.numberOfChannels, analyser.fftSize)
+        : null;
+
       const totalSeconds = audioBuffer.duration;
       totalTime.textContent = formatTime(totalSeconds);
       currentTime.textContent = '0:00';
 
       const playbackLine = document.getElementById('playbackLine');
 
+      // Show the whole file (with synced cursor) if the spectrogram was left on a live trace
+      if (spectrogram && spectrogram.mode !== 'file') {
+        showFileSpectrogram(audioBuffer);
+      }
+
       function updateProgress() {
         if (isPlaying && playbackSource) {
           // Calculate current position: stored position + elapsed time since start
@@ -1357,6 +3325,7 @@ playBtn.onclick = () => {
           // Position line based on percentage within the waveform container
           const percentage = clampedPosition / totalSeconds;
           playbackLine.style.setProperty('--playback-position', (percentage * 100) + '%');
+          syncSpectrogramCursor(percentage);
           currentTime.textContent = formatTime(clampedPosition);
         }
         if (isPlaying) {
@@ -1370,6 +3339,7 @@ playBtn.onclick = () => {
           currentBufferPosition = 0; // Reset position when playback ends naturally
           console.log('🔄 Playback ended naturally, resetting position to 0');
           playbackLine.style.setProperty('--playback-position', '100%'); // Move to end only for natural ending
+          syncSpectrogramCursor(1);
           currentTime.textContent = totalTime.textContent;
         } else {
           console.log('🔄 Playback stopped for pause, keeping position at:', currentBufferPosition.toFixed(2));
@@ -1426,6 +3396,8 @@ playBtn.onclick = () => {
       }
 
       spectrumGraph.setAudioContext(audioCtx, analyser, dataArray, bufferLength, playbackSource, false);
+      spectrumGraph.setChannelTraces(channelSet ? channelSet.traces : []);
+      if (audioHandler) audioHandler.updateFrequencyLimits(audioCtx);
 
       // Restore frozen data if available BEFORE drawing
       if (spectrumGraph.frozenData && spectrumGraph.dataArray && spectrumGraph.frozenData.length === spectrumGraph.dataArray.length) {
@@ -1504,6 +3476,7 @@ if (closeBtn) {
   closeBtn.addEventListener('click', () => {
     overlay.classList.remove('active');
     spectrumGraph.drawStatic();
+    if (spectrogram) spectrogram.refresh();
   });
 }
 
@@ -1512,22 +3485,56 @@ if (overlay) {
     if (e.target === overlay) {
       overlay.classList.remove('active');
       spectrumGraph.drawStatic();
+      if (spectrogram) spectrogram.refresh();
     }
   });
 }
 
 // Utility functions
-function createWAVFile(audioData, sampleRate, numChannels = 1) {
+
+/**
+ * Encode audio as a WAV file
+ * audioData is one Float32Array (mono) or an array of per-channel Float32Arrays
+ * Options: bitDepth (16, 24 or 32 = 32-bit float), dither (TPDF, integer depths only)
+ * and metadata ({ date, device, software, description }) written as bext and LIST/INFO chunks
+ */
+function createWAVFile(audioData, sampleRate, numChannels = 1, options = {}) {
+  const channels = Array.isArray(audioData) ? audioData : [audioData];
+  numChannels = Math.min(numChannels, channels.length) || 1;
+  const bitDepth = [16, 24, 32].includes(options.bitDepth) ? options.bitDepth : 16;
+  const isFloat = bitDepth === 32;
+  const dither = options.dither && !isFloat;
+
   console.log('🎵 Creating WAV file:', {
-    dataLength: audioData.length,
+    dataLength: channels[0].length,
     sampleRate: sampleRate,
-    numChannels: numChannels
+    numChannels: numChannels,
+    bitDepth: bitDepth,
+    dither: !!dither
   });
 
-  const length = audioData.length;
-  const bytesPerSample = 2; // 16-bit
-  const dataSize = length * numChannels * bytesPerSample;
-  const bufferSize = 44 + dataSize; // WAV header (44 bytes) + data
+  const length = channels[0].length;
+  const bytesPerSample = bitDepth / 8;
+  const blockAlign = numChannels * bytesPerSample;
+  const dataSize = length * blockAlign;
+
+  // Optional chunks between fmt and data
+  const extraChunks = [];
+  if (isFloat) {
+    // Non-PCM formats need a fact chunk with the frame count
+    const fact = new DataView(new ArrayBuffer(4));
+    fact.setUint32(0, length, true);
+    extraChunks.push({ id: 'fact', data: new Uint8Array(fact.buffer) });
+  }
+  if (options.metadata) {
+    extraChunks.push({ id: 'bext', data: createBextChunk(options.metadata) });
+    extraChunks.push({ id: 'LIST', data: createInfoChunk(options.metadata) });
+  }
+
+  const fmtSize = isFloat ? 18 : 16;
+  const extraSize = extraChunks.reduce((sum, chunk) => sum + 8 + chunk.data.length + (chunk.data.length % 2), 0);
+  const headerSize = 12 + 8 + fmtSize + extraSize + 8;
+  const bufferSize = headerSize + dataSize + (dataSize % 2);
 
   console.log('📊 WAV calculations:', {
     length: length,
@@ -1538,42 +3545,117 @@ function createWAVFile(audioData, sampleRate, numChannels = 1) {
 
   const arrayBuffer = new ArrayBuffer(bufferSize);
   const view = new DataView(arrayBuffer);
+  const bytes = new Uint8Array(arrayBuffer);
+  const writeId = (offset, id) => {
+    for (let i = 0; i < 4; i++) view.setUint8(offset + i, id.charCodeAt(i));
+  };
 
   // RIFF chunk descriptor
-  view.setUint32(0, 0x52494646, false); // "RIFF"
-  view.setUint32(4, 36 + dataSize, true); // RIFF chunk size (file size - 8)
-  view.setUint32(8, 0x57415645, false); // "WAVE"
+  writeId(0, 'RIFF');
+  view.setUint32(4, bufferSize - 8, true); // RIFF chunk size (file size - 8)
+  writeId(8, 'WAVE');
 
   // Format chunk
-  view.setUint32(12, 0x666d7420, false); // "fmt "
-  view.setUint32(16, 16, true); // Format chunk size (16 for PCM)
-  view.setUint16(20, 1, true); // Audio format (1 = PCM)
+  writeId(12, 'fmt ');
+  view.setUint32(16, fmtSize, true); // Format chunk size
+  view.setUint16(20, isFloat ? 3 : 1, true); // Audio format (1 = PCM, 3 = IEEE float)
   view.setUint16(22, numChannels, true); // Number of channels
   view.setUint32(24, sampleRate, true); // Sample rate
-  view.setUint32(28, sampleRate * numChannels * bytesPerSample, true); // Byte rate
-  view.setUint16(32, numChannels * bytesPerSample, true); // Block align
-  view.setUint16(34, 16, true); // Bits per sample
+  view.setUint32(28, sampleRate * blockAlign, true); // Byte rate
+  view.setUint16(32, blockAlign, true); // Block align
+  view.setUint16(34, bitDepth, true); // Bits per sample
+  if (isFloat) view.setUint16(36, 0, true); // No extension (cbSize)
+
+  let offset = 20 + fmtSize;
+  extraChunks.forEach(chunk => {
+    writeId(offset, chunk.id);
+    view.setUint32(offset + 4, chunk.data.length, true);
+    bytes.set(chunk.data, offset + 8);
+    offset += 8 + chunk.data.length + (chunk.data.length % 2); // Chunks are word aligned
+  });
 
   // Data chunk
-  view.setUint32(36, 0x64617461, false); // "data"
-  view.setUint32(40, dataSize, true); // Data chunk size
+  writeId(offset, 'data');
+  view.setUint32(offset + 4, dataSize, true); // Data chunk size
+  offset += 8;
 
   console.log('📝 WAV header written');
 
-  // Write audio data
-  let offset = 44; // Start after header
+  // Write interleaved audio data
+  const maxValue = Math.pow(2, bitDepth - 1) - 1;
   for (let i = 0; i < length; i++) {
-    // Clamp sample to [-1, 1] range
-    const sample = Math.max(-1, Math.min(1, audioData[i]));
+    for (let c = 0; c < numChannels; c++) {
+      // Clamp sample to [-1, 1] range
+      const sample = Math.max(-1, Math.min(1, channels[c][i] || 0));
+
+      if (isFloat) {
+        view.setFloat32(offset, sample, true);
+        offset += 4;
+        continue;
+      }
 
-    // Convert to 16-bit PCM
-    const pcmSample = sample < 0 ? Math.floor(sample * 0x8000) : Math.floor(sample * 0x7FFF);
+      // Convert to integer PCM, with triangular (TPDF) dither of ±1 LSB when enabled
+      let pcmSample = sample < 0 ? sample * (maxValue + 1) : sample * maxValue;
+      pcmSample = dither ? Math.round(pcmSample + Math.random() - Math.random()) : Math.floor(pcmSample);
+      pcmSample = Math.max(-maxValue - 1, Math.min(maxValue, pcmSample));
 
-    // Write as little-endian 16-bit integer
-    view.setInt16(offset, pcmSample, true);
-    offset += 2;
+      if (bitDepth === 16) {
+        view.setInt16(offset, pcmSample, true);
+      } else {
+        // 24-bit little-endian
+        view.setUint8(offset, pcmSample & 0xff);
+        view.setUint8(offset + 1, (pcmSample >> 8) & 0xff);
+        view.setUint8(offset + 2, (pcmSample >> 16) & 0xff);
+      }
+      offset += bytesPerSample;
+    }
   }
 
   console.log('✅ WAV data written, total size:', arrayBuffer.byteLength);
   return arrayBuffer;
 }
+
+// Broadcast WAV (bext) chunk body - description, originator and origination date/time
+function createBextChunk(metadata) {
+  const data = new Uint8Array(602);
+  const date = metadata.date || new Date();
+  const pad = (n) => String(n).padStart(2, '0');
+  const writeString = (offset, maxLength, text) => {
+    const ascii = String(text || '').replace(/[^\x20-\x7e]/g, '?').slice(0, maxLength);
+    for (let i = 0; i < ascii.length; i++) data[offset + i] = ascii.charCodeAt(i);
+  };
+
+  writeString(0, 256, metadata.description || metadata.device); // Description
+  writeString(256, 32, metadata.software); // Originator
+  writeString(288, 32, metadata.device); // OriginatorReference
+  writeString(320, 10, `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`); // OriginationDate
+  writeString(330, 8, `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`); // OriginationTime
+  // TimeReference (8 bytes), Version, UMID, loudness and reserved fields stay zero
+  return data;
+}
+
+// RIFF LIST/INFO chunk body - creation date (ICRD), software (ISFT) and comment (ICMT)
+function createInfoChunk(metadata) {
+  const date = metadata.date || new Date();
+  const fields = [['ICRD', date.toISOString().slice(0, 10)]];
+  if (metadata.software) fields.push(['ISFT', metadata.software]);
+  if (metadata.device) fields.push(['ICMT', 'Recorded with ' + metadata.device]);
+  if (metadata.description) fields.push(['INAM', metadata.description]);
+
+  const encoded = fields.map(([id, text]) => {
+    const value = new TextEncoder().encode(text + '\0'); // Null terminated
+    return { id: id, value: value };
+  });
+  const size = 4 + encoded.reduce((sum, field) => sum + 8 + field.value.length + (field.value.length % 2), 0);
+  const data = new Uint8Array(size);
+  const view = new DataView(data.buffer);
+  data.set([73, 78, 70, 79], 0); // 'INFO'
+  let offset = 4;
+  encoded.forEach(field => {
+    for (let i = 0; i < 4; i++) data[offset + i] = field.id.charCodeAt(i);
+    view.setUint32(offset + 4, field.value.length, true);
+    data.set(field.value, offset + 8);
+    offset += 8 + field.value.length + (field.value.length % 2);
+  });
+  return data;
+}
@@ -0,0 +1,195 @@
+/**
+ * SignalGenerator - Test signals rendered to sample buffers
+ * Sine, band-limited square, multi-tone, white / pink noise and linear / log sweeps
+ * DOM-free; render() returns a Float32Array that can be played or written to a WAV
+ */
+class SignalGenerator {
+  constructor() {
+    this.type = 'sine'; // A key of SignalGenerator.TYPES
+    this.frequency = 1000; // Hz - tone frequency, or sweep start
+    this.endFrequency = 20000; // Hz - sweep end
+    this.tones = [100, 1000, 10000]; // Hz - multi-tone frequencies
+    this.level = -12; // Peak level in dBFS
+    this.duration = 5; // Seconds
+  }
+
+  setType(type) {
+    if (SignalGenerator.TYPES[type]) this.type = type;
+  }
+
+  setFrequency(frequency, endFrequency = this.endFrequency) {
+    if (frequency > 0 && isFinite(frequency)) this.frequency = frequency;
+    if (endFrequency > 0 && isFinite(endFrequency)) this.endFrequency = endFrequency;
+  }
+
+  setTones(tones) {
+    const valid = tones.filter(f => f > 0 && isFinite(f));
+    if (valid.length > 0) this.tones = valid;
+  }
+
+  setLevel(db) {
+    this.level = Math.min(0, isFinite(db) ? db : -12);
+  }
+
+  setDuration(seconds) {
+    this.duration = Math.max(SignalGenerator.MIN_DURATION, Math.min(SignalGenerator.MAX_DURATION, seconds || 1));
+  }
+
+  // Parse a multi-tone list ("100, 1000 10k") into frequencies in Hz
+  static parseTones(text) {
+    return String(text).split(/[\s,;]+/).filter(v => v !== '').map(v => {
+      const match = v.match(/^(\d+(?:\.\d+)?)(k?)$/i);
+      return match ? parseFloat(match[1]) * (match[2] ? 1000 : 1) : NaN;
+    }).filter(f => f > 0);
+  }
+
+  // Short description for file names and metadata
+  describe() {
+    const hz = f => (f >= 1000 ? `${+(f / 1000).toFixed(2)}k` : `${+f.toFixed(1)}`);
+    switch (this.type) {
+      case 'multitone': return `Multi-tone ${this.tones.map(hz).join('/')} Hz ${this.level} dBFS`;
+      case 'white':
+      case 'pink': return `${SignalGenerator.TYPES[this.type]} ${this.level} dBFS`;
+      case 'sweep-lin':
+      case 'sweep-log': return `${SignalGenerator.TYPES[this.type]} ${hz(this.frequency)}-${hz(this.endFrequency)} Hz ${this.level} dBFS`;
+      default: return `${SignalGenerator.TYPES[this.type]} ${hz(this.frequency)} Hz ${this.level} dBFS`;
+    }
+  }
+
+  /**
+   * Render the current signal at a sample rate
+   * Tones above Nyquist are dropped; the result is faded in and out and scaled to the peak level
+   */
+  render(sampleRate) {
+    const length = Math.max(1, Math.round(this.duration * sampleRate));
+    const out = new Float32Array(length);
+    const nyquist = sampleRate / 2;
+
+    switch (this.type) {
+      case 'square':
+        SignalGenerator.renderSquare(out, Math.min(this.frequency, nyquist * 0.9), sampleRate);
+        break;
+      case 'multitone':
+        SignalGenerator.renderMultitone(out, this.tones.filter(f => f < nyquist), sampleRate);
+        break;
+      case 'white':
+        for (let i = 0; i < length; i++) out[i] = Math.random() * 2 - 1;
+        break;
+      case 'pink':
+        SignalGenerator.renderPinkNoise(out);
+        break;
+      case 'sweep-lin':
+      case 'sweep-log': {
+        const f1 = Math.min(this.frequency, nyquist);
+        const f2 = Math.min(this.endFrequency, nyquist);
+        for (let i = 0; i < length; i++) {
+          out[i] = Math.sin(SignalGenerator.sweepPhase(this.type, f1, f2, this.duration, i / sampleRate));
+        }
+        break;
+      }
+      default:
+        if (this.frequency < nyquist) {
+          for (let i = 0; i < length; i++) out[i] = Math.sin(2 * Math.PI * this.frequency * i / sampleRate);
+        }
+    }
+
+    SignalGenerator.normalize(out, Math.pow(10, this.level / 20));
+    SignalGenerator.applyFades(out, Math.round(SignalGenerator.FADE_TIME * sampleRate));
+    return out;
+  }
+
+  // Instantaneous phase (radians) of a sweep from f1 to f2 over duration seconds at time t
+  static sweepPhase(type, f1, f2, duration, t) {
+    if (type === 'sweep-log' && f1 !== f2) {
+      const rate = Math.log(f2 / f1);
+      return 2 * Math.PI * f1 * duration / rate * (Math.exp(t / duration * rate) - 1);
+    }
+    return 2 * Math.PI * (f1 * t + (f2 - f1) * t * t / (2 * duration));
+  }
+
+  // Naive square with PolyBLEP-corrected edges to keep aliasing down
+  static renderSquare(out, frequency, sampleRate) {
+    const step = frequency / sampleRate;
+    const blep = (t) => {
+      if (t < step) {
+        t /= step;
+        return t + t - t * t - 1;
+      }
+      if (t > 1 - step) {
+        t = (t - 1) / step;
+        return t * t + t + t + 1;
+      }
+      return 0;
+    };
+    let phase = 0;
+    for (let i = 0; i < out.length; i++) {
+      out[i] = (phase < 0.5 ? 1 : -1) + blep(phase) - blep((phase + 0.5) % 1);
+      phase = (phase + step) % 1;
+    }
+  }
+
+  // Equal-amplitude tones with Schroeder phases to keep the crest factor low
+  static renderMultitone(out, tones, sampleRate) {
+    const count = tones.length;
+    tones.forEach((frequency, k) => {
+      const phase = Math.PI * k * k / count;
+      const w = 2 * Math.PI * frequency / sampleRate;
+      for (let i = 0; i < out.length; i++) out[i] += Math.sin(w * i + phase);
+    });
+  }
+
+  // White noise through Paul Kellet's -3 dB/octave filter
+  static renderPinkNoise(out) {
+    let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
+    for (let i = 0; i < out.length; i++) {
+      const white = Math.random() * 2 - 1;
+      b0 = 0.99886 * b0 + white * 0.0555179;
+      b1 = 0.99332 * b1 + white * 0.0750759;
+      b2 = 0.96900 * b2 + white * 0.1538520;
+      b3 = 0.86650 * b3 + white * 0.3104856;
+      b4 = 0.55000 * b4 + white * 0.5329522;
+      b5 = -0.7616 * b5 - white * 0.0168980;
+      out[i] = b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362;
+      b6 = white * 0.115926;
+    }
+  }
+
+  // Scale so the largest sample sits at the given peak amplitude
+  static normalize(out, peak) {
+    let max = 0;
+    for (let i = 0; i < out.length; i++) max = Math.max(max, Math.abs(out[i]));
+    if (max === 0) return;
+    const gain = peak / max;
+    for (let i = 0; i < out.length; i++) out[i] *= gain;
+  }
+
+  // Raised-cosine fade in and out to avoid clicks at the ends
+  static applyFades(out, fadeLength) {
+    const n = Math.min(fadeLength, Math.floor(out.length / 2));
+    for (let i = 0; i < n; i++) {
+      const gain = 0.5 - 0.5 * Math.cos(Math.PI * i / n);
+      out[i] *= gain;
+      out[out.length - 1 - i] *= gain;
+    }
+  }
+}
+
+// Display names for the supported signals
+SignalGenerator.TYPES = {
+  'sine': 'Sine',
+  'square': 'Square',
+  'multitone': 'Multi-tone',
+  'white': 'White noise',
+  'pink': 'Pink noise',
+  'sweep-lin': 'Linear sweep',
+  'sweep-log': 'Log sweep'
+};
+
+SignalGenerator.MIN_DURATION = 0.1; // Seconds
+SignalGenerator.MAX_DURATION = 600; // Seconds
+SignalGenerator.FADE_TIME = 0.005; // Seconds of fade at each end
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SignalGenerator;
+}
@@ -0,0 +1,285 @@
+/**
+ * SoundLevelMeter - IEC 61672 style sound level meter
+ * A / C / Z frequency weighting (bilinear IIR), Fast / Slow / Impulse time weighting,
+ * Leq, Lmax and Lmin, and a calibration offset from dBFS to dB SPL.
+ * Taps the spectrum graph's analyser for continuous samples, like the Tuner.
+ */
+class SoundLevelMeter {
+  constructor() {
+    this.weighting = 'A'; // A key of SoundLevelMeter.WEIGHTINGS
+    this.timeWeighting = 'fast'; // A key of SoundLevelMeter.TIME_WEIGHTINGS
+    this.calibrationOffset = null; // dB added to dBFS to get dB SPL, null when uncalibrated
+
+    // Audio tap - a script processor behind the source's analyser
+    this.source = null; // Object exposing audioCtx and analyser (the SpectrumGraph)
+    this.tappedAnalyser = null;
+    this.processor = null;
+    this.mute = null;
+    this.sampleRate = 0;
+    this.filters = null;
+
+    this.calibration = null; // { samples, sum, resolve, reject } while calibrating
+    this.reset();
+  }
+
+  setWeighting(weighting) {
+    if (!SoundLevelMeter.WEIGHTINGS[weighting] || weighting === this.weighting) return;
+    this.weighting = weighting;
+    this.filters = null; // Redesigned on the next block
+    this.reset();
+  }
+
+  setTimeWeighting(timeWeighting) {
+    if (!SoundLevelMeter.TIME_WEIGHTINGS[timeWeighting] || timeWeighting === this.timeWeighting) return;
+    this.timeWeighting = timeWeighting;
+    this.reset();
+  }
+
+  setCalibrationOffset(offset) {
+    this.calibrationOffset = isFinite(offset) && offset !== null ? offset : null;
+  }
+
+  // Restart Leq / Lmax / Lmin
+  reset() {
+    this.meanSquare = 0; // Time-weighted mean square
+    this.sumSquares = 0; // For Leq
+    this.sampleCount = 0;
+    this.max = -Infinity;
+    this.min = Infinity;
+  }
+
+  // Follow a source (the SpectrumGraph - its analyser changes with live/playback)
+  start(source) {
+    this.stop();
+    this.source = source;
+    this.attach();
+  }
+
+  stop() {
+    this.detach();
+    this.source = null;
+    if (this.calibration) {
+      this.calibration.reject(new Error('Meter stopped during calibration'));
+      this.calibration = null;
+    }
+  }
+
+  /**
+   * Connect behind the source's current analyser - call regularly, it only
+   * rewires when the analyser changed. Returns false when there is nothing to tap.
+   */
+  attach() {
+    const source = this.source;
+    if (!source || !source.analyser || !source.audioCtx || source.audioCtx.state === 'closed') {
+      this.detach();
+      return false;
+    }
+    if (this.tappedAnalyser === source.analyser) return true;
+
+    this.detach();
+    try {
+      const audioCtx = source.audioCtx;
+      this.processor = audioCtx.createScriptProcessor(SoundLevelMeter.BLOCK_SIZE, 1, 1);
+      this.mute = audioCtx.createGain();
+      this.mute.gain.value = 0;
+      this.processor.onaudioprocess = (event) => this.process(event.inputBuffer.getChannelData(0), audioCtx.sampleRate);
+      source.analyser.connect(this.processor);
+      this.processor.connect(this.mute);
+      this.mute.connect(audioCtx.destination);
+      this.tappedAnalyser = source.analyser;
+      return true;
+    } catch (error) {
+      console.error('Sound level meter could not tap the analyser:', error);
+      this.detach();
+      return false;
+    }
+  }
+
+  detach() {
+    if (this.processor) {
+      this.processor.onaudioprocess = null;
+      try {
+        if (this.tappedAnalyser) this.tappedAnalyser.disconnect(this.processor);
+        this.processor.disconnect();
+        this.mute.disconnect();
+      } catch (error) {
+        // Already disconnected with its context
+      }
+    }
+    this.tappedAnalyser = null;
+    this.processor = null;
+    this.mute = null;
+  }
+
+  // Weight and integrate one block of samples
+  process(samples, sampleRate) {
+    if (!this.filters || sampleRate !== this.sampleRate) {
+      this.sampleRate = sampleRate;
+      this.filters = SoundLevelMeter.designWeighting(this.weighting, sampleRate);
+      this.reset();
+    }
+
+    const time = SoundLevelMeter.TIME_WEIGHTINGS[this.timeWeighting];
+    const rise = 1 - Math.exp(-1 / (time.rise * sampleRate));
+    const fall = 1 - Math.exp(-1 / (time.fall * sampleRate));
+    const settle = Math.round(SoundLevelMeter.SETTLE_TIME * sampleRate);
+    const filters = this.filters;
+
+    let calibrationSum = 0;
+    for (let i = 0; i < samples.length; i++) {
+      calibrationSum += samples[i] * samples[i];
+      let x = samples[i];
+      for (let f = 0; f < filters.length; f++) {
+        const s = filters[f];
+        const y = s.b0 * x + s.b1 * s.x1 - s.a1 * s.y1;
+        s.x1 = x;
+        s.y1 = y;
+        x = y;
+      }
+      const square = x * x;
+      this.meanSquare += (square - this.meanSquare) * (square > this.meanSquare ? rise : fall);
+      this.sumSquares += square;
+      this.sampleCount++;
+
+      // Skip Lmin / Lmax until the detector has settled after a reset
+      if (this.sampleCount > settle) {
+        if (this.meanSquare > this.max) this.max = this.meanSquare;
+        if (this.meanSquare < this.min) this.min = this.meanSquare;
+      }
+    }
+
+    // Calibration uses the unweighted level - A, C and Z all read 0 dB at 1 kHz
+    if (this.calibration) {
+      const calibration = this.calibration;
+      calibration.sum += calibrationSum;
+      calibration.samples += samples.length;
+      if (calibration.samples >= calibration.target) {
+        this.calibration = null;
+        const level = SoundLevelMeter.toDbfs(calibration.sum / calibration.samples);
+        if (level < SoundLevelMeter.MIN_CALIBRATION_LEVEL) {
+          calibration.reject(new Error(`Signal too low (${level.toFixed(1)} dBFS) - is the calibrator on the microphone?`));
+        } else {
+          this.calibrationOffset = calibration.reference - level;
+          calibration.resolve(this.calibrationOffset);
+        }
+      }
+    }
+  }
+
+  /**
+   * Measure a calibrator tone for `seconds` and set the offset so it reads referenceDb
+   * Resolves with the offset (dB SPL - dBFS)
+   */
+  calibrate(referenceDb, seconds = SoundLevelMeter.CALIBRATION_TIME) {
+    if (!this.attach()) {
+      return Promise.reject(new Error('No audio input to calibrate'));
+    }
+    if (this.calibration) this.calibration.reject(new Error('Calibration restarted'));
+    return new Promise((resolve, reject) => {
+      this.calibration = {
+        reference: referenceDb,
+        target: Math.round(seconds * this.source.audioCtx.sampleRate),
+        samples: 0,
+        sum: 0,
+        resolve: resolve,
+        reject: reject
+      };
+    });
+  }
+
+  /**
+   * Current readings: { level, leq, max, min, unit, weighting, timeWeighting, duration }
+   * Levels are in dB SPL when calibrated, otherwise dBFS (a full-scale sine reads 0)
+   */
+  getReadings() {
+    const offset = this.calibrationOffset ?? 0;
+    const toLevel = ms => SoundLevelMeter.toDbfs(ms) + offset;
+    return {
+      level: toLevel(this.meanSquare),
+      leq: this.sampleCount > 0 ? toLevel(this.sumSquares / this.sampleCount) : -Infinity,
+      max: isFinite(this.max) ? toLevel(this.max) : -Infinity,
+      min: isFinite(this.min) ? toLevel(this.min) : -Infinity,
+      unit: this.calibrationOffset !== null ? 'dB SPL' : 'dBFS',
+      weighting: this.weighting,
+      timeWeighting: this.timeWeighting,
+      duration: this.sampleRate ? this.sampleCount / this.sampleRate : 0
+    };
+  }
+
+  // Level of a mean square in dBFS, where a full-scale sine (mean square 1/2) reads 0 dB
+  static toDbfs(meanSquare) {
+    return meanSquare > 0 ? 10 * Math.log10(meanSquare * 2) : -Infinity;
+  }
+
+  /**
+   * First-order IIR sections for a weighting curve, normalised to 0 dB at 1 kHz
+   * Analog poles (IEC 61672-1 Annex E) go through the bilinear transform with
+   * prewarping; Z weighting is flat (no sections)
+   */
+  static designWeighting(weighting, sampleRate) {
+    const poles = SoundLevelMeter.WEIGHTINGS[weighting].poles;
+    const k = 2 * sampleRate;
+    const warp = f => k * Math.tan(Math.PI * f / sampleRate);
+
+    const sections = [];
+    poles.highPass.forEach(f => {
+      const w = warp(f);
+      sections.push({ b0: k / (k + w), b1: -k / (k + w), a1: (w - k) / (k + w) });
+    });
+    poles.lowPass.forEach(f => {
+      const w = warp(f);
+      sections.push({ b0: w / (k + w), b1: w / (k + w), a1: (w - k) / (k + w) });
+    });
+
+    // Normalise the cascade to unity gain at 1 kHz
+    if (sections.length > 0) {
+      const gain = SoundLevelMeter.sectionsGain(sections, 1000, sampleRate);
+      sections[0].b0 /= gain;
+      sections[0].b1 /= gain;
+    }
+    sections.forEach(s => {
+      s.x1 = 0;
+      s.y1 = 0;
+    });
+    return sections;
+  }
+
+  // Magnitude of a cascade of first-order sections at a frequency
+  static sectionsGain(sections, freq, sampleRate) {
+    const w = 2 * Math.PI * freq / sampleRate;
+    const cos = Math.cos(w);
+    const sin = Math.sin(w);
+    return sections.reduce((gain, s) => {
+      const numerator = Math.hypot(s.b0 + s.b1 * cos, -s.b1 * sin);
+      const denominator = Math.hypot(1 + s.a1 * cos, -s.a1 * sin);
+      return gain * numerator / denominator;
+    }, 1);
+  }
+}
+
+// Frequency weightings - pole frequencies (Hz) split into high-pass and low-pass first-order sections
+SoundLevelMeter.WEIGHTINGS = {
+  'A': { name: 'A', poles: { highPass: [20.598997, 20.598997, 107.65265, 737.86223], lowPass: [12194.217, 12194.217] } },
+  'C': { name: 'C', poles: { highPass: [20.598997, 20.598997], lowPass: [12194.217, 12194.217] } },
+  'Z': { name: 'Z (flat)', poles: { highPass: [], lowPass: [] } }
+};
+
+// Time weightings - exponential time constants (s) for rising and falling levels
+SoundLevelMeter.TIME_WEIGHTINGS = {
+  'fast': { name: 'Fast', letter: 'F', rise: 0.125, fall: 0.125 },
+  'slow': { name: 'Slow', letter: 'S', rise: 1, fall: 1 },
+  'impulse': { name: 'Impulse', letter: 'I', rise: 0.035, fall: 1.5 }
+};
+
+// Standard acoustic calibrator levels (dB SPL, 1 kHz)
+SoundLevelMeter.CALIBRATION_LEVELS = [94, 114];
+
+SoundLevelMeter.BLOCK_SIZE = 2048; // Samples per processed block
+SoundLevelMeter.SETTLE_TIME = 0.5; // Seconds before Lmax / Lmin start tracking
+SoundLevelMeter.CALIBRATION_TIME = 3; // Seconds of calibrator tone averaged
+SoundLevelMeter.MIN_CALIBRATION_LEVEL = -70; // dBFS - anything quieter is not a calibrator
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SoundLevelMeter;
+}
@@ -0,0 +1,466 @@
+/**
+ * Spectrogram - Time vs frequency heat map
+ * Scrolls live from an audio handler's analyser, or renders a whole AudioBuffer
+ * with a playback cursor
+ */
+class Spectrogram {
+  constructor(canvasId) {
+    this.canvas = document.getElementById(canvasId);
+    this.ctx = this.canvas.getContext('2d');
+
+    // Canvas dimensions
+    this.width = 0;
+    this.height = 0;
+
+    // Plot margins (left: frequency labels, right: color bar, bottom: time labels)
+    this.margin = { left: 56, right: 64, top: 10, bottom: 28 };
+
+    // Display state: 'idle', 'live' or 'file'
+    this.mode = 'idle';
+    this.liveSource = null;
+    this.animationId = null;
+
+    // Whole-file state
+    this.fileBuffer = null;
+    this.computeSpectrum = null; // (timeSeconds) => Float32Array of dB bins
+    this.fileColumns = null; // dB per plot pixel, column-major
+    this.fileColumnCount = 0; // Columns computed so far (left to right)
+    this.fileImage = null;
+    this.renderToken = 0;
+    this.cursorPosition = 0; // 0.0 to 1.0
+
+    // Settings references (will be set externally)
+    this.freqMin = null;
+    this.freqMax = null;
+    this.freqScale = 'linear';
+    this.dbMin = -120;
+    this.dbMax = 0;
+    this.colormapName = 'viridis';
+    this.colormap = Spectrogram.buildColormap('viridis');
+    this.fontSize = '12px';
+
+    this.resize();
+    window.addEventListener('resize', () => this.resize());
+    // The canvas is resized by CSS when the playback bar or view mode changes
+    this.canvas.addEventListener('transitionend', () => this.resize());
+  }
+
+  // Initialize settings references (shared with SpectrumGraph)
+  setSettings(freqMin, freqMax) {
+    this.freqMin = freqMin;
+    this.freqMax = freqMax;
+  }
+
+  // Set frequency axis scale ('linear' or 'log')
+  setFreqScale(scale) {
+    this.freqScale = scale === 'log' ? 'log' : 'linear';
+    this.refresh();
+  }
+
+  // Set the dB range mapped onto the colormap
+  setDbRange(dbMin, dbMax) {
+    if (!isFinite(dbMin) || !isFinite(dbMax) || dbMin >= dbMax) return;
+    this.dbMin = dbMin;
+    this.dbMax = dbMax;
+    this.drawColorBar();
+    this.recolorFile();
+  }
+
+  // Set colormap by name (see Spectrogram.COLORMAPS)
+  setColormap(name) {
+    this.colormapName = Spectrogram.COLORMAPS[name] ? name : 'viridis';
+    this.colormap = Spectrogram.buildColormap(this.colormapName);
+    this.drawColorBar();
+    this.recolorFile();
+  }
+
+  // Set font size for axis labels
+  setFontSize(fontSize) {
+    this.fontSize = fontSize === 'large' ? '36px' : fontSize === 'medium' ? '24px' : '12px';
+    this.refresh();
+  }
+
+  resize() {
+    this.width = this.canvas.clientWidth;
+    this.height = this.canvas.clientHeight;
+    this.canvas.width = this.width;
+    this.canvas.height = this.height;
+    this.refresh();
+  }
+
+  // Redraw for the current mode after a geometry or settings change
+  refresh() {
+    if (this.mode === 'file') {
+      this.renderFile();
+    } else {
+      this.drawStatic();
+    }
+  }
+
+  getPlotRect() {
+    return {
+      x: this.margin.left,
+      y: this.margin.top,
+      width: Math.max(0, this.width - this.margin.left - this.margin.right),
+      height: Math.max(0, this.height - this.margin.top - this.margin.bottom)
+    };
+  }
+
+  getFreqRange(nyquist) {
+    const freqMinVal = this.freqMin ? parseFloat(this.freqMin.value) : 20;
+    const freqMaxVal = this.freqMax ? parseFloat(this.freqMax.value) : 20000;
+    return { min: freqMinVal, max: Math.min(freqMaxVal, nyquist || freqMaxVal) };
+  }
+
+  // Map a frequency to a y position inside the plot (low frequencies at the bottom)
+  freqToY(freq, range, plot) {
+    let fraction;
+    if (this.freqScale === 'log') {
+      const logMin = Math.log10(Math.max(range.min, 1));
+      const logMax = Math.log10(Math.max(range.max, 1));
+      fraction = (Math.log10(Math.max(freq, 1)) - logMin) / (logMax - logMin);
+    } else {
+      fraction = (freq - range.min) / (range.max - range.min);
+    }
+    return plot.y + (1 - fraction) * plot.height;
+  }
+
+  // Map a plot row back to a frequency
+  rowToFreq(row, range, plot) {
+    const fraction = 1 - (row + 0.5) / plot.height;
+    if (this.freqScale === 'log') {
+      const logMin = Math.log10(Math.max(range.min, 1));
+      const logMax = Math.log10(Math.max(range.max, 1));
+      return Math.pow(10, logMin + fraction * (logMax - logMin));
+    }
+    return range.min + fraction * (range.max - range.min);
+  }
+
+  // For each plot row, the inclusive range of FFT bins it covers
+  buildRowBins(binCount, nyquist, range, plot) {
+    const rowBins = new Int32Array(plot.height * 2);
+    for (let row = 0; row < plot.height; row++) {
+      const upper = this.rowToFreq(row - 0.5, range, plot);
+      const lower = this.rowToFreq(row + 0.5, range, plot);
+      let start = Math.round(lower / nyquist * binCount);
+      let end = Math.round(upper / nyquist * binCount);
+      start = Math.max(0, Math.min(binCount - 1, start));
+      end = Math.max(start, Math.min(binCount - 1, end));
+      rowBins[row * 2] = start;
+      rowBins[row * 2 + 1] = end;
+    }
+    return rowBins;
+  }
+
+  // Reduce one spectrum to a dB value per plot row (max over covered bins)
+  spectrumToRows(spectrum, rowBins, rows, output) {
+    for (let row = 0; row < rows; row++) {
+      let max = -Infinity;
+      for (let bin = rowBins[row * 2]; bin <= rowBins[row * 2 + 1]; bin++) {
+        if (spectrum[bin] > max) max = spectrum[bin];
+      }
+      output[row] = max;
+    }
+    return output;
+  }
+
+  // Colormap lookup for a dB value - returns an offset into this.colormap
+  colorIndex(db) {
+    const fraction = (db - this.dbMin) / (this.dbMax - this.dbMin);
+    const index = Math.max(0, Math.min(255, Math.floor(fraction * 255))) || 0;
+    return index * 3;
+  }
+
+  // Start scrolling from a live source exposing getFrequencyData() and audioCtx
+  startLive(source) {
+    this.stopLive();
+    this.mode = 'live';
+    this.liveSource = source;
+    this.liveRowBins = null;
+    this.drawStatic();
+
+    const loop = () => {
+      if (this.mode !== 'live' || this.liveSource !== source) return;
+      this.animationId = requestAnimationFrame(loop);
+      const data = source.getFrequencyData();
+      if (data && source.audioCtx) {
+        this.pushLiveColumn(data, source.audioCtx.sampleRate / 2);
+      }
+    };
+    this.animationId = requestAnimationFrame(loop);
+  }
+
+  // Stop scrolling (the last image stays on screen)
+  stopLive() {
+    if (this.animationId) {
+      cancelAnimationFrame(this.animationId);
+      this.animationId = null;
+    }
+    if (this.mode === 'live') {
+      this.mode = 'idle';
+    }
+    this.liveSource = null;
+  }
+
+  // Scroll the plot one pixel left and paint the newest spectrum on the right
+  pushLiveColumn(spectrum, nyquist) {
+    const plot = this.getPlotRect();
+    if (plot.width < 2 || plot.height < 1) return;
+
+    const range = this.getFreqRange(nyquist);
+    const key = `${spectrum.length}:${nyquist}:${range.min}:${range.max}:${this.freqScale}:${plot.height}`;
+    if (!this.liveRowBins || this.liveRowKey !== key) {
+      this.liveRowBins = this.buildRowBins(spectrum.length, nyquist, range, plot);
+      this.liveRows = new Float32Array(plot.height);
+      this.liveRowKey = key;
+      this.drawStatic();
+    }
+
+    this.ctx.drawImage(this.canvas,
+      plot.x + 1, plot.y, plot.width - 1, plot.height,
+      plot.x, plot.y, plot.width - 1, plot.height);
+
+    this.spectrumToRows(spectrum, this.liveRowBins, plot.height, this.liveRows);
+    const column = this.ctx.createImageData(1, plot.height);
+    for (let row = 0; row < plot.height; row++) {
+      const c = this.colorIndex(this.liveRows[row]);
+      column.data[row * 4] = this.colormap[c];
+      column.data[row * 4 + 1] = this.colormap[c + 1];
+      column.data[row * 4 + 2] = this.colormap[c + 2];
+      column.data[row * 4 + 3] = 255;
+    }
+    this.ctx.putImageData(column, plot.x + plot.width - 1, plot.y);
+  }
+
+  /**
+   * Show a whole file - computeSpectrum(timeSeconds) returns one dB spectrum
+   * (same bin layout as the analyser) for the frame centered at that time
+   */
+  setFile(audioBuffer, computeSpectrum) {
+    this.stopLive();
+    this.fileBuffer = audioBuffer;
+    this.computeSpectrum = computeSpectrum;
+    this.mode = audioBuffer ? 'file' : 'idle';
+    this.cursorPosition = 0;
+    this.resize();
+  }
+
+  // Drop the file and go back to an empty plot
+  clearFile() {
+    this.renderToken++;
+    this.fileBuffer = null;
+    this.computeSpectrum = null;
+    this.fileColumns = null;
+    this.fileColumnCount = 0;
+    this.fileImage = null;
+    if (this.mode === 'file') {
+      this.mode = 'idle';
+    }
+    this.drawStatic();
+  }
+
+  // Compute the whole-file spectrogram in chunks so the UI stays responsive
+  renderFile() {
+    const token = ++this.renderToken;
+    this.drawStatic();
+
+    const plot = this.getPlotRect();
+    if (!this.fileBuffer || !this.computeSpectrum || plot.width < 1 || plot.height < 1) return;
+
+    const nyquist = this.fileBuffer.sampleRate / 2;
+    const range = this.getFreqRange(nyquist);
+    const duration = this.fileBuffer.duration;
+    const columns = new Float32Array(plot.width * plot.height);
+    const rows = new Float32Array(plot.height);
+    let rowBins = null;
+    let column = 0;
+
+    this.fileColumns = columns;
+    this.fileColumnCount = 0;
+    this.filePlot = plot;
+    this.fileImage = this.ctx.createImageData(plot.width, plot.height);
+
+    const renderChunk = () => {
+      if (token !== this.renderToken) return; // Superseded by a newer render
+
+      const chunkStart = column;
+      const chunkEnd = Math.min(plot.width, column + 32);
+      for (; column < chunkEnd; column++) {
+        const time = (column + 0.5) / plot.width * duration;
+        const spectrum = this.computeSpectrum(time);
+        if (!rowBins) {
+          rowBins = this.buildRowBins(spectrum.length, nyquist, range, plot);
+        }
+        this.spectrumToRows(spectrum, rowBins, plot.height, rows);
+        columns.set(rows, column * plot.height);
+      }
+      this.fileColumnCount = column;
+
+      this.recolorFile(chunkStart);
+      if (column < plot.width) {
+        setTimeout(renderChunk, 0);
+      }
+    };
+    renderChunk();
+  }
+
+  // Re-apply colormap and dB range to the computed file columns from fromColumn on
+  // (columns not computed yet stay transparent)
+  recolorFile(fromColumn = 0) {
+    if (this.mode !== 'file' || !this.fileColumns || !this.fileImage) return;
+
+    const plot = this.filePlot;
+    const pixels = this.fileImage.data;
+    for (let column = fromColumn; column < this.fileColumnCount; column++) {
+      for (let row = 0; row < plot.height; row++) {
+        const db = this.fileColumns[column * plot.height + row];
+        const offset = (row * plot.width + column) * 4;
+        const c = this.colorIndex(db);
+        pixels[offset] = this.colormap[c];
+        pixels[offset + 1] = this.colormap[c + 1];
+        pixels[offset + 2] = this.colormap[c + 2];
+        pixels[offset + 3] = 255;
+      }
+    }
+    this.drawFile();
+  }
+
+  // Move the playback cursor (0.0 to 1.0) over the file spectrogram
+  setCursor(position) {
+    this.cursorPosition = Math.max(0, Math.min(1, position));
+    if (this.mode === 'file') {
+      this.drawFile();
+    }
+  }
+
+  drawFile() {
+    if (!this.fileImage) return;
+    const plot = this.filePlot;
+
+    this.ctx.fillStyle = "#000";
+    this.ctx.fillRect(plot.x, plot.y, plot.width, plot.height);
+    this.ctx.putImageData(this.fileImage, plot.x, plot.y);
+
+    // Playback cursor
+    const x = plot.x + this.cursorPosition * plot.width;
+    this.ctx.strokeStyle = "#fff";
+    this.ctx.lineWidth = 2;
+    this.ctx.beginPath();
+    this.ctx.moveTo(x, plot.y);
+    this.ctx.lineTo(x, plot.y + plot.height);
+    this.ctx.stroke();
+  }
+
+  // Background, axes, labels and color bar
+  drawStatic() {
+    const plot = this.getPlotRect();
+    const nyquist = this.fileBuffer ? this.fileBuffer.sampleRate / 2 :
+      (this.liveSource && this.liveSource.audioCtx ? this.liveSource.audioCtx.sampleRate / 2 : 22050);
+    const range = this.getFreqRange(nyquist);
+
+    this.ctx.fillStyle = "#111";
+    this.ctx.fillRect(0, 0, this.width, this.height);
+    this.ctx.fillStyle = "#000";
+    this.ctx.fillRect(plot.x, plot.y, plot.width, plot.height);
+
+    this.ctx.fillStyle = "#fff";
+    this.ctx.font = this.fontSize + " sans-serif";
+
+    // Frequency labels (left)
+    this.ctx.textAlign = "right";
+    this.getFreqTicks(range).forEach(f => {
+      const y = this.freqToY(f, range, plot);
+      this.ctx.fillText(f >= 1000 ? (f / 1000) + "k" : String(Math.round(f)), plot.x - 6, y + 4);
+    });
+
+    // Time labels (bottom) for files
+    if (this.fileBuffer && this.mode === 'file') {
+      const duration = this.fileBuffer.duration;
+      const ticks = 6;
+      this.ctx.textAlign = "center";
+      for (let i = 0; i <= ticks; i++) {
+        const t = duration * i / ticks;
+        this.ctx.fillText(t.toFixed(duration < 10 ? 1 : 0) + "s", plot.x + plot.width * i / ticks, plot.y + plot.height + 18);
+      }
+    } else {
+      this.ctx.textAlign = "center";
+      this.ctx.fillText("Time →", plot.x + plot.width / 2, plot.y + plot.height + 18);
+    }
+
+    this.drawColorBar();
+  }
+
+  // Color bar (right) showing the dB range on the current colormap
+  drawColorBar() {
+    const plot = this.getPlotRect();
+    const barX = plot.x + plot.width + 10;
+    const barWidth = 12;
+
+    this.ctx.fillStyle = "#111";
+    this.ctx.fillRect(barX, 0, this.width - barX, this.height);
+    for (let row = 0; row < plot.height; row++) {
+      const db = this.dbMax - (row / plot.height) * (this.dbMax - this.dbMin);
+      const c = this.colorIndex(db);
+      this.ctx.fillStyle = `rgb(${this.colormap[c]}, ${this.colormap[c + 1]}, ${this.colormap[c + 2]})`;
+      this.ctx.fillRect(barX, plot.y + row, barWidth, 1);
+    }
+    this.ctx.fillStyle = "#fff";
+    this.ctx.font = this.fontSize + " sans-serif";
+    this.ctx.textAlign = "left";
+    this.ctx.fillText(this.dbMax + " dB", barX + barWidth + 4, plot.y + 10);
+    this.ctx.fillText(this.dbMin + " dB", barX + barWidth + 4, plot.y + plot.height);
+  }
+
+  getFreqTicks(range) {
+    const ticks = [];
+    if (this.freqScale === 'log') {
+      const startDecade = Math.floor(Math.log10(Math.max(range.min, 1)));
+      const endDecade = Math.ceil(Math.log10(Math.max(range.max, 1)));
+      for (let decade = startDecade; decade <= endDecade; decade++) {
+        for (const multiple of [1, 2, 5]) {
+          const f = multiple * Math.pow(10, decade);
+          if (f >= range.min && f <= range.max) ticks.push(f);
+        }
+      }
+    } else {
+      const count = 5;
+      for (let i = 0; i <= count; i++) {
+        ticks.push(range.min + (range.max - range.min) * i / count);
+      }
+    }
+    return ticks;
+  }
+
+  // Build a 256-entry RGB lookup table by interpolating a colormap's stops
+  static buildColormap(name) {
+    const stops = (Spectrogram.COLORMAPS[name] || Spectrogram.COLORMAPS.viridis).map(hex => [
+      parseInt(hex.slice(1, 3), 16),
+      parseInt(hex.slice(3, 5), 16),
+      parseInt(hex.slice(5, 7), 16)
+    ]);
+    const lut = new Uint8ClampedArray(256 * 3);
+    for (let i = 0; i < 256; i++) {
+      const position = i / 255 * (stops.length - 1);
+      const index = Math.min(stops.length - 2, Math.floor(position));
+      const t = position - index;
+      for (let channel = 0; channel < 3; channel++) {
+        lut[i * 3 + channel] = stops[index][channel] + (stops[index + 1][channel] - stops[index][channel]) * t;
+      }
+    }
+    return lut;
+  }
+}
+
+// Colormap stops from low to high level
+Spectrogram.COLORMAPS = {
+  viridis: ['#440154', '#482878', '#3e4989', '#31688e', '#26828e', '#1f9e89', '#35b779', '#6ece58', '#b5de2b', '#fde725'],
+  magma: ['#000004', '#180f3d', '#440f76', '#721f81', '#9e2f7f', '#cd4071', '#f1605d', '#fd9668', '#feca8d', '#fcfdbf'],
+  inferno: ['#000004', '#1b0c41', '#4a0c6b', '#781c6d', '#a52c60', '#cf4446', '#ed6925', '#fb9b06', '#f7d13d', '#fcffa4'],
+  classic: ['#000000', '#00008b', '#0000ff', '#00ffff', '#ffff00', '#ff0000'],
+  grayscale: ['#000000', '#ffffff']
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Spectrogram;
+}
@@ -0,0 +1,186 @@
+/**
+ * SpectrumAverager - Running averages of successive dB spectra
+ * DOM-free; each enabled mode keeps its own trace so they can be drawn side by side
+ */
+class SpectrumAverager {
+  constructor() {
+    this.enabled = new Set();
+    this.timeConstant = SpectrumAverager.DEFAULT_TIME_CONSTANT; // seconds (exponential)
+    this.frameCount = SpectrumAverager.DEFAULT_FRAME_COUNT; // frames (linear / RMS)
+
+    this.length = 0;
+    this.traces = {}; // mode -> Float32Array of dB values
+    this.reset();
+  }
+
+  // Enable or disable one averaging mode
+  setModeEnabled(mode, enabled) {
+    if (!SpectrumAverager.MODES[mode]) return;
+    if (enabled) {
+      this.enabled.add(mode);
+    } else {
+      this.enabled.delete(mode);
+      delete this.traces[mode];
+      if (mode === 'exponential') this.emaPower = null;
+      if (!this.isEnabled('linear') && !this.isEnabled('rms')) {
+        this.history = [];
+        this.historyIndex = 0;
+        this.amplitudeSum = null;
+        this.powerSum = null;
+      }
+    }
+  }
+
+  isEnabled(mode) {
+    return this.enabled.has(mode);
+  }
+
+  setTimeConstant(seconds) {
+    this.timeConstant = Math.max(0.01, seconds || SpectrumAverager.DEFAULT_TIME_CONSTANT);
+  }
+
+  setFrameCount(frames) {
+    const count = Math.max(1, Math.round(frames) || SpectrumAverager.DEFAULT_FRAME_COUNT);
+    if (count !== this.frameCount) {
+      this.frameCount = count;
+      this.reset();
+    }
+  }
+
+  // Drop all accumulated history
+  reset() {
+    this.traces = {};
+    this.history = []; // Last frameCount frames as linear amplitude
+    this.historyIndex = 0;
+    this.amplitudeSum = null;
+    this.powerSum = null;
+    this.emaPower = null;
+    this.lastUpdate = null;
+  }
+
+  /**
+   * Fold one dB spectrum frame into every enabled average
+   * `now` is a timestamp in milliseconds, used for the exponential time constant
+   */
+  update(frame, now = Date.now()) {
+    if (this.enabled.size === 0 || !frame || frame.length === 0) return;
+
+    if (frame.length !== this.length) {
+      this.length = frame.length;
+      this.reset();
+    }
+
+    const length = this.length;
+    const amplitude = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+      amplitude[i] = isFinite(frame[i]) ? Math.pow(10, frame[i] / 20) : 0;
+    }
+
+    if (this.isEnabled('exponential')) this.updateExponential(amplitude, now);
+    if (this.isEnabled('linear') || this.isEnabled('rms')) this.updateWindowed(amplitude);
+    if (this.isEnabled('min')) this.updateMinHold(frame);
+    this.lastUpdate = now;
+  }
+
+  updateExponential(amplitude, now) {
+    const length = amplitude.length;
+    if (!this.emaPower) {
+      this.emaPower = new Float64Array(length);
+      for (let i = 0; i < length; i++) this.emaPower[i] = amplitude[i] * amplitude[i];
+    } else {
+      // Per-frame weight from the elapsed time so the time constant holds at any frame rate
+      const dt = Math.max(0, (now - (this.lastUpdate ?? now)) / 1000);
+      const alpha = 1 - Math.exp(-dt / this.timeConstant);
+      for (let i = 0; i < length; i++) {
+        this.emaPower[i] += alpha * (amplitude[i] * amplitude[i] - this.emaPower[i]);
+      }
+    }
+
+    const trace = this.getTraceBuffer('exponential');
+    for (let i = 0; i < length; i++) {
+      trace[i] = SpectrumAverager.powerToDb(this.emaPower[i]);
+    }
+  }
+
+  // Linear (amplitude) and RMS (power) averages over the last frameCount frames
+  updateWindowed(amplitude) {
+    const length = amplitude.length;
+    if (!this.amplitudeSum) {
+      this.amplitudeSum = new Float64Array(length);
+      this.powerSum = new Float64Array(length);
+    }
+
+    // Ring buffer of frames - subtract the oldest once it is full
+    if (this.history.length === this.frameCount) {
+      const oldest = this.history[this.historyIndex];
+      for (let i = 0; i < length; i++) {
+        this.amplitudeSum[i] -= oldest[i];
+        this.powerSum[i] -= oldest[i] * oldest[i];
+      }
+      this.history[this.historyIndex] = amplitude;
+      this.historyIndex = (this.historyIndex + 1) % this.frameCount;
+    } else {
+      this.history.push(amplitude);
+    }
+
+    for (let i = 0; i < length; i++) {
+      this.amplitudeSum[i] += amplitude[i];
+      this.powerSum[i] += amplitude[i] * amplitude[i];
+    }
+
+    const count = this.history.length;
+    if (this.isEnabled('linear')) {
+      const trace = this.getTraceBuffer('linear');
+      for (let i = 0; i < length; i++) {
+        const mean = Math.max(0, this.amplitudeSum[i] / count);
+        trace[i] = mean > 0 ? 20 * Math.log10(mean) : -Infinity;
+      }
+    }
+    if (this.isEnabled('rms')) {
+      const trace = this.getTraceBuffer('rms');
+      for (let i = 0; i < length; i++) {
+        trace[i] = SpectrumAverager.powerToDb(this.powerSum[i] / count);
+      }
+    }
+  }
+
+  updateMinHold(frame) {
+    const isNew = !this.traces.min;
+    const trace = this.getTraceBuffer('min');
+    for (let i = 0; i < frame.length; i++) {
+      if (isNew || frame[i] < trace[i]) trace[i] = frame[i];
+    }
+  }
+
+  getTraceBuffer(mode) {
+    if (!this.traces[mode] || this.traces[mode].length !== this.length) {
+      this.traces[mode] = new Float32Array(this.length);
+    }
+    return this.traces[mode];
+  }
+
+  // Current dB trace for a mode, or null if it is disabled or has no data yet
+  getTrace(mode) {
+    return this.isEnabled(mode) ? (this.traces[mode] || null) : null;
+  }
+
+  static powerToDb(power) {
+    return power > 0 ? 10 * Math.log10(power) : -Infinity;
+  }
+}
+
+// Display names for the supported averaging modes
+SpectrumAverager.MODES = {
+  'exponential': 'Exponential',
+  'linear': 'Linear',
+  'rms': 'RMS Power',
+  'min': 'Min Hold'
+};
+
+SpectrumAverager.DEFAULT_TIME_CONSTANT = 1;
+SpectrumAverager.DEFAULT_FRAME_COUNT = 16;
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SpectrumAverager;
+}
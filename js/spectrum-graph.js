@@ -15,8 +15,73 @@ class SpectrumGraph {
     this.bufferLength = 0;
     this.source = null;
     this.peakHoldArray = [];
+    this.peakHoldTimes = []; // When each bin's peak was last raised (ms)
     this.latestPeaks = [];
 
+    // Peak hold behaviour - 'infinite' keeps the max, 'decay' holds then falls like a hardware RTA
+    this.peakHoldMode = 'infinite';
+    this.peakHoldTime = 2; // seconds before a peak starts to fall
+    this.peakFallRate = 20; // dB per second
+    this.lastPeakUpdate = null;
+
+    // Sub-bin peak estimator - 'none', 'parabolic' or 'gaussian'
+    this.peakInterpolation = 'parabolic';
+
+    // Per-channel traces for stereo/multichannel sources - 'mix' draws the single
+    // down-mixed line, 'channels' each channel, 'midside' L/R/Mid/Side (stereo)
+    this.channelTraces = [];
+    this.channelView = 'mix';
+
+    // Reference traces for before/after comparisons
+    this.referenceTraces = [];
+    this.nextReferenceId = 1;
+
+    // Averaged traces (exponential, linear, RMS, min hold)
+    this.averager = new SpectrumAverager();
+    this.averageColors = Object.assign({}, SpectrumGraph.AVERAGE_COLORS);
+
+    // Fundamental and harmonics marked by the distortion analysis ({ fundamental, harmonics } or null)
+    this.harmonicMarkers = null;
+
+    // Measured frequency response ({ name, raw, smoothed, sampleRate } or null)
+    this.responseTrace = null;
+
+    // Calibration offset (dB SPL - dBFS) when levels are shown in dB SPL, null for raw dB
+    this.splOffset = null;
+
+    // Microphone correction curves of the live input device ([{ name, points, enabled }])
+    this.correctionCurves = [];
+    this.correctionEnabled = true; // false shows the raw spectrum
+    this.correction = null; // dB per bin, rebuilt when the bin grid changes
+    this.correctionKey = null;
+
+    // Measurement cursors ([{ id, freq }]) - a snapping cursor reads the peak next to its frequency
+    this.cursors = [];
+    this.nextCursorId = 1;
+    this.cursorSnap = true;
+    this.draggingCursor = null;
+    this.onCursorsChange = null; // Called after cursors are added, moved or removed
+
+    // Zoom and pan - mouse and touch gestures write the freq / dB range inputs
+    this.viewDrag = null; // { mode: 'pan' | 'box', startX, startY, x, y, view } while dragging
+    this.pinch = null; // Touch pan / pinch state
+    this.suppressClick = false; // Swallow the click that ends a drag
+    this.onViewChange = null; // Called after a gesture changes the range
+
+    // 'line' draws the FFT bins, 'rta' fractional-octave bars with peak caps
+    this.displayStyle = 'line';
+    this.rtaFraction = 3;
+    this.rtaBands = [];
+    this.rtaBandsKey = null;
+    this.rtaPeaks = new Float32Array(0);
+    this.rtaPeakTimes = new Float64Array(0);
+    this.lastRtaPeakUpdate = null;
+
+    // Window of the offline FFT used for file frames (live data always uses the analyser's Blackman)
+    this.analysisWindow = 'blackman';
+    this.analysisKaiserBeta = WindowFunctions.DEFAULT_KAISER_BETA;
+    this.dataWindow = null; // { type, beta } of the offline frame in dataArray, null for analyser data
+
     // Freeze/scrub state
     this.isFrozen = false;
     this.isScrubbing = false;
@@ -32,9 +97,13 @@ class SpectrumGraph {
     this.peakCount = null;
     this.peakDelta = null;
 
+    // Level meter behind the level bars (set externally)
+    this.levelMeter = null;
+
     // Color settings
     this.liveLineColor = '#00ffff'; // Default cyan
     this.peakLineColor = '#ff0000'; // Default red
+    this.theme = SpectrumGraph.THEMES.dark; // Background, text and grid colors
 
   // Peak label type
   this.peakLabelType = 'hz'; // 'hz' or 'note'
@@ -42,31 +111,12 @@ class SpectrumGraph {
   // Axis type
   this.axisType = 'hz'; // 'hz' or 'note'
 
+  // Frequency axis scale
+  this.freqScale = 'linear'; // 'linear' or 'log'
+
   // Frequency to note conversion
   this.frequencyToNote = function(freq) {
-    // Handle edge cases that could cause NaN
-    if (!freq || freq <= 0 || !isFinite(freq)) {
-      return 'N/A';
-    }
-
-    const noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-    const A4 = 440;
-    const semitonesFromA4 = Math.round(12 * Math.log2(freq / A4));
-
-    // Check if calculation resulted in valid numbers
-    if (!isFinite(semitonesFromA4)) {
-      return 'N/A';
-    }
-
-    const noteIndex = (semitonesFromA4 + 9) % 12; // A is at index 9 in our array
-    const octave = Math.floor((semitonesFromA4 + 9) / 12) + 4;
-
-    // Ensure we have valid indices
-    if (noteIndex < 0 || noteIndex >= noteNames.length || !isFinite(octave)) {
-      return 'N/A';
-    }
-
-    return noteNames[noteIndex] + octave;
+    return Tuning.noteName(freq);
   };
 
     // Resize and initialize
@@ -74,8 +124,36 @@ class SpectrumGraph {
     window.addEventListener('resize', () => this.resize());
 
     // Event listeners
-    this.canvas.addEventListener('click', () => this.resetPeaks());
+    this.canvas.addEventListener('click', (e) => {
+      if (this.suppressClick) {
+        this.suppressClick = false;
+        return;
+      }
+      // Alt+click places a cursor
+      if (e.altKey) {
+        this.addCursor(this.eventToFreq(e));
+        return;
+      }
+      this.resetPeaks();
+      this.resetAverages();
+    });
     this.canvas.addEventListener('mousemove', (e) => this.handleMouseMove(e));
+    this.canvas.addEventListener('mousedown', (e) => {
+      if (!this.handleCursorMouseDown(e)) this.handleViewMouseDown(e);
+    });
+    this.canvas.addEventListener('wheel', (e) => this.handleWheel(e), { passive: false });
+    this.canvas.addEventListener('dblclick', () => this.resetView());
+    this.canvas.addEventListener('touchstart', (e) => this.handleTouch(e), { passive: false });
+    this.canvas.addEventListener('touchmove', (e) => this.handleTouch(e), { passive: false });
+    this.canvas.addEventListener('touchend', (e) => this.handleTouch(e));
+    this.canvas.addEventListener('touchcancel', (e) => this.handleTouch(e));
+    // Right-click a cursor to remove it
+    this.canvas.addEventListener('contextmenu', (e) => {
+      const cursor = this.findCursorNearX(e.clientX - this.canvas.getBoundingClientRect().left);
+      if (!cursor) return;
+      e.preventDefault();
+      this.removeCursor(cursor.id);
+    });
   }
 
   // Initialize settings references
@@ -89,12 +167,132 @@ class SpectrumGraph {
     this.peakDelta = peakDelta;
   }
 
+  // Meter (a SoundLevelMeter) whose readings drive the level bars
+  setLevelMeter(meter) {
+    this.levelMeter = meter;
+  }
+
   // Set line colors
   setColors(liveLineColor, peakLineColor) {
     this.liveLineColor = liveLineColor;
     this.peakLineColor = peakLineColor;
   }
 
+  // Set peak hold mode ('infinite' or 'decay'), hold time (s) and fall rate (dB/s)
+  setPeakHoldMode(mode, holdTime, fallRate) {
+    this.peakHoldMode = mode === 'decay' ? 'decay' : 'infinite';
+    if (isFinite(holdTime) && holdTime >= 0) this.peakHoldTime = holdTime;
+    if (isFinite(fallRate) && fallRate > 0) this.peakFallRate = fallRate;
+  }
+
+  // Set the per-channel traces ({ id, name, analyser, dataArray }) of the current source
+  setChannelTraces(traces) {
+    this.channelTraces = traces || [];
+  }
+
+  // Mark a fundamental and its harmonics (a DistortionAnalyzer result), or null to clear
+  setHarmonicMarkers(markers) {
+    this.harmonicMarkers = markers;
+  }
+
+  setResponseTrace(trace) {
+    this.responseTrace = trace;
+  }
+
+  // Show levels in dB SPL using a sound level meter calibration offset, or null for raw dB
+  setSplOffset(offset) {
+    this.splOffset = isFinite(offset) && offset !== null ? offset : null;
+  }
+
+  // Set the live input's correction curves and whether to apply them (raw vs corrected)
+  setMicCorrection(curves, enabled = this.correctionEnabled) {
+    this.correctionCurves = curves || [];
+    this.correctionEnabled = enabled;
+    this.correctionKey = null;
+    // Held peaks and averages would mix raw and corrected data
+    this.resetPeaks();
+    this.resetAverages();
+  }
+
+  // Correction (dB per bin) for the current frame, or null when none applies (playback, raw view)
+  getCorrection() {
+    if (!this.isLiveMode || !this.correctionEnabled || !this.dataArray || !this.audioCtx) return null;
+    if (!this.correctionCurves.some(c => c.enabled)) return null;
+    const key = `${this.dataArray.length}:${this.audioCtx.sampleRate}`;
+    if (key !== this.correctionKey) {
+      this.correctionKey = key;
+      this.correction = MicCorrection.combine(this.correctionCurves, this.dataArray.length, this.audioCtx.sampleRate);
+    }
+    return this.correction;
+  }
+
+  /**
+   * dB added to the data for display - the calibration offset plus, for AnalyserNode
+   * data, the Blackman scaling so a sine's peak reads its level (file frames come
+   * from the offline FFT, which already reads a sine's level)
+   */
+  getLevelOffset() {
+    if (this.splOffset === null) return 0;
+    return this.splOffset + (this.dataWindow ? 0 : SpectrumGraph.ANALYSER_SINE_OFFSET);
+  }
+
+  // The dB range inputs (display units) in data units
+  getDbRange() {
+    const offset = this.getLevelOffset();
+    return {
+      dbMinVal: parseFloat(this.dbMin.value) - offset,
+      dbMaxVal: parseFloat(this.dbMax.value) - offset
+    };
+  }
+
+  // Set the display style ('line' or 'rta') and RTA bands per octave (1, 3, 6 or 12)
+  setDisplayStyle(style, fraction = this.rtaFraction) {
+    this.displayStyle = style === 'rta' ? 'rta' : 'line';
+    this.rtaFraction = OctaveBands.FRACTIONS[fraction] ? Number(fraction) : 3;
+  }
+
+  setAnalysisWindow(type, beta = WindowFunctions.DEFAULT_KAISER_BETA) {
+    this.analysisWindow = type;
+    this.analysisKaiserBeta = beta;
+  }
+
+  // Load a frame from the offline FFT into dataArray, remembering the window it was analysed with
+  setOfflineFrame(data) {
+    this.dataArray.set(data);
+    this.dataWindow = { type: this.analysisWindow, beta: this.analysisKaiserBeta };
+  }
+
+  // Window behind the frame in dataArray - the offline one, or the analyser's Blackman
+  getDataWindow() {
+    return this.dataWindow || { type: 'blackman', beta: this.analysisKaiserBeta };
+  }
+
+  // Set which channel traces are drawn ('mix', 'channels' or 'midside')
+  setChannelView(view) {
+    this.channelView = SpectrumGraph.CHANNEL_VIEWS[view] ? view : 'mix';
+  }
+
+  // Channel traces drawn in the current view (none in 'mix' view or for mono sources)
+  getVisibleChannelTraces() {
+    if (this.channelView === 'channels') {
+      return this.channelTraces.filter(t => typeof t.id === 'number');
+    }
+    if (this.channelView === 'midside') {
+      return this.channelTraces;
+    }
+    return [];
+  }
+
+  // Set the sub-bin peak estimator
+  setPeakInterpolation(method) {
+    this.peakInterpolation = SpectrumGraph.PEAK_INTERPOLATIONS[method] ? method : 'none';
+  }
+
+  // Set the color of one averaging mode's trace
+  setAverageColor(mode, color) {
+    this.averageColors[mode] = color;
+  }
+
   // Set peak label type
   setPeakLabelType(type) {
     this.peakLabelType = type;
@@ -105,6 +303,33 @@ class SpectrumGraph {
     this.axisType = type;
   }
 
+  // Set frequency axis scale
+  setFreqScale(scale) {
+    this.freqScale = scale === 'log' ? 'log' : 'linear';
+  }
+
+  // Map a frequency to its x position on the graph for the current axis scale
+  freqToX(freq, freqMin, freqMax) {
+    if (this.freqScale === 'log') {
+      const logMin = Math.log10(Math.max(freqMin, SpectrumGraph.LOG_FREQ_FLOOR));
+      const logMax = Math.log10(Math.max(freqMax, SpectrumGraph.LOG_FREQ_FLOOR));
+      const logFreq = Math.log10(Math.max(freq, SpectrumGraph.LOG_FREQ_FLOOR));
+      return 32 + (logFreq - logMin) / (logMax - logMin) * (this.width - 64);
+    }
+    return 32 + (freq - freqMin) / (freqMax - freqMin) * (this.width - 64);
+  }
+
+  // Inverse of freqToX - map an x position on the graph back to a frequency
+  xToFreq(x, freqMin, freqMax) {
+    const fraction = (x - 32) / (this.width - 64);
+    if (this.freqScale === 'log') {
+      const logMin = Math.log10(Math.max(freqMin, SpectrumGraph.LOG_FREQ_FLOOR));
+      const logMax = Math.log10(Math.max(freqMax, SpectrumGraph.LOG_FREQ_FLOOR));
+      return Math.pow(10, logMin + fraction * (logMax - logMin));
+    }
+    return freqMin + fraction * (freqMax - freqMin);
+  }
+
   // Set grid brightness (0-100%)
   setGridBrightness(brightness) {
     this.gridBrightness = Math.max(0, Math.min(100, brightness));
@@ -140,6 +365,7 @@ class SpectrumGraph {
   // Freeze the spectrum (stop live drawing)
   freeze() {
     this.isFrozen = true;
+    this.lastPeakUpdate = null; // Don't let peaks fall across the frozen gap
     // Save current dataArray for restoration on resume
     if (this.dataArray) {
       this.frozenData = new Float32Array(this.dataArray);
@@ -176,13 +402,12 @@ class SpectrumGraph {
     );
 
 
-    this.ctx.fillStyle = "#111";
+    this.ctx.fillStyle = this.theme.background;
     this.ctx.fillRect(0, 0, this.width, this.height);
 
     const freqMinVal = parseFloat(this.freqMin.value);
     const freqMaxVal = parseFloat(this.freqMax.value);
-    const dbMinVal = parseFloat(this.dbMin.value);
-    const dbMaxVal = parseFloat(this.dbMax.value);
+    const { dbMinVal, dbMaxVal } = this.getDbRange();
 
 
     // Clip to graph area
@@ -197,6 +422,7 @@ class SpectrumGraph {
 
     this.drawAxes(freqMinVal, freqMaxVal, dbMinVal, dbMaxVal);
     this.drawGrid(freqMinVal, freqMaxVal, dbMinVal, dbMaxVal);
+    this.drawReferenceTraces(freqMinVal, freqMaxVal, dbMinVal, dbMaxVal);
 
     const nyquist = this.scrubSampleRate / 2;
 
@@ -207,7 +433,7 @@ class SpectrumGraph {
       const freq = i / frequencyData.length * nyquist;
       if (freq < freqMinVal || freq > freqMaxVal) continue;
 
-      const x = 32 + (freq - freqMinVal) / (freqMaxVal - freqMinVal) * (this.width - 64);
+      const x = this.freqToX(freq, freqMinVal, freqMaxVal);
       const val = Math.max(frequencyData[i], dbMinVal);
       const y = 10 + (1 - (val - dbMinVal) / (dbMaxVal - dbMinVal)) * (this.height - 62);
 
@@ -243,9 +469,15 @@ class SpectrumGraph {
 
     if (this.peakHoldArray.length !== bufferLength) {
       this.peakHoldArray = new Float32Array(bufferLength).fill(-Infinity);
+      this.peakHoldTimes = new Float64Array(bufferLength);
     }
+    this.lastPeakUpdate = null;
     // Reset valid frame flag whenever the audio context/analyser changes
     this.hasValidFrame = false;
+    // Channel traces belong to the previous source until set again
+    this.channelTraces = [];
+    // Averages from a previous source would blend into the new one
+    this.resetAverages();
 
 
   }
@@ -260,6 +492,69 @@ class SpectrumGraph {
   resetPeaks() {
     this.peakHoldArray.fill(-Infinity);
     this.latestPeaks = [];
+    this.lastPeakUpdate = null;
+    this.rtaPeaks.fill(-Infinity);
+    this.lastRtaPeakUpdate = null;
+  }
+
+  // RTA bands for the displayed range (rebuilt when the range or fraction changes)
+  // Peak caps of bands still shown carry over, so zooming and panning keep them
+  getRtaBands(freqMinVal, freqMaxVal) {
+    const key = `${this.rtaFraction}:${freqMinVal}:${freqMaxVal}`;
+    if (key !== this.rtaBandsKey) {
+      const sameFraction = this.rtaBandsKey !== null && this.rtaBandsKey.split(':')[0] === String(this.rtaFraction);
+      const previous = new Map();
+      if (sameFraction) {
+        this.rtaBands.forEach((band, i) => previous.set(band.center, i));
+      }
+      const oldPeaks = this.rtaPeaks;
+      const oldTimes = this.rtaPeakTimes;
+
+      this.rtaBandsKey = key;
+      this.rtaBands = OctaveBands.create(this.rtaFraction, freqMinVal, freqMaxVal);
+      this.rtaPeaks = new Float32Array(this.rtaBands.length).fill(-Infinity);
+      this.rtaPeakTimes = new Float64Array(this.rtaBands.length);
+      this.rtaBands.forEach((band, i) => {
+        const j = previous.get(band.center);
+        if (j === undefined) return;
+        this.rtaPeaks[i] = oldPeaks[j];
+        this.rtaPeakTimes[i] = oldTimes[j];
+      });
+      if (!sameFraction) this.lastRtaPeakUpdate = null;
+    }
+    return this.rtaBands;
+  }
+
+  // Band levels of a dB spectrum on the current RTA bands
+  getRtaLevels(data, freqMinVal, freqMaxVal) {
+    const dataWindow = this.getDataWindow();
+    const enbw = WindowFunctions.enbw(dataWindow.type, dataWindow.beta);
+    return OctaveBands.aggregate(data, this.audioCtx.sampleRate, this.getRtaBands(freqMinVal, freqMaxVal), enbw);
+  }
+
+  // Fold the current band levels into the peak caps, with the same hold / decay as the peak hold line
+  updateRtaPeaks(now = performance.now()) {
+    if (this.displayStyle !== 'rta' || !this.togglePeakHold.checked || !this.hasValidFrame) return;
+
+    const levels = this.getRtaLevels(this.dataArray, parseFloat(this.freqMin.value), parseFloat(this.freqMax.value));
+    const dt = this.lastRtaPeakUpdate === null ? 0 : Math.min((now - this.lastRtaPeakUpdate) / 1000, 0.5);
+    this.lastRtaPeakUpdate = now;
+    const decaying = this.peakHoldMode === 'decay';
+    const holdMs = this.peakHoldTime * 1000;
+    const fall = this.peakFallRate * dt;
+
+    for (let i = 0; i < levels.length; i++) {
+      if (levels[i] >= this.rtaPeaks[i]) {
+        this.rtaPeaks[i] = levels[i];
+        this.rtaPeakTimes[i] = now;
+      } else if (decaying && now - this.rtaPeakTimes[i] > holdMs) {
+        this.rtaPeaks[i] = Math.max(levels[i], this.rtaPeaks[i] - fall);
+      }
+    }
+  }
+
+  resetAverages() {
+    this.averager.reset();
   }
 
   handleMouseMove(e) {
@@ -269,13 +564,14 @@ class SpectrumGraph {
 
     const freqMinVal = parseFloat(this.freqMin.value);
     const freqMaxVal = parseFloat(this.freqMax.value);
-    const dbMinVal = parseFloat(this.dbMin.value);
-    const dbMaxVal = parseFloat(this.dbMax.value);
+    const { dbMinVal, dbMaxVal } = this.getDbRange();
 
     const nyquist = this.audioCtx ? this.audioCtx.sampleRate / 2 : 22050;
-    const freq = (mx - 32) / (this.width - 64) * (freqMaxVal - freqMinVal) + freqMinVal;
+    const freq = this.xToFreq(mx, freqMinVal, freqMaxVal);
     const db = dbMaxVal - ((my - 10) / (this.height - 62)) * (dbMaxVal - dbMinVal);
 
+    this.canvas.style.cursor = this.draggingCursor || this.findCursorNearX(mx) ? 'ew-resize' : '';
+
     if (freq >= freqMinVal && freq <= freqMaxVal) {
       this.tooltip.style.display = "block";
       this.tooltip.style.left = (e.pageX + 10) + "px";
@@ -283,12 +579,20 @@ class SpectrumGraph {
       this.tooltip.style.fontSize = this.fontSize;
 
       // Show different tooltip content based on axis type
+      const levelOffset = this.getLevelOffset();
+      const unit = this.splOffset !== null ? "dB SPL" : "dB";
       let tooltipText;
-      if (this.axisType === 'note') {
-        const noteName = this.frequencyToNote(freq);
-        tooltipText = noteName + " (" + freq.toFixed(1) + " Hz), " + db.toFixed(1) + " dB";
+      const peak = this.findPeakNearX(mx, freqMinVal, freqMaxVal);
+      if (peak) {
+        // Hovering a detected peak - show its interpolated frequency and level
+        const peakFreq = peak.freq.toFixed(2) + " Hz";
+        tooltipText = "Peak: " + (this.axisType === 'note' ? Tuning.noteNameWithCents(peak.freq) + " (" + peakFreq + ")" : peakFreq) +
+          ", " + (peak.db + levelOffset).toFixed(1) + " " + unit;
+      } else if (this.axisType === 'note') {
+        const noteName = Tuning.noteNameWithCents(freq);
+        tooltipText = noteName + " (" + freq.toFixed(1) + " Hz), " + (db + levelOffset).toFixed(1) + " " + unit;
       } else {
-        tooltipText = freq.toFixed(1) + " Hz, " + db.toFixed(1) + " dB";
+        tooltipText = freq.toFixed(1) + " Hz, " + (db + levelOffset).toFixed(1) + " " + unit;
       }
 
       this.tooltip.textContent = tooltipText;
@@ -297,8 +601,459 @@ class SpectrumGraph {
     }
   }
 
+  // Frequency under a mouse event, clamped to the displayed range
+  eventToFreq(e) {
+    const freqMinVal = parseFloat(this.freqMin.value);
+    const freqMaxVal = parseFloat(this.freqMax.value);
+    const freq = this.xToFreq(e.clientX - this.canvas.getBoundingClientRect().left, freqMinVal, freqMaxVal);
+    return Math.max(freqMinVal, Math.min(freqMaxVal, freq));
+  }
+
+  /**
+   * Add a cursor at freq, or on the strongest detected peak without a cursor
+   * when freq is omitted. Returns the cursor, or null when all are placed.
+   */
+  addCursor(freq) {
+    if (this.cursors.length >= SpectrumGraph.MAX_CURSORS) return null;
+    if (freq === undefined) {
+      const freqMinVal = parseFloat(this.freqMin.value);
+      const freqMaxVal = parseFloat(this.freqMax.value);
+      const free = this.latestPeaks
+        .filter(p => !this.cursors.some(c => Math.abs(this.freqToX(c.freq, freqMinVal, freqMaxVal) - this.freqToX(p.freq, freqMinVal, freqMaxVal)) < SpectrumGraph.CURSOR_HIT_PX))
+        .sort((a, b) => b.db - a.db);
+      freq = free.length > 0 ? free[0].freq : this.xToFreq((32 + this.yAxisOffset + this.width - 32) / 2, freqMinVal, freqMaxVal);
+    }
+    const cursor = { id: this.nextCursorId++, freq: this.cursorSnap ? this.snapToPeak(freq) : freq };
+    this.cursors.push(cursor);
+    this.cursorsChanged();
+    return cursor;
+  }
+
+  removeCursor(id) {
+    this.cursors = this.cursors.filter(c => c.id !== id);
+    this.cursorsChanged();
+  }
+
+  // Replace all cursors (frequencies in Hz), e.g. when restoring a saved view
+  setCursors(frequencies) {
+    this.cursors = frequencies.filter(f => f > 0 && isFinite(f)).slice(0, SpectrumGraph.MAX_CURSORS)
+      .map(freq => ({ id: this.nextCursorId++, freq: freq }));
+    this.cursorsChanged();
+  }
+
+  setCursorSnap(enabled) {
+    this.cursorSnap = enabled;
+    this.cursorsChanged();
+  }
+
+  cursorsChanged() {
+    this.redraw();
+    if (this.onCursorsChange) this.onCursorsChange();
+  }
+
+  // Cursor within grabbing distance of x, if any
+  findCursorNearX(x) {
+    const freqMinVal = parseFloat(this.freqMin.value);
+    const freqMaxVal = parseFloat(this.freqMax.value);
+    let nearest = null;
+    let nearestDistance = SpectrumGraph.CURSOR_HIT_PX;
+    this.cursors.forEach(c => {
+      const distance = Math.abs(this.freqToX(c.freq, freqMinVal, freqMaxVal) - x);
+      if (distance <= nearestDistance) {
+        nearest = c;
+        nearestDistance = distance;
+      }
+    });
+    return nearest;
+  }
+
+  // Drag a cursor along the frequency axis; it snaps to a peak when dropped
+  // Returns true when the press grabbed a cursor
+  handleCursorMouseDown(e) {
+    if (e.button !== 0) return false;
+    const cursor = this.findCursorNearX(e.clientX - this.canvas.getBoundingClientRect().left);
+    if (!cursor) return false;
+    e.preventDefault();
+    this.draggingCursor = cursor;
+
+    const move = (event) => {
+      cursor.freq = this.eventToFreq(event);
+      this.suppressClick = true;
+      this.cursorsChanged();
+    };
+    const up = () => {
+      document.removeEventListener('mousemove', move);
+      document.removeEventListener('mouseup', up);
+      this.draggingCursor = null;
+      if (this.cursorSnap) cursor.freq = this.snapToPeak(cursor.freq);
+      this.cursorsChanged();
+    };
+    document.addEventListener('mousemove', move);
+    document.addEventListener('mouseup', up);
+    return true;
+  }
+
+  // Displayed range - frequencies in Hz, levels in display units (as in the inputs)
+  getView() {
+    return {
+      freqMin: parseFloat(this.freqMin.value),
+      freqMax: parseFloat(this.freqMax.value),
+      dbMin: parseFloat(this.dbMin.value),
+      dbMax: parseFloat(this.dbMax.value)
+    };
+  }
+
+  // Widest frequency range the inputs allow (Freq Max is limited to Nyquist)
+  getFreqLimits() {
+    const nyquist = this.audioCtx ? this.audioCtx.sampleRate / 2 : 22050;
+    return {
+      min: Math.max(parseFloat(this.freqMin.min) || 0, SpectrumGraph.LOG_FREQ_FLOOR),
+      max: parseFloat(this.freqMax.max) || nyquist
+    };
+  }
+
+  // Position on the frequency axis in the current scale (log10 Hz or Hz)
+  freqToScale(freq) {
+    return this.freqScale === 'log' ? Math.log10(Math.max(freq, SpectrumGraph.LOG_FREQ_FLOOR)) : freq;
+  }
+
+  scaleToFreq(value) {
+    return this.freqScale === 'log' ? Math.pow(10, value) : value;
+  }
+
+  /**
+   * Write a new range to the inputs, kept inside the frequency limits and above the
+   * minimum spans, then redraw. A range pushed past a limit slides back rather than shrinking.
+   */
+  setView(view) {
+    const limits = this.getFreqLimits();
+    const scaleMin = this.freqToScale(limits.min);
+    const scaleMax = this.freqToScale(limits.max);
+    let low = this.freqToScale(view.freqMin);
+    let high = this.freqToScale(view.freqMax);
+    const minSpan = this.freqScale === 'log' ? Math.log10(1 + SpectrumGraph.MIN_ZOOM_FREQ_SPAN / Math.max(view.freqMin, 1)) : SpectrumGraph.MIN_ZOOM_FREQ_SPAN;
+    if (high - low < minSpan) {
+      const middle = (low + high) / 2;
+      low = middle - minSpan / 2;
+      high = middle + minSpan / 2;
+    }
+    const span = Math.min(high - low, scaleMax - scaleMin);
+    if (low < scaleMin) {
+      low = scaleMin;
+      high = low + span;
+    }
+    if (high > scaleMax) {
+      high = scaleMax;
+      low = high - span;
+    }
+
+    let dbLow = view.dbMin;
+    let dbHigh = view.dbMax;
+    if (dbHigh - dbLow < SpectrumGraph.MIN_ZOOM_DB_SPAN) {
+      const middle = (dbLow + dbHigh) / 2;
+      dbLow = middle - SpectrumGraph.MIN_ZOOM_DB_SPAN / 2;
+      dbHigh = middle + SpectrumGraph.MIN_ZOOM_DB_SPAN / 2;
+    }
+
+    this.freqMin.value = Number(Math.max(limits.min, this.scaleToFreq(low)).toFixed(2));
+    this.freqMax.value = Number(Math.min(limits.max, this.scaleToFreq(high)).toFixed(2));
+    this.dbMin.value = Number(dbLow.toFixed(1));
+    this.dbMax.value = Number(dbHigh.toFixed(1));
+    this.redraw();
+    if (this.onViewChange) this.onViewChange();
+  }
+
+  // Zoom the frequency axis by factor (< 1 zooms in) keeping freq under the same x
+  zoomFreq(view, freq, factor) {
+    const center = this.freqToScale(freq);
+    const low = center - (center - this.freqToScale(view.freqMin)) * factor;
+    const high = center + (this.freqToScale(view.freqMax) - center) * factor;
+    return Object.assign({}, view, { freqMin: this.scaleToFreq(low), freqMax: this.scaleToFreq(high) });
+  }
+
+  // Zoom the dB axis by factor keeping db (display units) at the same height
+  zoomDb(view, db, factor) {
+    return Object.assign({}, view, {
+      dbMin: db - (db - view.dbMin) * factor,
+      dbMax: db + (view.dbMax - db) * factor
+    });
+  }
+
+  // Shift a range by a distance in pixels (drag right / down moves the content with the pointer)
+  panView(view, dx, dy) {
+    const scaleShift = dx / (this.width - 64) * (this.freqToScale(view.freqMax) - this.freqToScale(view.freqMin));
+    const dbShift = dy / (this.height - 62) * (view.dbMax - view.dbMin);
+    return {
+      freqMin: this.scaleToFreq(this.freqToScale(view.freqMin) - scaleShift),
+      freqMax: this.scaleToFreq(this.freqToScale(view.freqMax) - scaleShift),
+      dbMin: view.dbMin + dbShift,
+      dbMax: view.dbMax + dbShift
+    };
+  }
+
+  // Level (display units) at a y position
+  yToDb(y, view) {
+    return view.dbMax - (y - 10) / (this.height - 62) * (view.dbMax - view.dbMin);
+  }
+
+  // Wheel zooms frequency around the pointer, Shift+wheel zooms the dB axis
+  handleWheel(e) {
+    e.preventDefault();
+    const rect = this.canvas.getBoundingClientRect();
+    const view = this.getView();
+    const delta = e.deltaY || e.deltaX;
+    const factor = Math.exp(delta * (e.deltaMode === 1 ? SpectrumGraph.WHEEL_LINE_PX : 1) * SpectrumGraph.WHEEL_ZOOM_RATE);
+    if (e.shiftKey) {
+      this.setView(this.zoomDb(view, this.yToDb(e.clientY - rect.top, view), factor));
+    } else {
+      this.setView(this.zoomFreq(view, this.xToFreq(e.clientX - rect.left, view.freqMin, view.freqMax), factor));
+    }
+  }
+
+  // Drag pans the view, Shift+drag draws a box to zoom into
+  handleViewMouseDown(e) {
+    if (e.button !== 0 || e.altKey) return;
+    const rect = this.canvas.getBoundingClientRect();
+    const x = e.clientX - rect.left;
+    const y = e.clientY - rect.top;
+    e.preventDefault();
+    this.viewDrag = { mode: e.shiftKey ? 'box' : 'pan', startX: x, startY: y, x: x, y: y, view: this.getView(), moved: false };
+
+    const move = (event) => {
+      const drag = this.viewDrag;
+      drag.x = event.clientX - rect.left;
+      drag.y = event.clientY - rect.top;
+      if (!drag.moved && Math.hypot(drag.x - drag.startX, drag.y - drag.startY) < SpectrumGraph.DRAG_THRESHOLD_PX) return;
+      drag.moved = true;
+      this.suppressClick = true;
+      if (drag.mode === 'pan') {
+        this.setView(this.panView(drag.view, drag.x - drag.startX, drag.y - drag.startY));
+      } else {
+        this.redraw();
+      }
+    };
+    const up = () => {
+      document.removeEventListener('mousemove', move);
+      document.removeEventListener('mouseup', up);
+      const drag = this.viewDrag;
+      this.viewDrag = null;
+      if (drag.mode === 'box' && drag.moved) {
+        const x1 = Math.min(drag.startX, drag.x);
+        const x2 = Math.max(drag.startX, drag.x);
+        const y1 = Math.min(drag.startY, drag.y);
+        const y2 = Math.max(drag.startY, drag.y);
+        const view = drag.view;
+        this.setView({
+          freqMin: this.xToFreq(x1, view.freqMin, view.freqMax),
+          freqMax: this.xToFreq(x2, view.freqMin, view.freqMax),
+          // A flat box (drawn along the frequency axis) keeps the dB range
+          dbMin: y2 - y1 < SpectrumGraph.DRAG_THRESHOLD_PX ? view.dbMin : this.yToDb(y2, view),
+          dbMax: y2 - y1 < SpectrumGraph.DRAG_THRESHOLD_PX ? view.dbMax : this.yToDb(y1, view)
+        });
+      }
+    };
+    document.addEventListener('mousemove', move);
+    document.addEventListener('mouseup', up);
+  }
+
+  // One finger pans; two fingers pinch - horizontal spread zooms frequency, vertical spread zooms dB
+  handleTouch(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    const touches = Array.from(e.touches).map(t => ({ x: t.clientX - rect.left, y: t.clientY - rect.top }));
+
+    if (e.type === 'touchstart' || (e.type !== 'touchmove' && touches.length > 0)) {
+      // (Re)start from the current fingers so lifting one finger of a pinch continues as a pan
+      this.pinch = touches.length > 0 ? { start: touches.slice(0, 2), view: this.getView() } : null;
+      if (e.type === 'touchstart') e.preventDefault();
+      return;
+    }
+    if (e.type !== 'touchmove') {
+      this.pinch = null;
+      return;
+    }
+    if (!this.pinch || touches.length !== this.pinch.start.length) return;
+    e.preventDefault();
+
+    const start = this.pinch.start;
+    const view = this.pinch.view;
+    if (touches.length === 1) {
+      this.setView(this.panView(view, touches[0].x - start[0].x, touches[0].y - start[0].y));
+      return;
+    }
+
+    let next = view;
+    const spreadX = Math.abs(start[1].x - start[0].x);
+    const spreadY = Math.abs(start[1].y - start[0].y);
+    if (spreadX >= SpectrumGraph.PINCH_MIN_SPREAD_PX) {
+      const centerX = (start[0].x + start[1].x) / 2;
+      const factor = spreadX / Math.max(1, Math.abs(touches[1].x - touches[0].x));
+      next = this.zoomFreq(next, this.xToFreq(centerX, view.freqMin, view.freqMax), factor);
+    }
+    if (spreadY >= SpectrumGraph.PINCH_MIN_SPREAD_PX) {
+      const centerY = (start[0].y + start[1].y) / 2;
+      const factor = spreadY / Math.max(1, Math.abs(touches[1].y - touches[0].y));
+      next = this.zoomDb(next, this.yToDb(centerY, view), factor);
+    }
+    this.setView(next);
+  }
+
+  /**
+   * Back to the full range - Freq Min's default up to Nyquist and the default dB range
+   * (moved by the level offset when levels are shown in dB SPL)
+   */
+  resetView() {
+    const offset = Math.round(this.getLevelOffset());
+    this.setView({
+      freqMin: parseFloat(this.freqMin.defaultValue) || this.getFreqLimits().min,
+      freqMax: this.getFreqLimits().max,
+      dbMin: parseFloat(this.dbMin.defaultValue) + offset,
+      dbMax: parseFloat(this.dbMax.defaultValue) + offset
+    });
+  }
+
+  // Rectangle of a Shift+drag box zoom in progress
+  drawZoomBox() {
+    const drag = this.viewDrag;
+    if (!drag || drag.mode !== 'box' || !drag.moved) return;
+    this.ctx.save();
+    this.ctx.strokeStyle = this.theme.foreground;
+    this.ctx.fillStyle = SpectrumGraph.ZOOM_BOX_FILL;
+    this.ctx.setLineDash([4, 4]);
+    const x = Math.min(drag.startX, drag.x);
+    const y = Math.min(drag.startY, drag.y);
+    const width = Math.abs(drag.x - drag.startX);
+    const height = Math.abs(drag.y - drag.startY);
+    this.ctx.fillRect(x, y, width, height);
+    this.ctx.strokeRect(x, y, width, height);
+    this.ctx.restore();
+  }
+
+  /**
+   * Frequency of the strongest bin within a few pixels of freq, refined by peak
+   * interpolation - returns freq unchanged when there is no spectrum
+   */
+  snapToPeak(freq) {
+    if (!this.dataArray || !this.audioCtx) return freq;
+    const freqMinVal = parseFloat(this.freqMin.value);
+    const freqMaxVal = parseFloat(this.freqMax.value);
+    const x = this.freqToX(freq, freqMinVal, freqMaxVal);
+    const low = Math.max(freqMinVal, this.xToFreq(x - SpectrumGraph.CURSOR_SNAP_PX, freqMinVal, freqMaxVal));
+    const high = Math.min(freqMaxVal, this.xToFreq(x + SpectrumGraph.CURSOR_SNAP_PX, freqMinVal, freqMaxVal));
+    const peak = this.findPeakBin(this.dataArray, low, high);
+    return peak ? peak.freq : freq;
+  }
+
+  // Interpolated maximum of a dB spectrum between two frequencies ({ freq, db }), or null
+  findPeakBin(data, lowFreq, highFreq) {
+    const binHz = this.audioCtx.sampleRate / 2 / data.length;
+    const first = Math.max(1, Math.floor(lowFreq / binHz));
+    const last = Math.min(data.length - 2, Math.ceil(highFreq / binHz));
+    let best = -1;
+    for (let i = first; i <= last; i++) {
+      if (isFinite(data[i]) && (best < 0 || data[i] > data[best])) best = i;
+    }
+    if (best < 0) return null;
+    const peak = SpectrumGraph.interpolatePeak(data, best, this.peakInterpolation);
+    return { freq: (best + peak.offset) * binHz, db: peak.db };
+  }
+
+  /**
+   * Frequency, level (raw dB) and note of each cursor on the live line
+   * A snapping cursor reads the peak within a couple of bins of its frequency
+   */
+  getCursorReadings() {
+    const data = this.dataArray;
+    const hasData = data && this.audioCtx;
+    return this.cursors.map((cursor, index) => {
+      let freq = cursor.freq;
+      let db = null;
+      if (hasData) {
+        const binHz = this.audioCtx.sampleRate / 2 / data.length;
+        const peak = this.cursorSnap && this.draggingCursor !== cursor
+          ? this.findPeakBin(data, freq - SpectrumGraph.CURSOR_TRACK_BINS * binHz, freq + SpectrumGraph.CURSOR_TRACK_BINS * binHz)
+          : null;
+        if (peak) {
+          freq = peak.freq;
+          db = peak.db;
+        } else {
+          db = SpectrumGraph.resampleTrace(data, this.audioCtx.sampleRate, [freq])[0];
+        }
+      }
+      const note = Tuning.analyze(freq);
+      return {
+        id: cursor.id,
+        label: String(index + 1),
+        color: SpectrumGraph.CURSOR_COLORS[index % SpectrumGraph.CURSOR_COLORS.length],
+        freq: freq,
+        db: db !== null && isFinite(db) ? db : null,
+        note: note ? note.name : null,
+        cents: note ? note.cents : null
+      };
+    });
+  }
+
+  // Differences between every pair of cursor readings (ΔHz, ΔdB and the interval in cents)
+  static cursorDeltas(readings) {
+    const deltas = [];
+    for (let i = 0; i < readings.length; i++) {
+      for (let j = i + 1; j < readings.length; j++) {
+        const a = readings[i];
+        const b = readings[j];
+        deltas.push({
+          label: `${b.label} − ${a.label}`,
+          hz: b.freq - a.freq,
+          db: a.db !== null && b.db !== null ? b.db - a.db : null,
+          cents: 1200 * Math.log2(b.freq / a.freq)
+        });
+      }
+    }
+    return deltas;
+  }
+
+  // Numbered vertical line per cursor with a dot at its level
+  drawCursors(freqMinVal, freqMaxVal, dbMinVal, dbMaxVal) {
+    if (this.cursors.length === 0) return;
+
+    this.ctx.save();
+    this.ctx.lineWidth = 1;
+    this.ctx.font = "bold " + this.fontSize + " sans-serif";
+    this.ctx.textAlign = "center";
+    this.getCursorReadings().forEach(reading => {
+      if (reading.freq < freqMinVal || reading.freq > freqMaxVal) return;
+      const x = this.freqToX(reading.freq, freqMinVal, freqMaxVal);
+      this.ctx.strokeStyle = reading.color;
+      this.ctx.fillStyle = reading.color;
+      this.ctx.beginPath();
+      this.ctx.moveTo(x, 10);
+      this.ctx.lineTo(x, this.height - 52);
+      this.ctx.stroke();
+      this.ctx.fillText(reading.label, x + 8, 24);
+      if (reading.db !== null && reading.db >= dbMinVal) {
+        const y = 10 + (1 - (Math.min(reading.db, dbMaxVal) - dbMinVal) / (dbMaxVal - dbMinVal)) * (this.height - 62);
+        this.ctx.beginPath();
+        this.ctx.arc(x, y, 4, 0, Math.PI * 2);
+        this.ctx.fill();
+      }
+    });
+    this.ctx.restore();
+  }
+
+  // Detected peak within a few pixels of x, if any
+  findPeakNearX(x, freqMinVal, freqMaxVal) {
+    let nearest = null;
+    let nearestDistance = 6;
+    this.latestPeaks.forEach(p => {
+      const distance = Math.abs(this.freqToX(p.freq, freqMinVal, freqMaxVal) - x);
+      if (distance <= nearestDistance) {
+        nearest = p;
+        nearestDistance = distance;
+      }
+    });
+    return nearest;
+  }
+
   drawAxes(freqMinVal, freqMaxVal, dbMinVal, dbMaxVal) {
-    this.ctx.strokeStyle = "#fff"; // Always white for axis lines
+    this.ctx.strokeStyle = this.theme.foreground;
     this.ctx.lineWidth = 1;
     this.ctx.beginPath();
     this.ctx.moveTo(32 + this.yAxisOffset, 10);
@@ -317,12 +1072,15 @@ class SpectrumGraph {
     }
 
     const alpha = brightness / 100;
-    this.ctx.strokeStyle = `rgba(255, 255, 255, ${alpha})`; // White with variable opacity
+    this.ctx.strokeStyle = `rgba(${this.theme.grid}, ${alpha})`; // Theme grid color with variable opacity
     this.ctx.lineWidth = 0.5;
 
     if (this.axisType === 'note') {
       // Draw note-based vertical grid lines
       this.drawNoteGridLines(freqMin, freqMax);
+    } else if (this.freqScale === 'log') {
+      // Draw decade-based vertical grid lines
+      this.drawLogGridLines(freqMin, freqMax);
     } else {
       // Draw frequency-based vertical grid lines
       const numFreqLines = 10;
@@ -351,31 +1109,56 @@ class SpectrumGraph {
   }
 
   drawNoteGridLines(freqMin, freqMax) {
-    const A4 = 440;
-    const freqRange = freqMax - freqMin;
+    const A4 = Tuning.A4;
 
-    // Find the lowest note in our range
-    const minSemitonesFromA4 = Math.floor(12 * Math.log2(Math.max(freqMin, 1) / A4));
-    const maxSemitonesFromA4 = Math.ceil(12 * Math.log2(Math.min(freqMax, 20000) / A4));
+    // Find the lowest note in our range (one extra either side - tempered notes sit off the 12-TET grid)
+    const minSemitonesFromA4 = Math.floor(12 * Math.log2(Math.max(freqMin, 1) / A4)) - 1;
+    const maxSemitonesFromA4 = Math.ceil(12 * Math.log2(Math.min(freqMax, 20000) / A4)) + 1;
 
     // Draw grid lines for major notes and their sharps/flats (every 1 semitone, but only within range)
     for (let semitones = minSemitonesFromA4; semitones <= maxSemitonesFromA4; semitones++) {
-      const noteFreq = A4 * Math.pow(2, semitones / 12);
+      const noteFreq = Tuning.midiToFrequency(69 + semitones);
 
       // Only draw lines for frequencies within our display range
       if (noteFreq >= freqMin && noteFreq <= freqMax && isFinite(noteFreq) && noteFreq > 0) {
-        const x = 32 + (noteFreq - freqMin) / freqRange * (this.width - 64);
+        const x = this.freqToX(noteFreq, freqMin, freqMax);
+        // On a log axis, emphasize octave (C) lines - C is 3 semitones above A
+        const isOctave = ((semitones % 12) + 12) % 12 === 3;
+        this.ctx.lineWidth = (this.freqScale === 'log' && isOctave) ? 1 : 0.5;
+        this.ctx.beginPath();
+        this.ctx.moveTo(x, 10);
+        this.ctx.lineTo(x, this.height - 52);
+        this.ctx.stroke();
+      }
+    }
+    this.ctx.lineWidth = 0.5;
+  }
+
+  drawLogGridLines(freqMin, freqMax) {
+    const startDecade = Math.floor(Math.log10(Math.max(freqMin, SpectrumGraph.LOG_FREQ_FLOOR)));
+    const endDecade = Math.ceil(Math.log10(Math.max(freqMax, SpectrumGraph.LOG_FREQ_FLOOR)));
+
+    // Draw a line at every 1-9 multiple of each decade, with the decade itself emphasized
+    for (let decade = startDecade; decade <= endDecade; decade++) {
+      const decadeFreq = Math.pow(10, decade);
+      for (let multiple = 1; multiple < 10; multiple++) {
+        const f = multiple * decadeFreq;
+        if (f < freqMin || f > freqMax) continue;
+
+        const x = this.freqToX(f, freqMin, freqMax);
+        this.ctx.lineWidth = multiple === 1 ? 1 : 0.5;
         this.ctx.beginPath();
         this.ctx.moveTo(x, 10);
         this.ctx.lineTo(x, this.height - 52);
         this.ctx.stroke();
       }
     }
+    this.ctx.lineWidth = 0.5;
   }
 
   drawLabels(freqMinVal, freqMaxVal, dbMinVal, dbMaxVal) {
     // Draw axis labels
-    this.ctx.fillStyle = "#fff";
+    this.ctx.fillStyle = this.theme.foreground;
     this.ctx.font = this.fontSize + " sans-serif";
     this.ctx.textAlign = "center";
 
@@ -386,16 +1169,19 @@ class SpectrumGraph {
     this.ctx.save();
     this.ctx.translate(12, this.height / 2);
     this.ctx.rotate(-Math.PI / 2);
-    this.ctx.fillText("Amplitude (dB)", 0, 0);
+    this.ctx.fillText(this.splOffset !== null ? "Level (dB SPL)" : "Amplitude (dB)", 0, 0);
     this.ctx.restore();
 
     // Draw grid line labels
-    this.ctx.fillStyle = "#fff";
+    this.ctx.fillStyle = this.theme.foreground;
     this.ctx.font = this.fontSize + " sans-serif";
 
     if (this.axisType === 'note') {
       // Draw note-based grid labels
       this.drawNoteGridLabels(freqMinVal, freqMaxVal);
+    } else if (this.freqScale === 'log') {
+      // Draw decade-based grid labels
+      this.drawLogGridLabels(freqMinVal, freqMaxVal);
     } else {
       // Draw frequency-based grid labels
       const numFreqLines = 10;
@@ -415,21 +1201,43 @@ class SpectrumGraph {
       const db = dbMaxVal - (dbRange * i / numDbLines);
       const y = 10 + (1 - (db - dbMinVal) / dbRange) * (this.height - 62);
       this.ctx.textAlign = "right";
-      this.ctx.fillText(db.toFixed(0), 28 + this.yAxisOffset, y + 2);
+      this.ctx.fillText((db + this.getLevelOffset()).toFixed(0), 28 + this.yAxisOffset, y + 2);
+    }
+  }
+
+  drawLogGridLabels(freqMinVal, freqMaxVal) {
+    const startDecade = Math.floor(Math.log10(Math.max(freqMinVal, SpectrumGraph.LOG_FREQ_FLOOR)));
+    const endDecade = Math.ceil(Math.log10(Math.max(freqMaxVal, SpectrumGraph.LOG_FREQ_FLOOR)));
+    const minLabelSpacing = parseInt(this.fontSize) * 2.5 || 30;
+    let lastX = -Infinity;
+
+    // Label the 1, 2 and 5 multiples of each decade, skipping any that would overlap
+    this.ctx.textAlign = "center";
+    for (let decade = startDecade; decade <= endDecade; decade++) {
+      const decadeFreq = Math.pow(10, decade);
+      for (const multiple of [1, 2, 5]) {
+        const f = multiple * decadeFreq;
+        if (f < freqMinVal || f > freqMaxVal) continue;
+
+        const x = this.freqToX(f, freqMinVal, freqMaxVal);
+        if (x - lastX < minLabelSpacing) continue;
+
+        this.ctx.fillText(f >= 1000 ? (f / 1000) + "k" : String(f), x, this.height - 35);
+        lastX = x;
+      }
     }
   }
 
   drawNoteGridLabels(freqMinVal, freqMaxVal) {
-    const A4 = 440;
-    const freqRange = freqMaxVal - freqMinVal;
+    const A4 = Tuning.A4;
 
     // Find the lowest and highest notes in our range
-    const minSemitonesFromA4 = Math.floor(12 * Math.log2(Math.max(freqMinVal, 1) / A4));
-    const maxSemitonesFromA4 = Math.ceil(12 * Math.log2(Math.min(freqMaxVal, 20000) / A4));
+    const minSemitonesFromA4 = Math.floor(12 * Math.log2(Math.max(freqMinVal, 1) / A4)) - 1;
+    const maxSemitonesFromA4 = Math.ceil(12 * Math.log2(Math.min(freqMaxVal, 20000) / A4)) + 1;
 
     // Draw labels for all notes, but only label major notes (no sharps/flats)
     for (let semitones = minSemitonesFromA4; semitones <= maxSemitonesFromA4; semitones++) {
-      const noteFreq = A4 * Math.pow(2, semitones / 12);
+      const noteFreq = Tuning.midiToFrequency(69 + semitones);
 
       // Additional validation to prevent N/A labels
       if (noteFreq >= freqMinVal &&
@@ -441,7 +1249,7 @@ class SpectrumGraph {
 
         // Only draw label if it's not N/A and doesn't contain a sharp/flat
         if (noteName !== 'N/A' && !noteName.includes('#')) {
-          const x = 32 + (noteFreq - freqMinVal) / freqRange * (this.width - 64);
+          const x = this.freqToX(noteFreq, freqMinVal, freqMaxVal);
           this.ctx.textAlign = "center";
           this.ctx.fillText(noteName, x, this.height - 35);
         }
@@ -449,14 +1257,22 @@ class SpectrumGraph {
     }
   }
 
+  // Peaks of the live line with the peak count / separation settings (the labels use the peak hold line)
+  getCurrentPeaks() {
+    if (!this.dataArray || !this.audioCtx) return [];
+    return this.getPeaksFromArray(this.dataArray, parseFloat(this.freqMin.value), parseFloat(this.freqMax.value),
+      parseInt(this.peakCount.value), parseFloat(this.peakDelta.value));
+  }
+
   getPeaksFromArray(arr, freqMinVal, freqMaxVal, peakCount, peakDelta) {
     const peaks = [];
     const nyquist = this.audioCtx.sampleRate / 2;
     for (let i = 1; i < arr.length - 1; i++) {
       if (arr[i] > arr[i - 1] && arr[i] > arr[i + 1]) {
-        const freq = i / arr.length * nyquist;
+        const peak = SpectrumGraph.interpolatePeak(arr, i, this.peakInterpolation);
+        const freq = (i + peak.offset) / arr.length * nyquist;
         if (freq < freqMinVal || freq > freqMaxVal) continue;
-        peaks.push({ freq: freq, db: arr[i] });
+        peaks.push({ freq: freq, db: peak.db });
       }
     }
     peaks.sort((a, b) => b.db - a.db);
@@ -470,14 +1286,148 @@ class SpectrumGraph {
     return selected;
   }
 
+  /**
+   * Refine a local maximum at bin i of a dB spectrum by fitting a parabola through
+   * it and its neighbours. 'parabolic' fits the linear magnitudes, 'gaussian' fits
+   * the dB values (a Gaussian in linear terms). Returns the offset from bin i in
+   * bins (-0.5..0.5) and the interpolated peak level in dB.
+   */
+  static interpolatePeak(arr, i, method = 'parabolic') {
+    const fallback = { offset: 0, db: arr[i] };
+    if (method === 'none' || i <= 0 || i >= arr.length - 1) return fallback;
+
+    let a = arr[i - 1];
+    let b = arr[i];
+    let c = arr[i + 1];
+    if (method === 'parabolic') {
+      a = Math.pow(10, a / 20);
+      b = Math.pow(10, b / 20);
+      c = Math.pow(10, c / 20);
+    }
+
+    const denominator = a - 2 * b + c;
+    if (!isFinite(denominator) || denominator >= 0) return fallback;
+
+    const offset = Math.max(-0.5, Math.min(0.5, 0.5 * (a - c) / denominator));
+    const peak = b - 0.25 * (a - c) * offset;
+    if (!isFinite(peak)) return fallback;
+
+    if (method === 'parabolic') {
+      return { offset: offset, db: peak > 0 ? 20 * Math.log10(peak) : arr[i] };
+    }
+    return { offset: offset, db: peak };
+  }
+
+  /**
+   * Snapshot of every trace currently shown - live line, peak hold, averages and
+   * references - on the current bin frequencies. References captured at another
+   * sample rate or FFT size are interpolated onto those bins (null outside their range).
+   * Returns null if there is no spectrum yet.
+   */
+  getSpectrumData() {
+    if (!this.audioCtx || !this.dataArray || this.dataArray.length === 0) return null;
+
+    const sampleRate = this.audioCtx.sampleRate;
+    const binCount = this.dataArray.length;
+    const frequencies = new Float64Array(binCount);
+    for (let i = 0; i < binCount; i++) {
+      frequencies[i] = i / binCount * sampleRate / 2;
+    }
+
+    const traces = [{ id: 'live', name: 'Live', data: Array.from(this.dataArray) }];
+    this.getVisibleChannelTraces().forEach(trace => {
+      if (trace.dataArray.length === binCount) {
+        traces.push({ id: 'channel_' + String(trace.id), name: trace.name, data: Array.from(trace.dataArray) });
+      }
+    });
+    if (this.togglePeakHold && this.togglePeakHold.checked && this.peakHoldArray.length === binCount) {
+      traces.push({ id: 'peak_hold', name: 'Peak Hold', data: Array.from(this.peakHoldArray) });
+    }
+    Object.keys(SpectrumAverager.MODES).forEach(mode => {
+      const trace = this.averager.getTrace(mode);
+      if (trace && trace.length === binCount) {
+        traces.push({ id: 'avg_' + mode, name: SpectrumAverager.MODES[mode] + ' Average', data: Array.from(trace) });
+      }
+    });
+    this.referenceTraces.forEach(trace => {
+      traces.push({
+        id: 'ref_' + trace.id,
+        name: trace.name,
+        visible: trace.visible,
+        data: SpectrumGraph.resampleTrace(trace.data, trace.sampleRate, frequencies)
+      });
+    });
+    if (this.responseTrace) {
+      const response = this.responseTrace;
+      traces.push({ id: 'response', name: response.name, data: SpectrumGraph.resampleTrace(response.raw, response.sampleRate, frequencies) });
+      if (response.smoothed) {
+        traces.push({ id: 'response_smoothed', name: response.name + ' (smoothed)', data: SpectrumGraph.resampleTrace(response.smoothed, response.sampleRate, frequencies) });
+      }
+    }
+
+    // RTA band levels of every trace
+    let bands = null;
+    if (this.displayStyle === 'rta') {
+      const rtaBands = this.getRtaBands(parseFloat(this.freqMin.value), parseFloat(this.freqMax.value));
+      const dataWindow = this.getDataWindow();
+      const enbw = WindowFunctions.enbw(dataWindow.type, dataWindow.beta);
+      bands = {
+        fraction: this.rtaFraction,
+        centers: rtaBands.map(b => b.center),
+        low: rtaBands.map(b => b.low),
+        high: rtaBands.map(b => b.high),
+        labels: rtaBands.map(b => b.label),
+        // The measured response is a transfer function, not a windowed spectrum - it has no band levels
+        traces: traces.filter(trace => !trace.id.startsWith('response')).map(trace => ({
+          id: trace.id,
+          name: trace.name,
+          data: Array.from(OctaveBands.aggregate(trace.data, sampleRate, rtaBands, enbw))
+        }))
+      };
+      if (this.togglePeakHold && this.togglePeakHold.checked) {
+        bands.traces.push({ id: 'peak_caps', name: 'Peak Caps', data: Array.from(this.rtaPeaks) });
+      }
+    }
+
+    return {
+      sampleRate: sampleRate,
+      binCount: binCount,
+      frequencies: Array.from(frequencies),
+      traces: traces,
+      bands: bands,
+      peaks: this.latestPeaks.map(p => {
+        const note = Tuning.analyze(p.freq);
+        return { freq: p.freq, db: p.db, note: note ? note.name : null, cents: note ? Number(note.cents.toFixed(2)) : null };
+      })
+    };
+  }
+
+  // Linearly interpolate a dB trace (bins up to sampleRate / 2) onto the given frequencies
+  static resampleTrace(data, sampleRate, frequencies) {
+    const nyquist = sampleRate / 2;
+    return Array.from(frequencies, freq => {
+      const position = freq / nyquist * data.length;
+      if (position > data.length - 1) return null;
+      const index = Math.floor(position);
+      const fraction = position - index;
+      if (fraction === 0 || index + 1 >= data.length) return data[index];
+      return data[index] + (data[index + 1] - data[index]) * fraction;
+    });
+  }
+
+  // Add a per-bin correction (dB) to a dB spectrum in place
+  static applyCorrection(data, correction) {
+    const length = Math.min(data.length, correction.length);
+    for (let i = 0; i < length; i++) data[i] += correction[i];
+  }
+
   drawStatic() {
-    this.ctx.fillStyle = "#111";
+    this.ctx.fillStyle = this.theme.background;
     this.ctx.fillRect(0, 0, this.width, this.height);
 
     const freqMinVal = parseFloat(this.freqMin.value);
     const freqMaxVal = parseFloat(this.freqMax.value);
-    const dbMinVal = parseFloat(this.dbMin.value);
-    const dbMaxVal = parseFloat(this.dbMax.value);
+    const { dbMinVal, dbMaxVal } = this.getDbRange();
 
     this.ctx.save();
     this.ctx.beginPath();
@@ -486,12 +1436,168 @@ class SpectrumGraph {
 
     this.drawAxes(freqMinVal, freqMaxVal, dbMinVal, dbMaxVal);
     this.drawGrid(freqMinVal, freqMaxVal, dbMinVal, dbMaxVal);
+    this.drawReferenceTraces(freqMinVal, freqMaxVal, dbMinVal, dbMaxVal);
+    this.drawResponseTrace(freqMinVal, freqMaxVal, dbMinVal, dbMaxVal);
+    this.drawCursors(freqMinVal, freqMaxVal, dbMinVal, dbMaxVal);
+    this.drawZoomBox();
 
     this.ctx.restore();
 
     this.drawLabels(freqMinVal, freqMaxVal, dbMinVal, dbMaxVal);
   }
 
+  // Draw one spectrum array (bins laid out up to nyquist) as a line
+  drawTrace(data, nyquist, color, lineWidth, freqMinVal, freqMaxVal, dbMinVal, dbMaxVal) {
+    if (!data || data.length === 0) return;
+
+    this.ctx.beginPath();
+    for (let i = 0; i < data.length; i++) {
+      const freq = i / data.length * nyquist;
+      if (freq < freqMinVal || freq > freqMaxVal) continue;
+      const x = this.freqToX(freq, freqMinVal, freqMaxVal);
+      const val = Math.max(data[i], dbMinVal);
+      const y = 10 + (1 - (val - dbMinVal) / (dbMaxVal - dbMinVal)) * (this.height - 62);
+      if (i === 0) this.ctx.moveTo(x, y);
+      else this.ctx.lineTo(x, y);
+    }
+    this.ctx.strokeStyle = color;
+    this.ctx.lineWidth = lineWidth;
+    this.ctx.stroke();
+  }
+
+  drawReferenceTraces(freqMinVal, freqMaxVal, dbMinVal, dbMaxVal) {
+    this.referenceTraces.forEach(trace => {
+      if (!trace.visible) return;
+      this.drawTrace(trace.data, trace.sampleRate / 2, trace.color, 1, freqMinVal, freqMaxVal, dbMinVal, dbMaxVal);
+    });
+  }
+
+  // One bar per band in the live color, peak caps in the peak color
+  drawRtaBars(freqMinVal, freqMaxVal, dbMinVal, dbMaxVal) {
+    const bands = this.getRtaBands(freqMinVal, freqMaxVal);
+    const levels = this.getRtaLevels(this.dataArray, freqMinVal, freqMaxVal);
+    const bottom = this.height - 52;
+    const toY = db => 10 + (1 - (Math.max(db, dbMinVal) - dbMinVal) / (dbMaxVal - dbMinVal)) * (this.height - 62);
+    const showCaps = this.togglePeakHold && this.togglePeakHold.checked;
+
+    bands.forEach((band, i) => {
+      const x1 = this.freqToX(band.low, freqMinVal, freqMaxVal);
+      const x2 = this.freqToX(band.high, freqMinVal, freqMaxVal);
+      const gap = x2 - x1 > 4 ? 1 : 0;
+      const barWidth = Math.max(1, x2 - x1 - gap * 2);
+      if (levels[i] > dbMinVal) {
+        const y = toY(levels[i]);
+        this.ctx.fillStyle = this.liveLineColor;
+        this.ctx.fillRect(x1 + gap, y, barWidth, bottom - y);
+      }
+      if (showCaps && this.rtaPeaks[i] > dbMinVal) {
+        this.ctx.fillStyle = this.peakLineColor;
+        this.ctx.fillRect(x1 + gap, toY(this.rtaPeaks[i]) - 1, barWidth, 2);
+      }
+    });
+  }
+
+  // Raw response as a faint line with the smoothed response over it
+  drawResponseTrace(freqMinVal, freqMaxVal, dbMinVal, dbMaxVal) {
+    const trace = this.responseTrace;
+    if (!trace) return;
+    const nyquist = trace.sampleRate / 2;
+    if (trace.smoothed) {
+      this.drawTrace(trace.raw, nyquist, SpectrumGraph.RESPONSE_COLORS.raw, 1, freqMinVal, freqMaxVal, dbMinVal, dbMaxVal);
+      this.drawTrace(trace.smoothed, nyquist, SpectrumGraph.RESPONSE_COLORS.smoothed, 2, freqMinVal, freqMaxVal, dbMinVal, dbMaxVal);
+    } else {
+      this.drawTrace(trace.raw, nyquist, SpectrumGraph.RESPONSE_COLORS.smoothed, 1.5, freqMinVal, freqMaxVal, dbMinVal, dbMaxVal);
+    }
+  }
+
+  drawChannelTraces(traces, nyquist, freqMinVal, freqMaxVal, dbMinVal, dbMaxVal) {
+    traces.forEach(trace => {
+      this.drawTrace(trace.dataArray, nyquist, SpectrumGraph.channelColor(trace.id), 1, freqMinVal, freqMaxVal, dbMinVal, dbMaxVal);
+    });
+  }
+
+  // Color of a channel trace by id (channel index, 'mid' or 'side')
+  static channelColor(id) {
+    if (id === 'mid') return SpectrumGraph.CHANNEL_COLORS.mid;
+    if (id === 'side') return SpectrumGraph.CHANNEL_COLORS.side;
+    const colors = SpectrumGraph.CHANNEL_COLORS.channels;
+    return colors[id % colors.length];
+  }
+
+  drawAverageTraces(nyquist, freqMinVal, freqMaxVal, dbMinVal, dbMaxVal) {
+    Object.keys(SpectrumAverager.MODES).forEach(mode => {
+      const trace = this.averager.getTrace(mode);
+      if (!trace) return;
+      this.drawTrace(trace, nyquist, this.averageColors[mode], 1.5, freqMinVal, freqMaxVal, dbMinVal, dbMaxVal);
+    });
+  }
+
+  // Dashed lines at the fundamental (F) and each measured harmonic (H2, H3...)
+  drawHarmonicMarkers(freqMinVal, freqMaxVal, dbMinVal, dbMaxVal) {
+    if (!this.harmonicMarkers) return;
+
+    const markers = [{ label: 'F', freq: this.harmonicMarkers.fundamental.freq, db: this.harmonicMarkers.fundamental.db }]
+      .concat(this.harmonicMarkers.harmonics.map(h => ({ label: 'H' + h.order, freq: h.freq, db: h.db })));
+
+    this.ctx.save();
+    this.ctx.strokeStyle = SpectrumGraph.HARMONIC_COLOR;
+    this.ctx.fillStyle = SpectrumGraph.HARMONIC_COLOR;
+    this.ctx.lineWidth = 1;
+    this.ctx.setLineDash([4, 4]);
+    this.ctx.font = this.fontSize + " sans-serif";
+    this.ctx.textAlign = "center";
+    markers.forEach(marker => {
+      if (marker.freq < freqMinVal || marker.freq > freqMaxVal) return;
+      const x = this.freqToX(marker.freq, freqMinVal, freqMaxVal);
+      const val = isFinite(marker.db) ? Math.max(marker.db, dbMinVal) : dbMinVal;
+      const y = 10 + (1 - (val - dbMinVal) / (dbMaxVal - dbMinVal)) * (this.height - 62);
+      this.ctx.beginPath();
+      this.ctx.moveTo(x, this.height - 52);
+      this.ctx.lineTo(x, y);
+      this.ctx.stroke();
+      this.ctx.fillText(marker.label, x, Math.max(24, y - 20));
+    });
+    this.ctx.restore();
+  }
+
+  /**
+   * Capture the current spectrum line ('line') or peak hold line ('peak')
+   * as a named reference trace. Returns the trace, or null if there is no data yet.
+   */
+  captureReferenceTrace(source, name, color) {
+    const data = source === 'peak' ? this.peakHoldArray : this.dataArray;
+    if (!data || data.length === 0 || !this.audioCtx) return null;
+    return this.addReferenceTrace(name, data, this.audioCtx.sampleRate, color);
+  }
+
+  // Add a reference trace from any dB spectrum array (bins laid out up to sampleRate / 2)
+  addReferenceTrace(name, data, sampleRate, color) {
+    const id = this.nextReferenceId++;
+    const trace = {
+      id: id,
+      name: name,
+      color: color || SpectrumGraph.REFERENCE_COLORS[(id - 1) % SpectrumGraph.REFERENCE_COLORS.length],
+      visible: true,
+      data: new Float32Array(data),
+      sampleRate: sampleRate
+    };
+    this.referenceTraces.push(trace);
+    return trace;
+  }
+
+  // Update name, color or visibility of a reference trace
+  updateReferenceTrace(id, changes) {
+    const trace = this.referenceTraces.find(t => t.id === id);
+    if (!trace) return;
+    ['name', 'color', 'visible'].forEach(key => {
+      if (changes[key] !== undefined) trace[key] = changes[key];
+    });
+  }
+
+  removeReferenceTrace(id) {
+    this.referenceTraces = this.referenceTraces.filter(t => t.id !== id);
+  }
+
   drawSpectrum(isLiveMode = true) {
     // Check if we should continue drawing based on mode
     if (isLiveMode !== this.isLiveMode) return;
@@ -502,7 +1608,20 @@ class SpectrumGraph {
     // Only update audio data if not frozen and not just unfroze
     if (!this.isFrozen && !this.justUnfroze) {
       this.analyser.getFloatFrequencyData(this.dataArray);
+      this.dataWindow = null;
+      this.getVisibleChannelTraces().forEach(trace => {
+        if (trace.analyser) trace.analyser.getFloatFrequencyData(trace.dataArray);
+      });
+      const correction = this.getCorrection();
+      if (correction) {
+        SpectrumGraph.applyCorrection(this.dataArray, correction);
+        this.getVisibleChannelTraces().forEach(trace => SpectrumGraph.applyCorrection(trace.dataArray, correction));
+      }
       this.hasValidFrame = true; // Mark that we have real analyser data now
+      const now = performance.now();
+      this.averager.update(this.dataArray, now);
+      this.updatePeakHold(now);
+      this.updateRtaPeaks(now);
     }
     // If frozen or just unfroze, keep using the existing dataArray (frozen spectrum)
     if (this.justUnfroze) {
@@ -512,14 +1631,58 @@ class SpectrumGraph {
     // Update audio level bars
     this.updateAudioLevelBars();
 
+    this.renderFrame();
+  }
+
+  // Fold the current frame into the peak hold line (only bins inside the displayed range)
+  // In decay mode a peak older than the hold time falls at peakFallRate until the signal catches it
+  updatePeakHold(now = performance.now()) {
+    if (!this.togglePeakHold.checked || !this.hasValidFrame) return;
+
     const freqMinVal = parseFloat(this.freqMin.value);
     const freqMaxVal = parseFloat(this.freqMax.value);
-    const dbMinVal = parseFloat(this.dbMin.value);
-    const dbMaxVal = parseFloat(this.dbMax.value);
+    const { dbMinVal } = this.getDbRange();
+    const nyquist = this.audioCtx.sampleRate / 2;
+
+    // Cap the step so a throttled background tab doesn't drop peaks in one go
+    const dt = this.lastPeakUpdate === null ? 0 : Math.min((now - this.lastPeakUpdate) / 1000, 0.5);
+    this.lastPeakUpdate = now;
+    const decaying = this.peakHoldMode === 'decay';
+    const holdMs = this.peakHoldTime * 1000;
+    const fall = this.peakFallRate * dt;
+
+    for (let i = 0; i < this.bufferLength; i++) {
+      const freq = i / this.bufferLength * nyquist;
+      if (freq < freqMinVal || freq > freqMaxVal) continue;
+      const val = Math.max(this.dataArray[i], dbMinVal);
+      if (val >= this.peakHoldArray[i]) {
+        this.peakHoldArray[i] = val;
+        this.peakHoldTimes[i] = now;
+      } else if (decaying && now - this.peakHoldTimes[i] > holdMs) {
+        this.peakHoldArray[i] = Math.max(val, this.peakHoldArray[i] - fall);
+      }
+    }
+  }
+
+  // Redraw the current state without pulling new analyser data
+  // (e.g. after a display setting changes while paused or scrubbing)
+  redraw() {
+    if (this.audioCtx && this.dataArray) {
+      this.renderFrame();
+    } else {
+      this.drawStatic();
+    }
+  }
+
+  // Draw one frame from the current dataArray and peakHoldArray
+  renderFrame() {
+    const freqMinVal = parseFloat(this.freqMin.value);
+    const freqMaxVal = parseFloat(this.freqMax.value);
+    const { dbMinVal, dbMaxVal } = this.getDbRange();
     const peakCountVal = parseInt(this.peakCount.value);
     const peakDeltaVal = parseFloat(this.peakDelta.value);
 
-    this.ctx.fillStyle = "#111";
+    this.ctx.fillStyle = this.theme.background;
     this.ctx.fillRect(0, 0, this.width, this.height);
 
     // Clip to graph area to prevent lines from overflowing
@@ -531,47 +1694,41 @@ class SpectrumGraph {
     this.drawAxes(freqMinVal, freqMaxVal, dbMinVal, dbMaxVal);
     this.drawGrid(freqMinVal, freqMaxVal, dbMinVal, dbMaxVal);
 
+    // Reference traces sit underneath the live lines
+    this.drawReferenceTraces(freqMinVal, freqMaxVal, dbMinVal, dbMaxVal);
+    this.drawResponseTrace(freqMinVal, freqMaxVal, dbMinVal, dbMaxVal);
+
     const nyquist = this.audioCtx.sampleRate / 2;
 
-    // spectrum line (color depends on mode)
-    this.ctx.beginPath();
-    for (let i = 0; i < this.bufferLength; i++) {
-      const freq = i / this.bufferLength * nyquist;
-      if (freq < freqMinVal || freq > freqMaxVal) continue;
-      const x = 32 + (freq - freqMinVal) / (freqMaxVal - freqMinVal) * (this.width - 64);
-      const val = Math.max(this.dataArray[i], dbMinVal);
-      const y = 10 + (1 - (val - dbMinVal) / (dbMaxVal - dbMinVal)) * (this.height - 62);
-      if (i === 0) this.ctx.moveTo(x, y);
-      else this.ctx.lineTo(x, y);
-      if (this.togglePeakHold.checked && this.hasValidFrame && val > this.peakHoldArray[i]) this.peakHoldArray[i] = val;
+    const isRta = this.displayStyle === 'rta';
+    if (isRta) {
+      this.drawRtaBars(freqMinVal, freqMaxVal, dbMinVal, dbMaxVal);
+    } else {
+      // spectrum line (color depends on mode) - per-channel lines take its place when shown
+      const channelTraces = this.getVisibleChannelTraces();
+      if (channelTraces.length > 0) {
+        this.drawChannelTraces(channelTraces, nyquist, freqMinVal, freqMaxVal, dbMinVal, dbMaxVal);
+      } else {
+        this.drawTrace(this.dataArray, nyquist, this.liveLineColor, 1, freqMinVal, freqMaxVal, dbMinVal, dbMaxVal);
+      }
     }
-    this.ctx.strokeStyle = this.liveLineColor;
-    this.ctx.lineWidth = 1;
-    this.ctx.stroke();
 
-    // peak hold line
-    this.ctx.beginPath();
-    for (let i = 0; i < this.bufferLength; i++) {
-      const freq = i / this.bufferLength * nyquist;
-      if (freq < freqMinVal || freq > freqMaxVal) continue;
-      const x = 32 + (freq - freqMinVal) / (freqMaxVal - freqMinVal) * (this.width - 64);
-      const val = Math.max(this.peakHoldArray[i], dbMinVal);
-      const y = 10 + (1 - (val - dbMinVal) / (dbMaxVal - dbMinVal)) * (this.height - 62);
-      if (i === 0) this.ctx.moveTo(x, y);
-      else this.ctx.lineTo(x, y);
+    // averaged lines
+    this.drawAverageTraces(nyquist, freqMinVal, freqMaxVal, dbMinVal, dbMaxVal);
+
+    // peak hold line (the RTA shows peak caps instead)
+    if (!isRta) {
+      this.drawTrace(this.peakHoldArray, nyquist, this.peakLineColor, 1, freqMinVal, freqMaxVal, dbMinVal, dbMaxVal);
     }
-    this.ctx.strokeStyle = this.peakLineColor;
-    this.ctx.lineWidth = 1;
-    this.ctx.stroke();
 
     // detect peaks on peakHoldArray only
     this.latestPeaks = this.getPeaksFromArray(this.peakHoldArray, freqMinVal, freqMaxVal, peakCountVal, peakDeltaVal);
 
-    this.ctx.fillStyle = "#fff";
+    this.ctx.fillStyle = this.theme.foreground;
     this.ctx.font = this.fontSize + " sans-serif";
     this.ctx.textAlign = "center";
-    this.latestPeaks.forEach(p => {
-      const x = 32 + (p.freq - freqMinVal) / (freqMaxVal - freqMinVal) * (this.width - 64);
+    (isRta ? [] : this.latestPeaks).forEach(p => {
+      const x = this.freqToX(p.freq, freqMinVal, freqMaxVal);
       const y = 10 + (1 - (p.db - dbMinVal) / (dbMaxVal - dbMinVal)) * (this.height - 62);
 
       // Display label based on peakLabelType setting
@@ -585,58 +1742,163 @@ class SpectrumGraph {
       this.ctx.fillText(label, x, y - 5);
     });
 
+    this.drawHarmonicMarkers(freqMinVal, freqMaxVal, dbMinVal, dbMaxVal);
+    this.drawCursors(freqMinVal, freqMaxVal, dbMinVal, dbMaxVal);
+    this.drawZoomBox();
+
     this.ctx.restore(); // Restore from clip
 
     this.drawLabels(freqMinVal, freqMaxVal, dbMinVal, dbMaxVal);
   }
 
-  updateAudioLevelBars() {
-    // Calculate RMS dB for audio level indicator
-    let sum = 0;
-    this.dataArray.forEach(val => {
-      if (val > -200) {
-        let amplitude = Math.pow(10, val / 20);
-        sum += amplitude * amplitude;
+  /**
+   * Re-render the graph into another canvas-like context (a scaled offscreen
+   * canvas or an SvgContext) at the given size, for image export.
+   * Options: theme ('dark' or 'print'), title (string) and legend (boolean).
+   */
+  renderExport(ctx, width, height, options = {}) {
+    const saved = {
+      ctx: this.ctx,
+      width: this.width,
+      height: this.height,
+      theme: this.theme,
+      liveLineColor: this.liveLineColor,
+      peakLineColor: this.peakLineColor,
+      latestPeaks: this.latestPeaks
+    };
+    const theme = SpectrumGraph.THEMES[options.theme] || SpectrumGraph.THEMES.dark;
+    const titleHeight = options.title ? 30 : 0;
+
+    try {
+      this.ctx = ctx;
+      this.width = width;
+      this.height = height - titleHeight;
+      this.theme = theme;
+      if (theme.liveLineColor) this.liveLineColor = theme.liveLineColor;
+      if (theme.peakLineColor) this.peakLineColor = theme.peakLineColor;
+
+      ctx.fillStyle = theme.background;
+      ctx.fillRect(0, 0, width, height);
+
+      ctx.save();
+      ctx.translate(0, titleHeight);
+      if (this.audioCtx && this.dataArray) {
+        this.renderFrame();
+      } else {
+        this.drawStatic();
       }
-    });
-    const rmsAmplitude = Math.sqrt(sum / this.dataArray.length);
-    const dbLevel = rmsAmplitude > 0 ? 20 * Math.log10(rmsAmplitude) : -Infinity;
-
-    // Update audio level bars - single active bar per level range
-    const bars = document.querySelectorAll('#audioLevel .level-bar');
-    let activeIndex = 8;
-    if (dbLevel > 0 || dbLevel === 0) activeIndex = 8;
-    else if (dbLevel > -20) activeIndex = 7;
-    else if (dbLevel > -40) activeIndex = 6;
-    else if (dbLevel > -60) activeIndex = 5;
-    else if (dbLevel > -80) activeIndex = 4;
-    else if (dbLevel > -100) activeIndex = 3;
-    else if (dbLevel > -120) activeIndex = 2;
-    else if (dbLevel > -140) activeIndex = 1;
-    else activeIndex = 0;
+      if (options.legend) {
+        this.drawLegend();
+      }
+      ctx.restore();
 
-    bars.forEach((bar, index) => {
-      if (index <= activeIndex) {
-        let baseClass = 'low-on';
-        if (index <= 5) {
-          baseClass = 'low-on'; // Green for -Inf to -100 dB
-        } else if (index <= 7) {
-          baseClass = 'mid-on'; // Yellow for -80 to -20 dB
-        } else {
-          baseClass = 'high-on'; // Red for 0 dB
-        }
-        bar.className = `level-bar ${baseClass}`;
+      if (options.title) {
+        ctx.fillStyle = theme.foreground;
+        ctx.font = "bold 16px sans-serif";
+        ctx.textAlign = "center";
+        ctx.fillText(options.title, width / 2, 21);
+      }
+    } finally {
+      Object.assign(this, saved);
+    }
+  }
+
+  // Name and color of every trace currently drawn
+  getLegendEntries() {
+    const entries = [];
+    if (this.audioCtx && this.dataArray) {
+      const channelTraces = this.getVisibleChannelTraces();
+      if (channelTraces.length > 0) {
+        channelTraces.forEach(t => entries.push({ name: t.name, color: SpectrumGraph.channelColor(t.id) }));
       } else {
-        let baseClass = 'low-off';
-        if (index <= 5) {
-          baseClass = 'low-off'; // Green for -Inf to -100 dB
-        } else if (index <= 7) {
-          baseClass = 'mid-off'; // Yellow for -80 to -20 dB
-        } else {
-          baseClass = 'high-off'; // Red for 0 dB
-        }
-        bar.className = `level-bar ${baseClass}`;
+        entries.push({ name: 'Live', color: this.liveLineColor });
+      }
+      if (this.togglePeakHold && this.togglePeakHold.checked) {
+        entries.push({ name: 'Peak Hold', color: this.peakLineColor });
       }
+      Object.keys(SpectrumAverager.MODES).forEach(mode => {
+        if (this.averager.getTrace(mode)) {
+          entries.push({ name: SpectrumAverager.MODES[mode] + ' Average', color: this.averageColors[mode] });
+        }
+      });
+    }
+    this.referenceTraces.forEach(trace => {
+      if (trace.visible) entries.push({ name: trace.name, color: trace.color });
+    });
+    if (this.responseTrace) {
+      entries.push({ name: this.responseTrace.name, color: SpectrumGraph.RESPONSE_COLORS.smoothed });
+    }
+    if (this.harmonicMarkers) {
+      entries.push({ name: 'Harmonics', color: SpectrumGraph.HARMONIC_COLOR });
+    }
+    return entries;
+  }
+
+  // Legend box in the top right corner of the plot area
+  drawLegend() {
+    const entries = this.getLegendEntries();
+    if (entries.length === 0) return;
+
+    const lineHeight = 16;
+    const swatchWidth = 18;
+    this.ctx.font = "12px sans-serif";
+    const textWidth = Math.max(...entries.map(e => this.ctx.measureText(e.name).width));
+    const boxWidth = swatchWidth + textWidth + 20;
+    const boxHeight = entries.length * lineHeight + 8;
+    const left = this.width - 32 - boxWidth - 8;
+    const top = 18;
+
+    this.ctx.fillStyle = this.theme.legendBackground;
+    this.ctx.fillRect(left, top, boxWidth, boxHeight);
+    this.ctx.strokeStyle = `rgba(${this.theme.grid}, 0.5)`;
+    this.ctx.lineWidth = 1;
+    this.ctx.beginPath();
+    this.ctx.rect(left, top, boxWidth, boxHeight);
+    this.ctx.stroke();
+
+    this.ctx.textAlign = "left";
+    entries.forEach((entry, i) => {
+      const y = top + 4 + i * lineHeight + lineHeight / 2;
+      this.ctx.strokeStyle = entry.color;
+      this.ctx.lineWidth = 2;
+      this.ctx.beginPath();
+      this.ctx.moveTo(left + 6, y);
+      this.ctx.lineTo(left + 6 + swatchWidth, y);
+      this.ctx.stroke();
+
+      this.ctx.fillStyle = this.theme.foreground;
+      this.ctx.fillText(entry.name, left + swatchWidth + 12, y + 4);
+    });
+  }
+
+  /**
+   * Level bars from the level meter (the SoundLevelMeter - weighted, time-weighted and
+   * in dB SPL once calibrated). One bar per step of LEVEL_BAR_STEPS for the reading's unit.
+   */
+  updateAudioLevelBars() {
+    const meter = this.levelMeter;
+    if (!meter) return;
+    // Follow this graph's analyser (it changes between live and playback)
+    if (meter.source !== this) meter.start(this);
+    meter.attach();
+    const readings = meter.getReadings();
+    const steps = SpectrumGraph.LEVEL_BAR_STEPS[readings.unit];
+
+    const container = document.getElementById('audioLevel');
+    const bars = container.querySelectorAll('.level-bar');
+    const format = db => (isFinite(db) ? db.toFixed(1) : '-Inf');
+    container.title = `L${readings.weighting}${SoundLevelMeter.TIME_WEIGHTINGS[readings.timeWeighting].letter} ${format(readings.level)} ${readings.unit}`;
+
+    // Bar 0 is always lit; bar i (1-8) lights from steps[i - 1]
+    let activeIndex = 0;
+    steps.forEach((step, i) => {
+      if (readings.level >= step) activeIndex = i + 1;
+    });
+
+    bars.forEach((bar, index) => {
+      const zone = index <= 5 ? 'low' : index <= 7 ? 'mid' : 'high'; // Green, yellow, red
+      bar.className = `level-bar ${zone}-${index <= activeIndex ? 'on' : 'off'}`;
+      bar.dataset.level = index === 0 ? '-Inf' : String(steps[index - 1]);
     });
   }
 
@@ -650,6 +1912,87 @@ class SpectrumGraph {
   }
 }
 
+// Display names for the sub-bin peak estimators
+SpectrumGraph.PEAK_INTERPOLATIONS = {
+  'none': 'None (bin center)',
+  'parabolic': 'Parabolic',
+  'gaussian': 'Gaussian'
+};
+
+// Color themes - 'print' is a light theme for reports (live/peak colors swapped for ones readable on white)
+SpectrumGraph.THEMES = {
+  dark: {
+    background: '#111',
+    foreground: '#fff',
+    grid: '255, 255, 255',
+    legendBackground: 'rgba(17, 17, 17, 0.85)'
+  },
+  print: {
+    background: '#fff',
+    foreground: '#000',
+    grid: '0, 0, 0',
+    legendBackground: 'rgba(255, 255, 255, 0.9)',
+    liveLineColor: '#0066cc',
+    peakLineColor: '#cc0000'
+  }
+};
+
+// Color of the distortion analysis harmonic markers
+SpectrumGraph.HARMONIC_COLOR = '#ff9900';
+
+// Measurement cursors
+SpectrumGraph.CURSOR_COLORS = ['#ffeb3b', '#4dd0e1', '#f06292', '#aed581'];
+SpectrumGraph.MAX_CURSORS = 4;
+SpectrumGraph.CURSOR_HIT_PX = 6; // Grab distance in pixels
+SpectrumGraph.CURSOR_SNAP_PX = 12; // Search distance in pixels when a cursor is dropped
+SpectrumGraph.CURSOR_TRACK_BINS = 2; // A snapping cursor follows a peak this many bins away
+
+// Zoom and pan
+SpectrumGraph.WHEEL_ZOOM_RATE = 0.002; // Zoom factor exp(rate) per wheel pixel
+SpectrumGraph.WHEEL_LINE_PX = 16; // Pixels per wheel line (deltaMode 1)
+SpectrumGraph.DRAG_THRESHOLD_PX = 4; // Movement before a press becomes a drag
+SpectrumGraph.PINCH_MIN_SPREAD_PX = 30; // Finger spread along an axis needed to zoom it
+SpectrumGraph.MIN_ZOOM_FREQ_SPAN = 1; // Hz
+SpectrumGraph.MIN_ZOOM_DB_SPAN = 3; // dB
+SpectrumGraph.ZOOM_BOX_FILL = 'rgba(128, 128, 128, 0.2)';
+// dB from an AnalyserNode bin to the level of a sine in it (Blackman coherent gain 0.42, one-sided 1/2)
+SpectrumGraph.ANALYSER_SINE_OFFSET = -20 * Math.log10(0.42 / 2);
+SpectrumGraph.RESPONSE_COLORS = { raw: 'rgba(0, 229, 255, 0.35)', smoothed: '#00e5ff' };
+
+// Display names for the channel views
+SpectrumGraph.CHANNEL_VIEWS = {
+  'mix': 'Mix',
+  'channels': 'Each channel',
+  'midside': 'L / R / Mid / Side'
+};
+
+// Colors of the per-channel traces
+SpectrumGraph.CHANNEL_COLORS = {
+  channels: ['#00ffff', '#ff6060', '#80ff80', '#ffa040', '#c080ff', '#ffff80', '#60a0ff', '#ff80c0'],
+  mid: '#ffffff',
+  side: '#b0b0b0'
+};
+
+// Default colors of the averaged traces
+SpectrumGraph.AVERAGE_COLORS = {
+  'exponential': '#00ff88',
+  'linear': '#4488ff',
+  'rms': '#ff66cc',
+  'min': '#aaaaaa'
+};
+
+// Default colors handed out to new reference traces
+SpectrumGraph.REFERENCE_COLORS = ['#ff8800', '#ff00ff', '#00ff00', '#ff4466', '#8888ff', '#ffffff'];
+
+// Thresholds of level bars 1-8 per meter unit (bar 0 is always lit)
+SpectrumGraph.LEVEL_BAR_STEPS = {
+  'dBFS': [-60, -50, -40, -30, -20, -10, -6, -1],
+  'dB SPL': [30, 40, 50, 60, 70, 80, 90, 100]
+};
+
+// Lowest frequency shown on a log axis (log10 of 0 Hz is undefined)
+SpectrumGraph.LOG_FREQ_FLOOR = 1;
+
 // Export for use in other files
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = SpectrumGraph;
@@ -0,0 +1,219 @@
+/**
+ * SvgContext - Records the subset of the CanvasRenderingContext2D API used by
+ * SpectrumGraph and serializes it as an SVG document, so the graph can be
+ * exported as vector art by running its normal drawing code
+ * DOM-free; call toString() for the SVG markup
+ */
+class SvgContext {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.elements = [];
+    this.clipPaths = [];
+    this.path = [];
+
+    this.state = {
+      fillStyle: '#000',
+      strokeStyle: '#000',
+      lineWidth: 1,
+      font: '10px sans-serif',
+      textAlign: 'start',
+      lineDash: [],
+      matrix: [1, 0, 0, 1, 0, 0],
+      clipId: null
+    };
+    this.stack = [];
+  }
+
+  // Canvas-style state properties
+  get fillStyle() { return this.state.fillStyle; }
+  set fillStyle(value) { this.state.fillStyle = value; }
+  get strokeStyle() { return this.state.strokeStyle; }
+  set strokeStyle(value) { this.state.strokeStyle = value; }
+  get lineWidth() { return this.state.lineWidth; }
+  set lineWidth(value) { this.state.lineWidth = value; }
+  get font() { return this.state.font; }
+  set font(value) { this.state.font = value; }
+  get textAlign() { return this.state.textAlign; }
+  set textAlign(value) { this.state.textAlign = value; }
+
+  save() {
+    this.stack.push(Object.assign({}, this.state, { matrix: this.state.matrix.slice() }));
+  }
+
+  restore() {
+    if (this.stack.length > 0) this.state = this.stack.pop();
+  }
+
+  translate(x, y) {
+    this.transform(1, 0, 0, 1, x, y);
+  }
+
+  rotate(angle) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    this.transform(cos, sin, -sin, cos, 0, 0);
+  }
+
+  scale(x, y) {
+    this.transform(x, 0, 0, y, 0, 0);
+  }
+
+  transform(a, b, c, d, e, f) {
+    const m = this.state.matrix;
+    this.state.matrix = [
+      m[0] * a + m[2] * b,
+      m[1] * a + m[3] * b,
+      m[0] * c + m[2] * d,
+      m[1] * c + m[3] * d,
+      m[0] * e + m[2] * f + m[4],
+      m[1] * e + m[3] * f + m[5]
+    ];
+  }
+
+  // Map a point through the current transform (paths are stored in document coordinates)
+  point(x, y) {
+    const m = this.state.matrix;
+    return [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+  }
+
+  beginPath() {
+    this.path = [];
+  }
+
+  moveTo(x, y) {
+    const [px, py] = this.point(x, y);
+    this.path.push(`M${SvgContext.num(px)} ${SvgContext.num(py)}`);
+  }
+
+  lineTo(x, y) {
+    const [px, py] = this.point(x, y);
+    // Like canvas, a lineTo on an empty path starts the subpath
+    this.path.push(`${this.path.length === 0 ? 'M' : 'L'}${SvgContext.num(px)} ${SvgContext.num(py)}`);
+  }
+
+  closePath() {
+    this.path.push('Z');
+  }
+
+  rect(x, y, width, height) {
+    this.moveTo(x, y);
+    this.lineTo(x + width, y);
+    this.lineTo(x + width, y + height);
+    this.lineTo(x, y + height);
+    this.closePath();
+  }
+
+  // Flattened into short lines, so it follows any transform; like canvas, it joins the current subpath
+  arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+    const turn = 2 * Math.PI;
+    const delta = endAngle - startAngle;
+    let sweep;
+    if (!counterclockwise) {
+      sweep = delta >= turn ? turn : ((delta % turn) + turn) % turn;
+    } else {
+      sweep = delta <= -turn ? -turn : -((((-delta) % turn) + turn) % turn);
+    }
+    const steps = Math.max(1, Math.ceil(Math.abs(sweep) / SvgContext.ARC_STEP));
+    for (let i = 0; i <= steps; i++) {
+      const angle = startAngle + sweep * i / steps;
+      this.lineTo(x + radius * Math.cos(angle), y + radius * Math.sin(angle));
+    }
+  }
+
+  stroke() {
+    if (this.path.length === 0) return;
+    const dash = this.state.lineDash.length ? ` stroke-dasharray="${this.state.lineDash.map(SvgContext.num).join(' ')}"` : '';
+    const attributes = `d="${this.path.join('')}" fill="none" ${SvgContext.paint('stroke', this.state.strokeStyle)} ` +
+      `stroke-width="${SvgContext.num(this.state.lineWidth)}" stroke-linejoin="round"${dash}`;
+    this.addElement(`<path ${attributes}/>`);
+  }
+
+  fill() {
+    if (this.path.length === 0) return;
+    this.addElement(`<path d="${this.path.join('')}" ${SvgContext.paint('fill', this.state.fillStyle)}/>`);
+  }
+
+  fillRect(x, y, width, height) {
+    const saved = this.path;
+    this.beginPath();
+    this.rect(x, y, width, height);
+    this.fill();
+    this.path = saved;
+  }
+
+  strokeRect(x, y, width, height) {
+    const saved = this.path;
+    this.beginPath();
+    this.rect(x, y, width, height);
+    this.stroke();
+    this.path = saved;
+  }
+
+  // Intersecting clips are not needed by the graph - the latest clip wins
+  clip() {
+    const id = `clip${this.clipPaths.length + 1}`;
+    this.clipPaths.push(`<clipPath id="${id}"><path d="${this.path.join('')}"/></clipPath>`);
+    this.state.clipId = id;
+  }
+
+  fillText(text, x, y) {
+    const anchor = { center: 'middle', right: 'end', end: 'end' }[this.state.textAlign] || 'start';
+    const m = this.state.matrix.map(SvgContext.num).join(' ');
+    this.addElement(`<text x="${SvgContext.num(x)}" y="${SvgContext.num(y)}" transform="matrix(${m})" ` +
+      `text-anchor="${anchor}" style="font: ${SvgContext.escape(this.state.font)}" ` +
+      `${SvgContext.paint('fill', this.state.fillStyle)}>${SvgContext.escape(String(text))}</text>`);
+  }
+
+  // Rough text metrics (no font engine here) - about 0.6em per character
+  measureText(text) {
+    const size = parseFloat(this.state.font) || 10;
+    return { width: String(text).length * size * 0.6 };
+  }
+
+  // Like canvas, an odd-length list is repeated to make it even
+  setLineDash(segments) {
+    const valid = Array.isArray(segments) && segments.every(d => isFinite(d) && d >= 0);
+    if (!valid) return;
+    this.state.lineDash = segments.length % 2 ? segments.concat(segments) : segments.slice();
+  }
+
+  getLineDash() {
+    return this.state.lineDash.slice();
+  }
+
+  addElement(markup) {
+    this.elements.push(this.state.clipId ? `<g clip-path="url(#${this.state.clipId})">${markup}</g>` : markup);
+  }
+
+  toString() {
+    return `<?xml version="1.0" encoding="UTF-8"?>\n` +
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${this.width}" height="${this.height}" viewBox="0 0 ${this.width} ${this.height}">\n` +
+      (this.clipPaths.length ? `<defs>\n${this.clipPaths.join('\n')}\n</defs>\n` : '') +
+      this.elements.join('\n') + '\n</svg>\n';
+  }
+
+  // Fill/stroke attributes, splitting rgba() into a color and an opacity for older SVG viewers
+  static paint(attribute, color) {
+    const match = /^rgba\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*\)$/.exec(String(color));
+    if (match) {
+      return `${attribute}="rgb(${match[1]}, ${match[2]}, ${match[3]})" ${attribute}-opacity="${match[4]}"`;
+    }
+    return `${attribute}="${SvgContext.escape(String(color))}"`;
+  }
+
+  static num(value) {
+    return Number.isInteger(value) ? String(value) : value.toFixed(2).replace(/\.?0+$/, '');
+  }
+
+  static escape(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+}
+
+SvgContext.ARC_STEP = Math.PI / 16; // Radians per line segment of a flattened arc
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SvgContext;
+}
@@ -0,0 +1,168 @@
+/**
+ * SweepMeasurement - Frequency response from an exponential sine sweep (Farina method)
+ * The recorded response is deconvolved by the sweep into an impulse response, which is
+ * windowed around its peak and transformed into a magnitude response (0 dB = unity gain)
+ * DOM-free; the sweep itself comes from SignalGenerator
+ */
+class SweepMeasurement {
+  constructor() {
+    this.startFrequency = 20; // Hz
+    this.endFrequency = 20000; // Hz
+    this.duration = 3; // Seconds of sweep
+    this.level = -12; // Peak level in dBFS
+    this.irLength = 0.5; // Seconds of impulse response kept after its peak
+  }
+
+  setSweep(startFrequency, endFrequency, duration, level) {
+    if (startFrequency > 0 && endFrequency > startFrequency) {
+      this.startFrequency = startFrequency;
+      this.endFrequency = endFrequency;
+    }
+    if (duration > 0) this.duration = Math.min(SweepMeasurement.MAX_DURATION, duration);
+    if (isFinite(level)) this.level = Math.min(0, level);
+  }
+
+  setIrLength(seconds) {
+    if (seconds > 0) this.irLength = seconds;
+  }
+
+  // The log sweep to play, limited to below Nyquist
+  createStimulus(sampleRate) {
+    const generator = new SignalGenerator();
+    generator.setType('sweep-log');
+    generator.setFrequency(this.startFrequency, Math.min(this.endFrequency, sampleRate / 2 * 0.95));
+    generator.setLevel(this.level);
+    generator.setDuration(this.duration);
+    return generator.render(sampleRate);
+  }
+
+  /**
+   * Deconvolve a recording of the stimulus
+   * Returns { impulse, latency, magnitude, sampleRate } - impulse is the windowed IR
+   * (starting PRE_DELAY before its peak), latency the peak position in seconds and
+   * magnitude the dB response with bins laid out up to sampleRate / 2
+   */
+  process(recorded, stimulus, sampleRate) {
+    const size = SweepMeasurement.nextPowerOfTwo(recorded.length + stimulus.length);
+    const half = size / 2;
+    const fft = FFT.forSize(size);
+
+    const xr = new Float64Array(half + 1);
+    const xi = new Float64Array(half + 1);
+    const yr = new Float64Array(half + 1);
+    const yi = new Float64Array(half + 1);
+    fft.forwardReal(stimulus, xr, xi);
+    fft.forwardReal(recorded, yr, yi);
+
+    // Regularised division Y / X - small inside the sweep band, large outside it
+    let maxPower = 0;
+    for (let k = 0; k <= half; k++) maxPower = Math.max(maxPower, xr[k] * xr[k] + xi[k] * xi[k]);
+    const binHz = sampleRate / size;
+    const bandLow = this.startFrequency / binHz;
+    const bandHigh = Math.min(this.endFrequency, sampleRate / 2 * 0.95) / binHz;
+
+    const real = new Float64Array(size);
+    const imag = new Float64Array(size);
+    for (let k = 0; k <= half; k++) {
+      const power = xr[k] * xr[k] + xi[k] * xi[k];
+      const inBand = k >= bandLow && k <= bandHigh;
+      const denominator = power + maxPower * (inBand ? SweepMeasurement.IN_BAND_REGULARIZATION : 1);
+      const hr = (yr[k] * xr[k] + yi[k] * xi[k]) / denominator;
+      const hi = (yi[k] * xr[k] - yr[k] * xi[k]) / denominator;
+      real[k] = hr;
+      imag[k] = hi;
+      if (k > 0 && k < half) {
+        real[size - k] = hr;
+        imag[size - k] = -hi;
+      }
+    }
+    fft.transform(real, imag, true);
+
+    // Linear response peak - distortion products land before it (wrapped to the end)
+    let peak = 0;
+    for (let i = 1; i < size; i++) {
+      if (Math.abs(real[i]) > Math.abs(real[peak])) peak = i;
+    }
+    const impulse = SweepMeasurement.windowImpulse(real, peak, Math.round(SweepMeasurement.PRE_DELAY * sampleRate),
+      Math.round(this.irLength * sampleRate));
+
+    return {
+      impulse: impulse,
+      latency: peak / sampleRate,
+      magnitude: SweepMeasurement.magnitudeDb(impulse),
+      sampleRate: sampleRate
+    };
+  }
+
+  // Cut the IR from pre samples before the peak to length samples after it, with half-Hann fades
+  static windowImpulse(ir, peak, pre, length) {
+    const out = new Float32Array(pre + length);
+    const fadeOut = Math.max(1, Math.round(length * SweepMeasurement.FADE_OUT_FRACTION));
+    for (let i = 0; i < out.length; i++) {
+      const index = peak - pre + i;
+      if (index < 0 || index >= ir.length) continue;
+      let gain = 1;
+      if (i < pre) gain = 0.5 - 0.5 * Math.cos(Math.PI * i / pre);
+      const fromEnd = out.length - 1 - i;
+      if (fromEnd < fadeOut) gain *= 0.5 - 0.5 * Math.cos(Math.PI * fromEnd / fadeOut);
+      out[i] = ir[index] * gain;
+    }
+    return out;
+  }
+
+  // Transfer function magnitude of an impulse response in dB
+  static magnitudeDb(impulse) {
+    const size = Math.max(SweepMeasurement.MIN_FFT_SIZE, SweepMeasurement.nextPowerOfTwo(impulse.length));
+    const real = new Float64Array(size / 2 + 1);
+    const imag = new Float64Array(size / 2 + 1);
+    FFT.forSize(size).forwardReal(impulse, real, imag);
+
+    const output = new Float32Array(size / 2);
+    for (let k = 0; k < output.length; k++) {
+      const magnitude = Math.sqrt(real[k] * real[k] + imag[k] * imag[k]);
+      output[k] = magnitude > 0 ? 20 * Math.log10(magnitude) : -Infinity;
+    }
+    return output;
+  }
+
+  /**
+   * 1/fraction-octave smoothing of a dB response (power average over a band
+   * centred on each bin); fraction 0 returns a copy
+   */
+  static smooth(db, fraction) {
+    const output = new Float32Array(db);
+    if (!fraction) return output;
+
+    const prefix = new Float64Array(db.length + 1);
+    for (let i = 0; i < db.length; i++) {
+      prefix[i + 1] = prefix[i] + (isFinite(db[i]) ? Math.pow(10, db[i] / 10) : 0);
+    }
+    const factor = Math.pow(2, 1 / (2 * fraction));
+    for (let i = 1; i < db.length; i++) {
+      const low = Math.max(1, Math.floor(i / factor));
+      const high = Math.min(db.length - 1, Math.ceil(i * factor));
+      const mean = (prefix[high + 1] - prefix[low]) / (high - low + 1);
+      output[i] = mean > 0 ? 10 * Math.log10(mean) : -Infinity;
+    }
+    return output;
+  }
+
+  static nextPowerOfTwo(n) {
+    return Math.pow(2, Math.ceil(Math.log2(Math.max(2, n))));
+  }
+}
+
+// Smoothing choices (1/N octave, 0 = none)
+SweepMeasurement.SMOOTHING = [0, 1, 3, 6, 12, 24, 48];
+
+SweepMeasurement.MAX_DURATION = 30; // Seconds
+SweepMeasurement.PRE_DELAY = 0.001; // Seconds kept before the IR peak
+SweepMeasurement.FADE_OUT_FRACTION = 0.2; // Part of the IR window faded out at its end
+SweepMeasurement.IN_BAND_REGULARIZATION = 1e-6; // Relative to the sweep's strongest bin
+SweepMeasurement.MIN_FFT_SIZE = 8192; // Response resolution floor
+SweepMeasurement.CAPTURE_TAIL = 1; // Seconds recorded after the sweep for latency and decay
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SweepMeasurement;
+}
@@ -0,0 +1,305 @@
+/**
+ * Tuner - Chromatic tuner display
+ * Taps the spectrum graph's analyser, runs a PitchDetector on the time-domain
+ * signal and draws the note with a cents needle or strobe
+ */
+class Tuner {
+  constructor(canvasId) {
+    this.canvas = document.getElementById(canvasId);
+    this.ctx = this.canvas.getContext('2d');
+    this.width = 0;
+    this.height = 0;
+
+    this.detector = new PitchDetector();
+    this.displayMode = 'needle'; // 'needle' or 'strobe'
+
+    // Audio tap - our own analyser after the graph's, so the block size does not depend on the FFT size
+    this.source = null; // Object exposing audioCtx, analyser and dataArray (the SpectrumGraph)
+    this.tappedAnalyser = null;
+    this.analyser = null;
+    this.samples = null;
+
+    this.animationId = null;
+    this.lastDetect = 0;
+    this.lastFrame = null;
+    this.strobePhase = [0, 0, 0];
+
+    // Latest reading
+    this.frequency = null;
+    this.clarity = 0;
+    this.lastPitchTime = 0;
+    this.dominantPeak = null; // { freq, db } of the strongest spectrum bin
+    this.onUpdate = null; // Called with getStatus() after each detection
+
+    this.resize();
+    window.addEventListener('resize', () => this.resize());
+  }
+
+  setDisplayMode(mode) {
+    this.displayMode = mode === 'strobe' ? 'strobe' : 'needle';
+    this.draw();
+  }
+
+  setMethod(method) {
+    this.detector.setMethod(method);
+  }
+
+  resize() {
+    this.width = this.canvas.clientWidth;
+    this.height = this.canvas.clientHeight;
+    this.canvas.width = this.width;
+    this.canvas.height = this.height;
+    this.draw();
+  }
+
+  // Start following a source (the SpectrumGraph - its analyser changes with live/playback)
+  start(source) {
+    this.stop();
+    this.source = source;
+
+    const loop = (now) => {
+      if (this.source !== source) return;
+      this.animationId = requestAnimationFrame(loop);
+      if (now - this.lastDetect >= Tuner.DETECT_INTERVAL) {
+        this.lastDetect = now;
+        this.update(now);
+      }
+      this.draw(now);
+    };
+    this.animationId = requestAnimationFrame(loop);
+  }
+
+  stop() {
+    if (this.animationId) {
+      cancelAnimationFrame(this.animationId);
+      this.animationId = null;
+    }
+    this.detachAnalyser();
+    this.source = null;
+    this.frequency = null;
+    this.dominantPeak = null;
+    this.lastFrame = null;
+    this.draw();
+  }
+
+  // Connect our analyser behind the source's analyser (re-done whenever that analyser changes)
+  attachAnalyser() {
+    const source = this.source;
+    if (!source || !source.analyser || !source.audioCtx) {
+      this.detachAnalyser();
+      return false;
+    }
+    if (this.tappedAnalyser === source.analyser) return true;
+
+    this.detachAnalyser();
+    try {
+      this.analyser = source.audioCtx.createAnalyser();
+      this.analyser.fftSize = Tuner.BLOCK_SIZE;
+      source.analyser.connect(this.analyser);
+      this.tappedAnalyser = source.analyser;
+      this.samples = new Float32Array(this.analyser.fftSize);
+      return true;
+    } catch (error) {
+      console.error('Tuner could not tap the analyser:', error);
+      this.analyser = null;
+      return false;
+    }
+  }
+
+  detachAnalyser() {
+    if (this.tappedAnalyser && this.analyser) {
+      try {
+        this.tappedAnalyser.disconnect(this.analyser);
+      } catch (error) {
+        // Already disconnected with its context
+      }
+    }
+    this.tappedAnalyser = null;
+    this.analyser = null;
+  }
+
+  // Run one detection and compare it with the strongest spectrum peak
+  update(now) {
+    if (!this.attachAnalyser()) {
+      this.frequency = null;
+      return;
+    }
+
+    const sampleRate = this.source.audioCtx.sampleRate;
+    this.analyser.getFloatTimeDomainData(this.samples);
+    const result = this.detector.detect(this.samples, sampleRate);
+
+    if (result) {
+      // Smooth small wobbles of a steady note, follow note changes immediately
+      if (this.frequency && Math.abs(Tuning.centsBetween(result.frequency, this.frequency)) < 50) {
+        this.frequency = this.frequency * Math.pow(result.frequency / this.frequency, Tuner.SMOOTHING);
+      } else {
+        this.frequency = result.frequency;
+      }
+      this.clarity = result.clarity;
+      this.lastPitchTime = now;
+    } else if (now - this.lastPitchTime > Tuner.HOLD_TIME) {
+      this.frequency = null;
+    }
+
+    this.dominantPeak = this.frequency ? this.findDominantPeak(sampleRate / 2) : null;
+    if (this.onUpdate) this.onUpdate(this.getStatus());
+  }
+
+  // Strongest bin of the source's current spectrum, refined between bins
+  findDominantPeak(nyquist) {
+    const data = this.source.dataArray;
+    if (!data || data.length < 3) return null;
+
+    const firstBin = Math.max(1, Math.floor(this.detector.minFrequency / nyquist * data.length));
+    let best = -1;
+    for (let i = firstBin; i < data.length - 1; i++) {
+      if (isFinite(data[i]) && (best < 0 || data[i] > data[best])) best = i;
+    }
+    if (best < 0) return null;
+
+    const peak = SpectrumGraph.interpolatePeak(data, best, 'gaussian');
+    return { freq: (best + peak.offset) / data.length * nyquist, db: peak.db };
+  }
+
+  /**
+   * Current reading: { frequency, note, clarity, dominantPeak, mismatch }
+   * mismatch is null when the strongest peak is the fundamental, otherwise
+   * { harmonic } with the harmonic number it sits on (0 if not a harmonic)
+   */
+  getStatus() {
+    const status = {
+      frequency: this.frequency,
+      note: this.frequency ? Tuning.analyze(this.frequency) : null,
+      clarity: this.clarity,
+      dominantPeak: this.dominantPeak,
+      mismatch: null
+    };
+
+    if (this.frequency && this.dominantPeak) {
+      const ratio = this.dominantPeak.freq / this.frequency;
+      if (Math.abs(Tuning.centsBetween(this.dominantPeak.freq, this.frequency)) > Tuner.MISMATCH_CENTS) {
+        const harmonic = Math.round(ratio);
+        const isHarmonic = harmonic >= 2 && Math.abs(ratio / harmonic - 1) < 0.03;
+        status.mismatch = { harmonic: isHarmonic ? harmonic : 0 };
+      }
+    }
+    return status;
+  }
+
+  draw(now = performance.now()) {
+    const ctx = this.ctx;
+    const width = this.width;
+    const height = this.height;
+    if (width === 0 || height === 0) return;
+
+    ctx.fillStyle = '#111';
+    ctx.fillRect(0, 0, width, height);
+
+    const note = this.frequency ? Tuning.analyze(this.frequency) : null;
+    const cents = note ? note.cents : 0;
+    const color = !note ? '#666' : Math.abs(cents) < 5 ? '#00ff88' : Math.abs(cents) < 15 ? '#ffcc00' : '#ff5544';
+
+    // Note name with octave
+    ctx.textAlign = 'center';
+    ctx.fillStyle = color;
+    ctx.font = 'bold 40px Arial';
+    const noteText = note ? note.note : '—';
+    ctx.fillText(noteText, width / 2 - 8, 46);
+    if (note) {
+      ctx.font = '18px Arial';
+      ctx.textAlign = 'left';
+      ctx.fillText(String(note.octave), width / 2 - 8 + ctx.measureText(noteText).width / 2 + 10, 50);
+      ctx.textAlign = 'center';
+    }
+
+    // Cents and frequency readout
+    ctx.font = '13px Arial';
+    ctx.fillStyle = '#ccc';
+    const readout = note
+      ? `${cents >= 0 ? '+' : ''}${cents.toFixed(1)} ¢   ${this.frequency.toFixed(2)} Hz → ${note.target.toFixed(2)} Hz`
+      : 'No pitch detected';
+    ctx.fillText(readout, width / 2, 70);
+
+    if (this.displayMode === 'strobe') {
+      this.drawStrobe(note, now, color);
+    } else {
+      this.drawNeedle(note, color);
+    }
+  }
+
+  // Cents scale (-50..+50) with a needle
+  drawNeedle(note, color) {
+    const ctx = this.ctx;
+    const centerX = this.width / 2;
+    const centerY = this.height - 8;
+    const radius = Math.max(20, Math.min(this.width / 2 - 20, this.height - 90));
+    const maxAngle = Math.PI / 4;
+
+    ctx.strokeStyle = '#555';
+    ctx.fillStyle = '#888';
+    ctx.lineWidth = 1;
+    ctx.font = '10px Arial';
+    ctx.textAlign = 'center';
+    for (let c = -50; c <= 50; c += 10) {
+      const angle = c / 50 * maxAngle - Math.PI / 2;
+      const inner = c === 0 ? radius - 14 : radius - 8;
+      ctx.beginPath();
+      ctx.moveTo(centerX + Math.cos(angle) * inner, centerY + Math.sin(angle) * inner);
+      ctx.lineTo(centerX + Math.cos(angle) * radius, centerY + Math.sin(angle) * radius);
+      ctx.stroke();
+      if (c % 50 === 0) {
+        ctx.fillText(c > 0 ? `+${c}` : String(c), centerX + Math.cos(angle) * (radius + 10), centerY + Math.sin(angle) * (radius + 10));
+      }
+    }
+
+    if (!note) return;
+    const clamped = Math.max(-50, Math.min(50, note.cents));
+    const angle = clamped / 50 * maxAngle - Math.PI / 2;
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(centerX, centerY);
+    ctx.lineTo(centerX + Math.cos(angle) * (radius - 4), centerY + Math.sin(angle) * (radius - 4));
+    ctx.stroke();
+  }
+
+  // Strobe bands drifting at a speed proportional to the cents offset (octave rows double the speed)
+  drawStrobe(note, now, color) {
+    const ctx = this.ctx;
+    const dt = this.lastFrame === null ? 0 : Math.min(0.1, (now - this.lastFrame) / 1000);
+    this.lastFrame = now;
+
+    const top = 84;
+    const rowHeight = Math.max(8, (this.height - top - 8) / this.strobePhase.length);
+    const band = 16;
+    ctx.fillStyle = color;
+    this.strobePhase.forEach((phase, row) => {
+      if (note) {
+        this.strobePhase[row] = (phase + note.cents * Tuner.STROBE_SPEED * Math.pow(2, row) * dt) % (band * 2);
+      }
+      const offset = ((this.strobePhase[row] % (band * 2)) + band * 2) % (band * 2);
+      const y = top + row * rowHeight;
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(10, y, this.width - 20, rowHeight - 4);
+      ctx.clip();
+      for (let x = 10 - band * 2 + offset; x < this.width - 10; x += band * 2) {
+        ctx.fillRect(x, y, band, rowHeight - 4);
+      }
+      ctx.restore();
+    });
+  }
+}
+
+Tuner.BLOCK_SIZE = 4096; // Samples per detection (~43 ms at 96 kHz, lowest note ~B0 at 48 kHz)
+Tuner.DETECT_INTERVAL = 50; // ms between detections
+Tuner.HOLD_TIME = 400; // ms a reading stays up after the pitch is lost
+Tuner.SMOOTHING = 0.35; // Per-detection weight of a new reading of the same note
+Tuner.MISMATCH_CENTS = 50; // Peak/fundamental distance flagged as a disagreement
+Tuner.STROBE_SPEED = 2; // Pixels per second per cent
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Tuner;
+}
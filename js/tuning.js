@@ -0,0 +1,158 @@
+/**
+ * Tuning - Frequency to note conversion for a configurable concert pitch
+ * and temperament (12-TET, just, Pythagorean, meantone or a custom table)
+ * Shared by the graph grid, labels, tooltips, exports and the tuner
+ */
+const Tuning = {
+  NOTE_NAMES: ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'],
+
+  // Concert pitch in Hz - A4 always sounds at this frequency, whatever the temperament
+  A4: 440,
+  MIN_A4: 415,
+  MAX_A4: 466,
+
+  temperament: 'equal',
+  root: 0, // Pitch class the temperament is built on (0 = C)
+  customOffsets: new Array(12).fill(0), // Cents from 12-TET per scale degree above the root
+  offsets: new Array(12).fill(0), // Active cents from 12-TET per pitch class, A4 pinned to concert pitch
+
+  setConcertPitch(hz) {
+    const value = parseFloat(hz);
+    Tuning.A4 = isFinite(value) ? Math.min(Tuning.MAX_A4, Math.max(Tuning.MIN_A4, value)) : 440;
+    return Tuning.A4;
+  },
+
+  /**
+   * Select a temperament (a key of Tuning.TEMPERAMENTS) built on a root pitch class
+   * customOffsets (12 cents values, root first) is used by the 'custom' temperament
+   */
+  setTemperament(temperament, root = Tuning.root, customOffsets = Tuning.customOffsets) {
+    Tuning.temperament = Tuning.TEMPERAMENTS[temperament] ? temperament : 'equal';
+    Tuning.root = ((parseInt(root) || 0) % 12 + 12) % 12;
+    if (Array.isArray(customOffsets) && customOffsets.length === 12) {
+      Tuning.customOffsets = customOffsets.map(c => (isFinite(c) ? Number(c) : 0));
+    }
+
+    const degrees = Tuning.temperament === 'custom' ? Tuning.customOffsets : Tuning.TEMPERAMENTS[Tuning.temperament].offsets;
+    const offsets = new Array(12);
+    for (let pc = 0; pc < 12; pc++) {
+      offsets[pc] = degrees[(pc - Tuning.root + 12) % 12];
+    }
+    // Shift the whole scale so A stays at concert pitch
+    const aOffset = offsets[9];
+    Tuning.offsets = offsets.map(c => c - aOffset);
+  },
+
+  /**
+   * Parse a custom cents table - 12 numbers separated by commas or spaces,
+   * each the deviation from 12-TET of a degree above the root. Returns null if invalid.
+   */
+  parseOffsets(text) {
+    const values = String(text).split(/[\s,;]+/).filter(v => v !== '').map(Number);
+    return values.length === 12 && values.every(v => isFinite(v)) ? values : null;
+  },
+
+  /**
+   * Nearest note to a frequency in the current tuning
+   * Returns { name, note, octave, midi, cents, target } or null for invalid input;
+   * cents is the signed offset from the target frequency of that note
+   */
+  analyze(freq) {
+    if (!freq || freq <= 0 || !isFinite(freq)) return null;
+
+    // Equal-tempered guess, then the neighbours in case the temperament moved the boundary
+    const guess = Math.round(69 + 12 * Math.log2(freq / Tuning.A4));
+    let midi = guess;
+    let cents = Infinity;
+    for (let candidate = guess - 1; candidate <= guess + 1; candidate++) {
+      const offset = 1200 * Math.log2(freq / Tuning.midiToFrequency(candidate));
+      if (Math.abs(offset) < Math.abs(cents)) {
+        midi = candidate;
+        cents = offset;
+      }
+    }
+
+    const noteIndex = ((midi % 12) + 12) % 12;
+    const octave = Math.floor(midi / 12) - 1;
+    return {
+      name: Tuning.NOTE_NAMES[noteIndex] + octave,
+      note: Tuning.NOTE_NAMES[noteIndex],
+      octave: octave,
+      midi: midi,
+      cents: cents,
+      target: Tuning.midiToFrequency(midi)
+    };
+  },
+
+  // Note name with octave (e.g. 'A4'), or 'N/A' for invalid frequencies
+  noteName(freq) {
+    const note = Tuning.analyze(freq);
+    return note ? note.name : 'N/A';
+  },
+
+  // Note name with its cents offset (e.g. 'A4 +3¢')
+  noteNameWithCents(freq) {
+    const note = Tuning.analyze(freq);
+    if (!note) return 'N/A';
+    const cents = Math.round(note.cents);
+    return cents === 0 ? note.name : `${note.name} ${cents > 0 ? '+' : ''}${cents}¢`;
+  },
+
+  // Frequency of a MIDI note number in the current tuning
+  midiToFrequency(midi) {
+    const pc = ((midi % 12) + 12) % 12;
+    return Tuning.A4 * Math.pow(2, (midi - 69) / 12 + Tuning.offsets[pc] / 1200);
+  },
+
+  // Signed distance in cents from f2 to f1
+  centsBetween(f1, f2) {
+    return 1200 * Math.log2(f1 / f2);
+  },
+
+  // Current settings, for export metadata
+  describe() {
+    return {
+      concertPitch: Tuning.A4,
+      temperament: Tuning.temperament,
+      root: Tuning.NOTE_NAMES[Tuning.root],
+      offsets: Tuning.offsets.map(c => Math.round(c * 100) / 100)
+    };
+  }
+};
+
+// Cents from 12-TET of each scale degree for interval ratios above the root
+Tuning.ratiosToOffsets = function(ratios) {
+  return ratios.map((ratio, degree) => 1200 * Math.log2(ratio) - 100 * degree);
+};
+
+// Quarter-comma meantone - a chain of fifths narrowed by 1/4 syntonic comma, Eb to G#
+Tuning.meantoneOffsets = function() {
+  const fifth = 1200 * Math.log2(3 / 2) - 1200 * Math.log2(81 / 80) / 4;
+  const offsets = new Array(12);
+  for (let step = -3; step <= 8; step++) {
+    const cents = ((step * fifth) % 1200 + 1200) % 1200;
+    const degree = ((step * 7) % 12 + 12) % 12;
+    offsets[degree] = cents - 100 * degree;
+  }
+  return offsets;
+};
+
+// Display names and per-degree offsets (cents from 12-TET above the root)
+Tuning.TEMPERAMENTS = {
+  'equal': { name: 'Equal (12-TET)', offsets: new Array(12).fill(0) },
+  'just': {
+    name: 'Just intonation (5-limit)',
+    offsets: Tuning.ratiosToOffsets([1, 16 / 15, 9 / 8, 6 / 5, 5 / 4, 4 / 3, 45 / 32, 3 / 2, 8 / 5, 5 / 3, 9 / 5, 15 / 8])
+  },
+  'pythagorean': {
+    name: 'Pythagorean',
+    offsets: Tuning.ratiosToOffsets([1, 256 / 243, 9 / 8, 32 / 27, 81 / 64, 4 / 3, 729 / 512, 3 / 2, 128 / 81, 27 / 16, 16 / 9, 243 / 128])
+  },
+  'meantone': { name: 'Quarter-comma meantone', offsets: Tuning.meantoneOffsets() },
+  'custom': { name: 'Custom (cents table)', offsets: null }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Tuning;
+}
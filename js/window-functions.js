@@ -0,0 +1,126 @@
+/**
+ * WindowFunctions - Spectral analysis windows for the offline FFT path
+ * DOM-free; windows are periodic (DFT-even) like the AnalyserNode's Blackman window
+ */
+const WindowFunctions = {
+  // Display names for the supported window types
+  TYPES: {
+    'rectangular': 'Rectangular',
+    'hann': 'Hann',
+    'hamming': 'Hamming',
+    'blackman': 'Blackman',
+    'blackman-harris': 'Blackman-Harris',
+    'flat-top': 'Flat-top',
+    'kaiser': 'Kaiser'
+  },
+
+  // Cosine-sum coefficients a0, a1, a2... for w[n] = Σ (-1)^k a_k cos(2πkn/N)
+  COSINE_SUM_COEFFICIENTS: {
+    'rectangular': [1],
+    'hann': [0.5, 0.5],
+    'hamming': [0.54, 0.46],
+    'blackman': [0.42, 0.5, 0.08],
+    'blackman-harris': [0.35875, 0.48829, 0.14128, 0.01168],
+    'flat-top': [0.21557895, 0.41663158, 0.277263158, 0.083578947, 0.006947368]
+  },
+
+  DEFAULT_KAISER_BETA: 8.6,
+
+  // Half-width of each window's main lobe in bins (where a pure tone's energy lands)
+  MAIN_LOBE_BINS: {
+    'rectangular': 1,
+    'hann': 2,
+    'hamming': 2,
+    'blackman': 3,
+    'blackman-harris': 4,
+    'flat-top': 5
+  },
+
+  mainLobeBins(type, beta = WindowFunctions.DEFAULT_KAISER_BETA) {
+    if (type === 'kaiser') {
+      return Math.ceil(Math.sqrt(1 + Math.pow(beta / Math.PI, 2)));
+    }
+    return WindowFunctions.MAIN_LOBE_BINS[type] || 1;
+  },
+
+  // Equivalent noise bandwidth in bins - how much wider than one bin the window makes noise read
+  enbw(type, beta = WindowFunctions.DEFAULT_KAISER_BETA) {
+    const window = WindowFunctions.create(type, 1024, beta);
+    let sum = 0;
+    let sumSquares = 0;
+    for (let n = 0; n < window.length; n++) {
+      sum += window[n];
+      sumSquares += window[n] * window[n];
+    }
+    return window.length * sumSquares / (sum * sum);
+  },
+
+  cache: new Map(),
+
+  /**
+   * Get a window of the given type and size (cached, do not modify the result)
+   */
+  create(type, size, beta = WindowFunctions.DEFAULT_KAISER_BETA) {
+    const key = type === 'kaiser' ? `${type}:${size}:${beta}` : `${type}:${size}`;
+    if (WindowFunctions.cache.has(key)) {
+      return WindowFunctions.cache.get(key);
+    }
+
+    let window;
+    if (type === 'kaiser') {
+      window = WindowFunctions.kaiser(size, beta);
+    } else {
+      const coefficients = WindowFunctions.COSINE_SUM_COEFFICIENTS[type] ||
+        WindowFunctions.COSINE_SUM_COEFFICIENTS.rectangular;
+      window = WindowFunctions.cosineSum(size, coefficients);
+    }
+
+    // Keep the cache small - Kaiser beta is user-adjustable
+    if (WindowFunctions.cache.size >= 32) {
+      WindowFunctions.cache.clear();
+    }
+    WindowFunctions.cache.set(key, window);
+    return window;
+  },
+
+  cosineSum(size, coefficients) {
+    const window = new Float32Array(size);
+    for (let n = 0; n < size; n++) {
+      let value = 0;
+      for (let k = 0; k < coefficients.length; k++) {
+        const sign = k % 2 === 0 ? 1 : -1;
+        value += sign * coefficients[k] * Math.cos(2 * Math.PI * k * n / size);
+      }
+      window[n] = value;
+    }
+    return window;
+  },
+
+  kaiser(size, beta) {
+    const window = new Float32Array(size);
+    const denominator = WindowFunctions.besselI0(beta);
+    for (let n = 0; n < size; n++) {
+      const ratio = 2 * n / size - 1;
+      window[n] = WindowFunctions.besselI0(beta * Math.sqrt(Math.max(0, 1 - ratio * ratio))) / denominator;
+    }
+    return window;
+  },
+
+  // Zeroth-order modified Bessel function of the first kind (series expansion)
+  besselI0(x) {
+    let sum = 1;
+    let term = 1;
+    const halfX = x / 2;
+    for (let k = 1; k < 100; k++) {
+      term *= (halfX / k) * (halfX / k);
+      sum += term;
+      if (term < sum * 1e-12) break;
+    }
+    return sum;
+  }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WindowFunctions;
+}